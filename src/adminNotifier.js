@@ -0,0 +1,32 @@
+// src/adminNotifier.js - Admin push hook for services that can't require app.js
+const { Logger } = require('./logger');
+
+// ============================================================================
+// NOTIFIER REGISTRY
+// app.js registers pushToAdmin at startup (requiring app.js here would be circular)
+// ============================================================================
+
+let notifier = null;
+
+function registerAdminNotifier(fn) {
+  notifier = fn;
+}
+
+async function notifyAdmins(text) {
+  if (!notifier) {
+    Logger.warn('Admin notifier not registered - message not pushed');
+    return { succeeded: 0, total: 0 };
+  }
+
+  try {
+    return await notifier(text);
+  } catch (error) {
+    Logger.error('Admin notification failed', error);
+    return { succeeded: 0, total: 0 };
+  }
+}
+
+module.exports = {
+  registerAdminNotifier,
+  notifyAdmins
+};
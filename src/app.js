@@ -15,6 +15,7 @@ const { smartLearner } = require('./smartOrderLearning');
 const { handleMessage } = require('./messageHandlerService');
 const { processVoiceMessage } = require('./voiceProcessor');
 const { verifyLineSignature } = require('./middleware/webhook-security');
+const { registerAdminNotifier } = require('./adminNotifier');
 
 const app = express();
 app.use(express.json());
@@ -91,6 +92,28 @@ async function initializeApp() {
       }
     }
     
+    // Seed the order-number sequence from existing orders (one-time migration)
+    try {
+      const { migrateOrderSequence } = require('./orderSequence');
+      const seq = await migrateOrderSequence();
+      if (seq.migrated) {
+        Logger.success(`🔢 Order sequence migrated (last #${seq.value})`);
+      }
+    } catch (error) {
+      Logger.error('❌ Order sequence migration failed - will retry on first order', error);
+    }
+    
+    // Finish or roll back orders interrupted by a crash
+    try {
+      const { recoverIncompleteOrders } = require('./orderService');
+      const recovery = await recoverIncompleteOrders();
+      if (recovery.needsReview > 0) {
+        Logger.warn(`⚠️ ${recovery.needsReview} order journal(s) need manual review (Journal sheet)`);
+      }
+    } catch (error) {
+      Logger.error('❌ Order journal recovery failed', error);
+    }
+    
     // ✅ ADD: Initialize inbox sheet separately (non-critical)
     try {
       const { initializeInboxSheet } = require('./inboxService');
@@ -108,6 +131,35 @@ async function initializeApp() {
       // Continue anyway - cache will retry on first request
     }
     
+    // Promotions and customer prices are priced from memory (non-critical)
+    try {
+      const { loadPromotions } = require('./promotionService');
+      await loadPromotions(true);
+    } catch (error) {
+      Logger.warn('⚠️  Promotions load failed (non-critical)', error);
+    }
+    
+    try {
+      const { loadCustomerPrices } = require('./customerPriceService');
+      await loadCustomerPrices(true);
+    } catch (error) {
+      Logger.warn('⚠️  Customer prices load failed (non-critical)', error);
+    }
+    
+    try {
+      const { loadBundles } = require('./bundleService');
+      await loadBundles(true);
+    } catch (error) {
+      Logger.warn('⚠️  Bundles load failed (non-critical)', error);
+    }
+    
+    try {
+      const { loadLocations } = require('./locationService');
+      await loadLocations(true);
+    } catch (error) {
+      Logger.warn('⚠️  Locations load failed (non-critical)', error);
+    }
+    
     // Initialize smart learning (non-critical)
     try {
       await smartLearner.loadOrderHistory();
@@ -126,6 +178,33 @@ async function initializeApp() {
       Logger.warn('⚠️  Cleanup scheduler failed (non-critical)', error);
     }
     
+    // Let services push to admins (backorder fills, the daily schedulers below)
+    registerAdminNotifier(pushToAdmin);
+    
+    // Start standing order scheduler
+    try {
+      const { scheduleStandingOrders } = require('./standingOrderService');
+      scheduleStandingOrders();
+    } catch (error) {
+      Logger.warn('⚠️  Standing order scheduler failed (non-critical)', error);
+    }
+    
+    // Start near-expiry alert scheduler
+    try {
+      const { scheduleExpiryAlerts } = require('./lotService');
+      scheduleExpiryAlerts();
+    } catch (error) {
+      Logger.warn('⚠️  Expiry alert scheduler failed (non-critical)', error);
+    }
+    
+    // Start stockout alert scheduler
+    try {
+      const { scheduleStockoutAlerts } = require('./stockPrediction');
+      scheduleStockoutAlerts();
+    } catch (error) {
+      Logger.warn('⚠️  Stockout alert scheduler failed (non-critical)', error);
+    }
+    
     Logger.success('✅ System Ready' + (sheetsInitialized ? '' : ' (WITH ERRORS - CHECK LOGS)'));
   } catch (error) {
     Logger.error('❌ Init failed - CRITICAL', error);
@@ -140,14 +219,29 @@ async function initializeApp() {
 // LINE API HELPERS
 // ============================================================================
 
-async function replyToLine(replyToken, text, retries = 3) {
+function buildTextMessage(text, quickReplies = null) {
+  const message = { type: 'text', text };
+  
+  if (quickReplies && quickReplies.length > 0) {
+    message.quickReply = {
+      items: quickReplies.map(label => ({
+        type: 'action',
+        action: { type: 'message', label, text: label }
+      }))
+    };
+  }
+  
+  return message;
+}
+
+async function replyToLine(replyToken, text, retries = 3, quickReplies = null) {
   const token = configManager.get('LINE_TOKEN');
   
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       await axios.post('https://api.line.me/v2/bot/message/reply', {
         replyToken,
-        messages: [{ type: 'text', text }]
+        messages: [buildTextMessage(text, quickReplies)]
       }, {
         headers: {
           'Content-Type': 'application/json',
@@ -239,7 +333,7 @@ async function handleTextMessage(text, replyToken, userId) {
     
     const result = await handleMessage(text, userId);
     
-    const replyResult = await replyToLine(replyToken, result.message);
+    const replyResult = await replyToLine(replyToken, result.message, 3, result.quickReplies);
     
     if (!replyResult.success) {
       Logger.error('Failed to send reply to LINE', replyResult.error);
@@ -263,7 +357,7 @@ async function handleVoiceMessageEvent(messageId, replyToken, userId) {
     const audioBuffer = await fetchAudioFromLine(messageId);
     const result = await processVoiceMessage(audioBuffer, userId);
     // Send response
-    await replyToLine(replyToken, result.message);
+    await replyToLine(replyToken, result.message, 3, result.quickReplies);
     
     // Log performance
     if (result.processingTime) {
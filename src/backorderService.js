@@ -0,0 +1,332 @@
+// src/backorderService.js - Order lines waiting for restock (FIFO fill)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, batchUpdateSheet } = require('./googleServices');
+const { loadStockCache, getStockCache } = require('./cacheManager');
+const { createCreditEntry, updateCreditAmount, addCreditCharge } = require('./creditService');
+const { stockLock, StockTransactionLock } = require('./orderService');
+const { BACKORDER_TAG, CANCELLED_TAG } = require('./comstant');
+const { notifyAdmins } = require('./adminNotifier');
+const { pricingEngine } = require('./businessLogic');
+const { parseUnitConversions, getRowUnitFactor } = require('./unitConversion');
+const { loadLocations, readLocationStock, getAvailableAt, getDefaultLocation } = require('./locationService');
+const { readLots, takeFromLots, buildLotUpdates, formatLotPicks } = require('./lotService');
+const { checkReorderPoints } = require('./stockAlertService');
+
+// ============================================================================
+// LOAD PENDING BACKORDERS
+// ============================================================================
+
+/**
+ * Backorder lines in sheet order (oldest first)
+ * @param {string|null} productName - only this product
+ */
+async function loadPendingBackorders(productName = null) {
+  const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
+  const query = productName ? productName.toLowerCase().trim() : null;
+  const stockCache = getStockCache();
+  const pending = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const notes = rows[i][5] || '';
+    if (!notes.includes(BACKORDER_TAG) || notes.includes(CANCELLED_TAG)) continue;
+
+    const product = rows[i][3] || '';
+    if (query && product.toLowerCase().trim() !== query) continue;
+
+    const stockItem = stockCache.find(s => s.item.toLowerCase().trim() === product.toLowerCase().trim());
+    const quantity = parseInt(rows[i][4] || 0);
+
+    pending.push({
+      rowIndex: i + 1,
+      orderNo: rows[i][0],
+      timestamp: rows[i][1],
+      customer: rows[i][2] || '',
+      product,
+      quantity,
+      unit: rows[i][10] || '',
+      baseQuantity: quantity * getRowUnitFactor(rows[i], stockItem),
+      paymentText: rows[i][7] || ''
+    });
+  }
+
+  return { rows, pending };
+}
+
+// ============================================================================
+// FILL BACKORDERS - After a restock
+// ============================================================================
+
+function findStockRow(stockRows, productName) {
+  const query = productName.toLowerCase().trim();
+
+  for (let i = 1; i < stockRows.length; i++) {
+    if ((stockRows[i][0] || '').toLowerCase().trim() === query) {
+      return i + 1;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill waiting lines for one product, oldest first.
+ * Stops at the first line that can't be filled in full so later orders
+ * don't jump the queue.
+ */
+async function fillBackorders(productName) {
+  let stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:I');
+  let stockRowIndex = findStockRow(stockRows, productName);
+
+  if (!stockRowIndex) {
+    return { success: false, error: `ไม่พบสินค้า: ${productName}` };
+  }
+
+  const lockKey = StockTransactionLock.generateKey(
+    stockRows[stockRowIndex - 1][0],
+    stockRows[stockRowIndex - 1][3]
+  );
+
+  await loadLocations();
+  await stockLock.acquireLock(lockKey);
+
+  try {
+    // Fresh read under the lock
+    stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:I');
+    stockRowIndex = findStockRow(stockRows, productName);
+
+    if (!stockRowIndex) {
+      return { success: false, error: `ไม่พบสินค้า: ${productName}` };
+    }
+
+    const stockRow = stockRows[stockRowIndex - 1];
+    const name = stockRow[0];
+    const price = parseFloat(stockRow[2] || 0);
+    const cost = parseFloat(stockRow[1] || 0);
+    const unit = stockRow[3] || 'ชิ้น';
+    const stockItem = { unit, unitConversions: parseUnitConversions(stockRow[8], name) };
+    const before = parseInt(stockRow[4] || 0);
+    let stock = before;
+    // Backorders are filled from the shop, not from stock out on the trucks
+    let shopStock = getAvailableAt(await readLocationStock(), getDefaultLocation(), name, stock);
+
+    const { rows, pending } = await loadPendingBackorders(name);
+    const lots = await readLots();
+    await pricingEngine.refresh();
+    const filled = [];
+    const waiting = [];
+
+    for (const line of pending) {
+      // Lines ordered in ลัง/แพ็ค take factor × base units from stock
+      const factor = getRowUnitFactor(rows[line.rowIndex - 1], stockItem);
+      const baseQuantity = line.quantity * factor;
+
+      if (waiting.length === 0 && shopStock >= baseQuantity) {
+        stock -= baseQuantity;
+        shopStock -= baseQuantity;
+
+        // Priced at fill time, like any other sale
+        const pricing = pricingEngine.calculateLinePrice({ item: name, price }, baseQuantity, line.customer);
+        filled.push({
+          ...line,
+          factor,
+          lotPicks: takeFromLots(lots, name, baseQuantity),
+          amount: pricing.amount,
+          discountNote: pricingEngine.formatDiscountNote(pricing)
+        });
+      } else {
+        waiting.push(line);
+      }
+    }
+
+    if (filled.length === 0) {
+      return { success: true, product: name, unit, filled, waiting, newStock: stock };
+    }
+
+    const timestamp = getThaiDateTimeString();
+    const updates = [{ range: `สต็อก!E${stockRowIndex}`, values: [[stock]] }];
+
+    for (const line of filled) {
+      const note = [`ส่งของค้างแล้ว ${timestamp}`, line.discountNote].filter(Boolean).join(' | ');
+      updates.push({ range: `คำสั่งซื้อ!F${line.rowIndex}`, values: [[note]] });
+      updates.push({ range: `คำสั่งซื้อ!I${line.rowIndex}:J${line.rowIndex}`, values: [[line.amount, cost * line.factor]] });
+      updates.push({ range: `คำสั่งซื้อ!M${line.rowIndex}`, values: [[formatLotPicks(line.lotPicks)]] });
+
+      // The order was paid without this line - it's owed now
+      if (line.paymentText === 'จ่ายแล้ว') {
+        updates.push({ range: `คำสั่งซื้อ!H${line.rowIndex}`, values: [['ยังไม่จ่าย']] });
+      }
+
+      // Keep our copy in step for the credit totals below
+      rows[line.rowIndex - 1][5] = '';
+      rows[line.rowIndex - 1][8] = line.amount;
+    }
+
+    await batchUpdateSheet(CONFIG.SHEET_ID, updates.concat(buildLotUpdates(lots)));
+
+    Logger.success(`📦 Filled ${filled.length} backorder line(s) for ${name} → stock ${stock}`);
+
+    await updateCreditsAfterFill(rows, filled);
+    await loadStockCache(true);
+    checkReorderPoints([{ product: name, before, after: stock }], 'ส่งของค้าง');
+
+    return { success: true, product: name, unit, filled, waiting, newStock: stock };
+
+  } catch (error) {
+    Logger.error('fillBackorders failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    stockLock.releaseLock(lockKey);
+  }
+}
+
+async function updateCreditsAfterFill(rows, filled) {
+  // Paid orders: charge just the lines filled now
+  const paidLines = filled.filter(l => l.paymentText === 'จ่ายแล้ว');
+  const paidOrderNos = [...new Set(paidLines.map(l => l.orderNo))];
+
+  for (const orderNo of paidOrderNos) {
+    const lines = paidLines.filter(l => l.orderNo === orderNo);
+    const amount = lines.reduce((sum, l) => sum + l.amount, 0);
+
+    try {
+      await addCreditCharge(orderNo, lines[0].customer, amount, 'ส่งของค้างแล้ว (หลังจ่าย)');
+    } catch (error) {
+      Logger.error(`Credit charge after backorder fill failed for #${orderNo} (non-fatal)`, error);
+    }
+  }
+
+  const orderNos = [...new Set(
+    filled.filter(l => l.paymentText !== 'จ่ายแล้ว').map(l => l.orderNo)
+  )];
+
+  for (const orderNo of orderNos) {
+    const orderRows = rows.slice(1).filter(r => r[0] == orderNo);
+    const totalAmount = orderRows
+      .filter(r => !(r[5] || '').includes(CANCELLED_TAG))
+      .reduce((sum, r) => sum + parseFloat(r[8] || 0), 0);
+    const customer = orderRows[0][2];
+
+    try {
+      const updated = await updateCreditAmount(orderNo, totalAmount, 'ส่งของค้างแล้ว');
+
+      // Fully backordered orders had nothing to charge, so no credit entry yet
+      if (!updated.success && updated.reason === 'not_found') {
+        await createCreditEntry({ orderNo, customer, totalAmount });
+      }
+    } catch (error) {
+      Logger.error(`Credit update after backorder fill failed for #${orderNo} (non-fatal)`, error);
+    }
+  }
+}
+
+// ============================================================================
+// RESTOCK HOOK - Called by adjustStock('add')
+// ============================================================================
+
+/**
+ * Fill (or just list, when BACKORDER_AUTO_FILL is off) waiting lines for a
+ * restocked product and tell the admins.
+ * @returns {Promise<string>} message section for the reply ('' when nothing waits)
+ */
+async function handleRestock(productName) {
+  try {
+    let result;
+
+    if (CONFIG.BACKORDER_AUTO_FILL) {
+      result = await fillBackorders(productName);
+    } else {
+      const { pending } = await loadPendingBackorders(productName);
+      result = { success: true, product: productName, filled: [], waiting: pending };
+    }
+
+    if (!result.success || (result.filled.length === 0 && result.waiting.length === 0)) {
+      return '';
+    }
+
+    const message = formatRestockSummary(result);
+    await notifyAdmins(message);
+
+    return message;
+
+  } catch (error) {
+    Logger.error('Backorder restock handling failed (non-fatal)', error);
+    return '';
+  }
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatLine(line, unit) {
+  const lineUnit = line.unit || unit;
+  return `• #${line.orderNo} ${line.customer} x${line.quantity}${lineUnit ? ` ${lineUnit}` : ''}`;
+}
+
+function formatRestockSummary(result) {
+  const { product, unit, filled, waiting } = result;
+  let msg = `📦 ของค้างส่ง: ${product}\n`;
+
+  if (filled.length > 0) {
+    msg += `\n✅ ส่งของค้างแล้ว ${filled.length} รายการ:\n`;
+    msg += filled.map(l => formatLine(l, unit) +
+      (l.paymentText === 'จ่ายแล้ว' ? ` 💳 เก็บเพิ่ม ${l.amount.toLocaleString()}฿` : '')).join('\n') + '\n';
+    msg += `\n📊 สต็อกคงเหลือ: ${result.newStock} ${unit}\n`;
+  }
+
+  if (waiting.length > 0) {
+    msg += `\n⏳ ยังค้างส่ง ${waiting.length} รายการ:\n`;
+    msg += waiting.map(l => formatLine(l, unit)).join('\n') + '\n';
+
+    if (!CONFIG.BACKORDER_AUTO_FILL) {
+      msg += `\n💡 ระบบไม่ได้ตัดสต็อกอัตโนมัติ (BACKORDER_AUTO_FILL=false)`;
+    }
+  }
+
+  return msg.trim();
+}
+
+/**
+ * Admin view: every waiting line grouped by product
+ */
+async function generateBackorderReport() {
+  const { pending } = await loadPendingBackorders();
+
+  if (pending.length === 0) {
+    return '✅ ไม่มีของค้างส่ง';
+  }
+
+  const byProduct = new Map();
+  pending.forEach(line => {
+    if (!byProduct.has(line.product)) byProduct.set(line.product, []);
+    byProduct.get(line.product).push(line);
+  });
+
+  let msg = `⏳ ของค้างส่ง (${pending.length} รายการ)\n`;
+
+  for (const [product, lines] of byProduct.entries()) {
+    const total = lines.reduce((sum, l) => sum + l.baseQuantity, 0);
+    const stockItem = getStockCache().find(s => s.item.toLowerCase().trim() === product.toLowerCase().trim());
+    msg += `\n📦 ${product} (รวม ${total}${stockItem ? ` ${stockItem.unit}` : ''})\n`;
+    msg += lines.map(l => formatLine(l)).join('\n') + '\n';
+  }
+
+  msg += `\n💡 เติมสต็อกด้วย "เติม [สินค้า] [จำนวน]" ระบบจะส่งของค้างตามลำดับ`;
+
+  return msg;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadPendingBackorders,
+  fillBackorders,
+  handleRestock,
+  generateBackorderReport,
+  BACKORDER_TAG
+};
@@ -0,0 +1,316 @@
+// src/bundleService.js - Bundles / party sets sold as one item (Bundles sheet)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+const { getStockCache } = require('./cacheManager');
+const { resolveStockItem } = require('./stockAdjustment');
+
+// ============================================================================
+// SHEET LAYOUT: ชื่อชุด | ส่วนประกอบ | ราคา | สถานะ | สร้างเมื่อ
+// ส่วนประกอบ is "น้ำแข็ง:2, น้ำดื่ม:6, แก้ว:20" in each product's stock unit.
+// Bundles have no stock row - availability comes from their components.
+// ============================================================================
+
+const BUNDLES_RANGE = 'Bundles!A:E';
+const BUNDLE_UNIT = 'ชุด';
+
+const BUNDLE_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+};
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+let bundleCache = [];
+let lastLoadTime = 0;
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+/**
+ * "น้ำแข็ง:2, น้ำดื่ม:6" → [{ item: 'น้ำแข็ง', quantity: 2 }, ...]
+ */
+function parseComponents(text, bundleName = '') {
+  const components = [];
+  if (!text) return components;
+
+  String(text).split(/[,\n]/).map(s => s.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(.+?)\s*:\s*(\d+)$/);
+
+    if (!match || parseInt(match[2]) <= 0) {
+      Logger.warn(`⚠️ Invalid bundle component "${part}" in ${bundleName} (use "น้ำแข็ง:2")`);
+      return;
+    }
+
+    components.push({ item: match[1].trim(), quantity: parseInt(match[2]) });
+  });
+
+  return components;
+}
+
+function formatComponents(components) {
+  return components.map(c => `${c.item}:${c.quantity}`).join(', ');
+}
+
+async function loadBundles(forceReload = false) {
+  const now = Date.now();
+  if (!forceReload && lastLoadTime && (now - lastLoadTime) < CONFIG.CACHE_DURATION) {
+    return bundleCache;
+  }
+
+  try {
+    const rows = await getSheetData(CONFIG.SHEET_ID, BUNDLES_RANGE);
+
+    bundleCache = rows.slice(1)
+      .map((row, i) => ({ row, rowIndex: i + 2 }))
+      .filter(({ row }) => row[0])
+      .map(({ row, rowIndex }) => ({
+        rowIndex,
+        name: row[0].trim(),
+        components: parseComponents(row[1], row[0]),
+        price: parseFloat(row[2] || 0),
+        status: (row[3] || BUNDLE_STATUS.ACTIVE).toLowerCase().trim()
+      }));
+
+    lastLoadTime = now;
+    Logger.debug(`🎁 Bundles loaded: ${bundleCache.length}`);
+
+  } catch (error) {
+    Logger.error('loadBundles failed - using cached bundles', error);
+  }
+
+  return bundleCache;
+}
+
+/**
+ * @param {boolean} includeInactive - cancels still need retired definitions
+ */
+function findBundle(name, includeInactive = false) {
+  const query = normalizeName(name);
+  return bundleCache.find(b =>
+    normalizeName(b.name) === query &&
+    (includeInactive || b.status === BUNDLE_STATUS.ACTIVE)
+  ) || null;
+}
+
+// ============================================================================
+// BUNDLES AS ORDERABLE ITEMS
+// ============================================================================
+
+/**
+ * Active bundles shaped like stock items so parseOrder and
+ * createOrderTransaction can take them. `stock` is how many complete sets
+ * the components cover right now.
+ */
+function getBundleStockItems(stockCache = getStockCache()) {
+  const items = [];
+
+  for (const bundle of bundleCache) {
+    if (bundle.status !== BUNDLE_STATUS.ACTIVE || bundle.components.length === 0) continue;
+
+    const components = [];
+    let missing = null;
+
+    for (const component of bundle.components) {
+      const stockItem = stockCache.find(s => normalizeName(s.item) === normalizeName(component.item));
+      if (!stockItem) {
+        missing = component.item;
+        break;
+      }
+      components.push({ item: stockItem.item, unit: stockItem.unit, quantity: component.quantity, stockItem });
+    }
+
+    if (missing) {
+      Logger.warn(`⚠️ Bundle ${bundle.name}: component "${missing}" not in stock - skipped`);
+      continue;
+    }
+
+    items.push({
+      item: bundle.name,
+      price: bundle.price,
+      cost: components.reduce((sum, c) => sum + (c.stockItem.cost || 0) * c.quantity, 0),
+      unit: BUNDLE_UNIT,
+      stock: Math.min(...components.map(c => Math.floor(Math.max(c.stockItem.stock, 0) / c.quantity))),
+      category: 'ชุดสินค้า',
+      priceBreaks: [],
+      unitConversions: {},
+      isBundle: true,
+      components: components.map(({ item, unit, quantity }) => ({ item, unit, quantity }))
+    });
+  }
+
+  return items;
+}
+
+// ============================================================================
+// SHEET WRITES
+// ============================================================================
+
+async function saveBundle(name, components, price) {
+  await loadBundles(true);
+  const existing = findBundle(name, true);
+  const values = [name, formatComponents(components), price, BUNDLE_STATUS.ACTIVE];
+
+  if (existing) {
+    await updateSheetData(CONFIG.SHEET_ID, `Bundles!A${existing.rowIndex}:D${existing.rowIndex}`, [values]);
+  } else {
+    await appendSheetData(CONFIG.SHEET_ID, BUNDLES_RANGE, [[...values, getThaiDateTimeString()]]);
+  }
+
+  await loadBundles(true);
+  Logger.success(`🎁 Bundle ${existing ? 'updated' : 'created'}: ${name} (${formatComponents(components)}) @${price}฿`);
+  return { success: true, name, components, price, updated: Boolean(existing) };
+}
+
+async function retireBundle(name) {
+  await loadBundles(true);
+  const bundle = findBundle(name);
+
+  if (!bundle) {
+    return { success: false, error: `ไม่พบชุด: ${name}` };
+  }
+
+  await updateSheetData(CONFIG.SHEET_ID, `Bundles!D${bundle.rowIndex}`, [[BUNDLE_STATUS.INACTIVE]]);
+  await loadBundles(true);
+
+  Logger.success(`🎁 Bundle retired: ${bundle.name}`);
+  return { success: true, name: bundle.name };
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// "ชุด"                                            → list
+// "ชุด เพิ่ม ชุดปาร์ตี้ = น้ำแข็ง 2, น้ำดื่ม 6 @150"   → create / replace
+// "ชุด ลบ ชุดปาร์ตี้"                                → stop selling
+// ============================================================================
+
+function resolveComponent(text) {
+  const match = text.trim().match(/^(.+?)\s*[x×:]?\s*(\d+)$/);
+  if (!match) {
+    return { error: `รูปแบบไม่ถูกต้อง: "${text}" (ใช้ "[สินค้า] [จำนวน]")` };
+  }
+
+  const resolved = resolveStockItem(match[1].trim());
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  return { item: resolved.stockItem.item, quantity: parseInt(match[2]) };
+}
+
+function formatBundleList() {
+  const stockItems = getBundleStockItems();
+
+  if (stockItems.length === 0) {
+    return `🎁 ยังไม่มีชุดสินค้า\n\n💡 "ชุด เพิ่ม [ชื่อชุด] = [สินค้า] [จำนวน], ... @[ราคา]"`;
+  }
+
+  let msg = `🎁 ชุดสินค้า (${stockItems.length})\n`;
+
+  stockItems.forEach(b => {
+    msg += `\n📦 ${b.item} - ${b.price}฿ (ต้นทุน ${b.cost}฿)\n`;
+    msg += `   ${b.components.map(c => `${c.item} x${c.quantity} ${c.unit}`).join(', ')}\n`;
+    msg += `   ${b.stock > 0 ? '🟢' : '🔴'} จัดได้ ${b.stock} ชุด\n`;
+  });
+
+  msg += `\n💡 "ชุด ลบ [ชื่อชุด]" - หยุดขาย`;
+  return msg;
+}
+
+async function handleBundleCommand(text) {
+  try {
+    const body = text.trim().replace(/^ชุด\s*/, '');
+    await loadBundles();
+
+    if (!body) {
+      return { success: true, message: formatBundleList() };
+    }
+
+    if (/^(ช่วย|help)$/i.test(body)) {
+      return {
+        success: true,
+        message: `🎁 ชุดสินค้า\n\n` +
+          `• "ชุด" - ดูชุดทั้งหมด\n` +
+          `• "ชุด เพิ่ม [ชื่อชุด] = น้ำแข็ง 2, น้ำดื่ม 6 @150" - สร้าง/แก้ชุด\n` +
+          `• "ชุด ลบ [ชื่อชุด]" - หยุดขาย\n\n` +
+          `💡 สั่งชุดได้เหมือนสินค้าปกติ ระบบตัดสต็อกทุกชิ้นในชุด`
+      };
+    }
+
+    const removeMatch = body.match(/^(ลบ|ยกเลิก)\s+(.+)$/);
+    if (removeMatch) {
+      const result = await retireBundle(removeMatch[2].trim());
+      return result.success
+        ? { success: true, message: `🗑️ หยุดขายชุด ${result.name} แล้ว` }
+        : { success: false, message: `❌ ${result.error}` };
+    }
+
+    const addMatch = body.match(/^เพิ่ม\s+(.+?)\s*=\s*(.+?)\s*@\s*(\d+(?:\.\d+)?)\s*(?:บาท|฿)?$/);
+    if (!addMatch) {
+      return { success: false, message: `❌ รูปแบบไม่ถูกต้อง\n\n💡 "ชุด เพิ่ม ชุดปาร์ตี้ = น้ำแข็ง 2, น้ำดื่ม 6 @150"` };
+    }
+
+    const name = addMatch[1].trim();
+    const price = parseFloat(addMatch[3]);
+
+    if (getStockCache().some(s => normalizeName(s.item) === normalizeName(name))) {
+      return { success: false, message: `❌ "${name}" เป็นชื่อสินค้าในสต็อกอยู่แล้ว กรุณาใช้ชื่ออื่น` };
+    }
+
+    if (price <= 0) {
+      return { success: false, message: '❌ ราคาต้องมากกว่า 0' };
+    }
+
+    const components = [];
+    for (const part of addMatch[2].split(',').map(s => s.trim()).filter(Boolean)) {
+      const component = resolveComponent(part);
+      if (component.error) {
+        return { success: false, message: `❌ ${component.error}` };
+      }
+
+      const existing = components.find(c => c.item === component.item);
+      if (existing) {
+        existing.quantity += component.quantity;
+      } else {
+        components.push(component);
+      }
+    }
+
+    const result = await saveBundle(name, components, price);
+    const bundleItem = getBundleStockItems().find(b => b.item === name);
+
+    let msg = `✅ ${result.updated ? 'แก้ไข' : 'สร้าง'}ชุดแล้ว\n\n`;
+    msg += `🎁 ${name} - ${price}฿\n`;
+    msg += components.map(c => `• ${c.item} x${c.quantity}`).join('\n') + '\n';
+
+    if (bundleItem) {
+      msg += `\n💵 ต้นทุน ${bundleItem.cost}฿ │ 📦 จัดได้ ${bundleItem.stock} ชุด`;
+    }
+
+    return { success: true, message: msg };
+
+  } catch (error) {
+    Logger.error('Bundle command failed', error);
+    return { success: false, message: '❌ จัดการชุดสินค้าไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadBundles,
+  findBundle,
+  getBundleStockItems,
+  parseComponents,
+  saveBundle,
+  retireBundle,
+  handleBundleCommand,
+  BUNDLE_UNIT,
+  BUNDLE_STATUS
+};
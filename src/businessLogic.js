@@ -2,67 +2,212 @@
 const { CONFIG } = require('./config');
 const { Logger } = require('./logger');
 const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
-const { getStockCache } = require('./cacheManager');
+const { getStockCache, getCustomerCache, loadCustomerCache } = require('./cacheManager');
 const { getThaiDateTimeString, extractGregorianDate } = require('./utils');
+const {
+  loadPromotions,
+  getActivePromotions,
+  findBestPromotion,
+  createPromotion,
+  describeRule
+} = require('./promotionService');
+const { loadCustomerPrices, getCustomerPrice } = require('./customerPriceService');
+const { summarizeOrderLines } = require('./profitService');
+const { readWaste, summarizeWaste } = require('./wasteService');
 
 // ============================================================================
 // PRICING ENGINE
 // ============================================================================
 
+const CUSTOMER_TIERS = ['vip', 'gold', 'regular'];
+
+const TIER_DISCOUNTS = {
+  'vip': 0.10,
+  'gold': 0.05,
+  'regular': 0
+};
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
 class PricingEngine {
-  constructor() {
-    this.customerTiers = new Map();
-    this.promotions = [];
+
+  /**
+   * Persist a tier in column E of the ลูกค้า sheet
+   */
+  async updateCustomerTier(customerName, tier) {
+    const normalizedTier = String(tier).toLowerCase().trim();
+
+    if (!CUSTOMER_TIERS.includes(normalizedTier)) {
+      return { success: false, error: `ระดับไม่ถูกต้อง: ${tier} (ใช้ ${CUSTOMER_TIERS.join(' / ')})` };
+    }
+
+    try {
+      const rows = await getSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:E');
+      const query = customerName.toLowerCase().trim();
+      let rowIndex = -1;
+
+      for (let i = 1; i < rows.length; i++) {
+        if ((rows[i][0] || '').toLowerCase().trim() === query) {
+          rowIndex = i + 1;
+          break;
+        }
+      }
+
+      if (rowIndex === -1) {
+        return { success: false, error: `ไม่พบลูกค้า: ${customerName}` };
+      }
+
+      const name = rows[rowIndex - 1][0];
+      const oldTier = this.normalizeTier(rows[rowIndex - 1][4]);
+
+      await updateSheetData(CONFIG.SHEET_ID, `ลูกค้า!E${rowIndex}`, [[normalizedTier]]);
+      await loadCustomerCache(true);
+
+      Logger.success(`Updated ${name} to ${normalizedTier} tier`);
+      return { success: true, customer: name, oldTier, tier: normalizedTier };
+
+    } catch (error) {
+      Logger.error('updateCustomerTier failed', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  updateCustomerTier(customerName, tier) {
-    this.customerTiers.set(customerName.toLowerCase(), tier);
-    Logger.success(`Updated ${customerName} to ${tier} tier`);
+  normalizeTier(tier) {
+    const normalized = String(tier || '').toLowerCase().trim();
+    return CUSTOMER_TIERS.includes(normalized) ? normalized : 'regular';
   }
 
   getCustomerTier(customerName) {
-    return this.customerTiers.get(customerName.toLowerCase()) || 'regular';
+    if (!customerName) return 'regular';
+
+    const query = customerName.toLowerCase().trim();
+    const customer = getCustomerCache().find(c => c.name.toLowerCase() === query);
+
+    return this.normalizeTier(customer?.tier);
   }
 
-  addPromotion(promotion) {
-    this.promotions.push(promotion);
-    Logger.success(`Added promotion: ${promotion.name}`);
+  /**
+   * Promotions live in the Promotions sheet (see promotionService)
+   */
+  async addPromotion(promotion) {
+    return createPromotion(promotion);
   }
 
-  getActivePromotions() {
-    const now = new Date();
-    return this.promotions.filter(p => 
-      new Date(p.startDate) <= now && new Date(p.endDate) >= now
-    );
+  getActivePromotions(date) {
+    return getActivePromotions(date);
   }
 
-  calculatePrice(item, quantity, customerName) {
-    let basePrice = item.price * quantity;
-    
-    // Apply customer tier discount
+  /**
+   * Pricing is synchronous - call before pricing a batch of lines
+   * (reloads promotions and customer price lists)
+   */
+  async refresh(force = false) {
+    await Promise.all([loadPromotions(force), loadCustomerPrices(force)]);
+  }
+
+  /**
+   * Highest quantity break the line qualifies for (stock column H)
+   * @returns {Object|null} { minQty, price }
+   */
+  getPriceBreak(item, quantity) {
+    const breaks = item.priceBreaks !== undefined
+      ? item.priceBreaks
+      : getStockCache().find(s => s.item === item.item)?.priceBreaks;
+
+    return (breaks || [])
+      .filter(b => quantity >= b.minQty)
+      .reduce((best, b) => (!best || b.minQty > best.minQty ? b : best), null);
+  }
+
+  /**
+   * Line price with every discount itemised
+   * @param {Object} item - stock item ({ item, price })
+   * @returns {Object} { unitPrice, listPrice, customerPrice, gross, discount, amount, discounts: [{ label, amount }], promotion }
+   */
+  calculateLinePrice(item, quantity, customerName) {
+    // A negotiated customer price replaces the stock price
+    const listPrice = item.listPrice !== undefined ? item.listPrice : item.price;
+    const customerPrice = getCustomerPrice(customerName, item.item);
+    const unitPrice = customerPrice !== null ? customerPrice : listPrice;
+
+    const gross = unitPrice * quantity;
+    const discounts = [];
+    let price = gross;
+
+    // Apply the quantity break (a negotiated price already covers volume)
+    const priceBreak = customerPrice === null ? this.getPriceBreak(item, quantity) : null;
+
+    if (priceBreak && priceBreak.price < unitPrice) {
+      const amount = (unitPrice - priceBreak.price) * quantity;
+      price -= amount;
+      discounts.push({ label: `ราคาส่ง ${priceBreak.minQty}+ @${priceBreak.price}฿`, amount: roundMoney(amount) });
+    }
+
+    // Apply customer tier discount (already part of a negotiated price)
     const tier = this.getCustomerTier(customerName);
-    const tierDiscounts = {
-      'vip': 0.10,
-      'gold': 0.05,
-      'regular': 0
-    };
-    
-    const tierDiscount = tierDiscounts[tier] || 0;
-    basePrice *= (1 - tierDiscount);
+    const tierDiscount = customerPrice !== null ? 0 : (TIER_DISCOUNTS[tier] || 0);
+
+    if (tierDiscount > 0) {
+      const amount = price * tierDiscount;
+      price -= amount;
+      discounts.push({ label: `${tier.toUpperCase()} -${tierDiscount * 100}%`, amount: roundMoney(amount) });
+    }
     
-    // Apply promotions
-    const activePromotions = this.getActivePromotions();
-    for (const promo of activePromotions) {
-      if (promo.items.includes(item.item)) {
-        if (promo.type === 'percentage') {
-          basePrice *= (1 - promo.value);
-        } else if (promo.type === 'fixed') {
-          basePrice -= promo.value;
-        }
-      }
+    // Apply the best promotion (promotions don't stack with each other)
+    const category = item.category !== undefined
+      ? item.category
+      : getStockCache().find(s => s.item === item.item)?.category;
+    const best = findBestPromotion({ ...item, price: unitPrice, category }, quantity, price);
+    let promotion = null;
+
+    if (best) {
+      price -= best.discount;
+      promotion = { id: best.promotion.id, name: best.promotion.name };
+      discounts.push({
+        label: `โปร #${best.promotion.id} ${describeRule(best.promotion)}`,
+        amount: roundMoney(best.discount)
+      });
     }
     
-    return Math.max(0, basePrice);
+    const amount = roundMoney(Math.max(0, price));
+
+    return {
+      unitPrice,
+      listPrice,
+      customerPrice: customerPrice !== null,
+      priceBreak,
+      gross,
+      discount: roundMoney(gross - amount),
+      amount,
+      discounts,
+      promotion
+    };
+  }
+
+  calculatePrice(item, quantity, customerName) {
+    return this.calculateLinePrice(item, quantity, customerName).amount;
+  }
+
+  /**
+   * Order-line note, e.g. "ส่วนลด: VIP -10% (-12฿)" or
+   * "ราคาลูกค้า 35฿ (ปกติ 40฿) | ส่วนลด: ..."
+   */
+  formatDiscountNote(pricing) {
+    const parts = [];
+
+    if (pricing.customerPrice) {
+      parts.push(`ราคาลูกค้า ${pricing.unitPrice}฿ (ปกติ ${pricing.listPrice}฿)`);
+    }
+
+    if (pricing.discounts.length) {
+      parts.push('ส่วนลด: ' + pricing.discounts
+        .map(d => `${d.label} (-${d.amount.toLocaleString()}฿)`)
+        .join(', '));
+    }
+
+    return parts.join(' | ');
   }
 }
 
@@ -379,63 +524,81 @@ class CreditManager {
 // ============================================================================
 
 class SalesAnalytics {
+  emptyReport() {
+    return {
+      revenue: 0,
+      cost: 0,
+      grossProfit: 0,
+      grossMargin: 0,
+      waste: 0,
+      netProfit: 0,
+      orders: 0,
+      averageOrderValue: 0,
+      topProducts: [],
+      topCustomers: []
+    };
+  }
+
   async generateSalesReport(period = 'today') {
     try {
-      const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+      const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
       
       if (rows.length <= 1) {
-        return {
-          revenue: 0,
-          orders: 0,
-          averageOrderValue: 0,
-          topProducts: []
-        };
+        return this.emptyReport();
       }
       
       const { startDate, endDate } = this.getPeriodDates(period);
       
-      let revenue = 0;
-      const orderNos = new Set();
-      const productRevenue = new Map();
+      const periodRows = rows.slice(1).filter(row => {
+        const orderDate = new Date(extractGregorianDate(row[1]));
+        return orderDate >= startDate && orderDate <= endDate;
+      });
       
-      for (let i = 1; i < rows.length; i++) {
-        const orderDate = new Date(extractGregorianDate(rows[i][1]));
-        
-        if (orderDate >= startDate && orderDate <= endDate) {
-          const orderNo = rows[i][0];
-          const product = rows[i][3];
-          const amount = parseFloat(rows[i][8] || 0);
-          
-          revenue += amount;
-          orderNos.add(orderNo);
-          
-          productRevenue.set(
-            product, 
-            (productRevenue.get(product) || 0) + amount
-          );
-        }
-      }
+      // Revenue and cost per line, using the unit cost recorded at sale time
+      const summary = summarizeOrderLines(periodRows);
+      const orderNos = new Set(periodRows.map(row => row[0]));
+      
+      // Stock written off in the period is a cost on top of the order lines
+      const waste = summarizeWaste((await readWaste()).filter(w => {
+        const wasteDate = new Date(w.date);
+        return wasteDate >= startDate && wasteDate <= endDate;
+      }));
+      
+      const toEntry = e => ({
+        name: e.name,
+        quantity: e.quantity,
+        revenue: e.sales,
+        cost: e.cost,
+        profit: e.profit,
+        margin: e.margin
+      });
       
-      const topProducts = Array.from(productRevenue.entries())
-        .map(([name, rev]) => ({ name, revenue: rev }))
+      const topProducts = summary.byProduct
+        .map(toEntry)
         .sort((a, b) => b.revenue - a.revenue)
         .slice(0, 10);
       
+      const topCustomers = summary.byCustomer
+        .map(toEntry)
+        .sort((a, b) => b.profit - a.profit)
+        .slice(0, 10);
+      
       return {
-        revenue,
+        revenue: summary.sales,
+        cost: summary.cost,
+        grossProfit: summary.profit,
+        grossMargin: summary.margin,
+        waste: waste.value,
+        netProfit: summary.profit - waste.value,
         orders: orderNos.size,
-        averageOrderValue: orderNos.size > 0 ? revenue / orderNos.size : 0,
-        topProducts
+        averageOrderValue: orderNos.size > 0 ? summary.sales / orderNos.size : 0,
+        topProducts,
+        topCustomers
       };
       
     } catch (error) {
       Logger.error('Sales report generation failed', error);
-      return {
-        revenue: 0,
-        orders: 0,
-        averageOrderValue: 0,
-        topProducts: []
-      };
+      return this.emptyReport();
     }
   }
 
@@ -480,13 +643,25 @@ class SalesAnalytics {
     let report = `📊 รายงานยอดขาย${periodNames[period] || period}\n`;
     report += `${'='.repeat(40)}\n\n`;
     report += `💰 รายได้: ${data.revenue.toLocaleString()}฿\n`;
+    report += `💸 ต้นทุน: ${Math.round(data.cost).toLocaleString()}฿\n`;
+    report += `📊 กำไรขั้นต้น: ${Math.round(data.grossProfit).toLocaleString()}฿ (${data.grossMargin}%)\n`;
+    if (data.waste > 0) {
+      report += `🗑️ ของเสีย: ${Math.round(data.waste).toLocaleString()}฿ → กำไรหลังหัก ${Math.round(data.netProfit).toLocaleString()}฿\n`;
+    }
     report += `📦 ออเดอร์: ${data.orders} รายการ\n`;
     report += `💵 ค่าเฉลี่ย: ${Math.round(data.averageOrderValue).toLocaleString()}฿\n\n`;
     
     if (data.topProducts.length > 0) {
       report += `🏆 สินค้าขายดี:\n`;
       data.topProducts.slice(0, 5).forEach((p, i) => {
-        report += `${i + 1}. ${p.name} - ${p.revenue.toLocaleString()}฿\n`;
+        report += `${i + 1}. ${p.name} - ${p.revenue.toLocaleString()}฿ (กำไร ${p.margin}%)\n`;
+      });
+    }
+    
+    if (data.topCustomers.length > 0) {
+      report += `\n👥 กำไรตามลูกค้า:\n`;
+      data.topCustomers.slice(0, 5).forEach((c, i) => {
+        report += `${i + 1}. ${c.name} - ${Math.round(c.profit).toLocaleString()}฿ (${c.margin}%)\n`;
       });
     }
     
@@ -515,5 +690,7 @@ module.exports = {
   pricingEngine,
   inventoryManager,
   creditManager,
-  salesAnalytics
+  salesAnalytics,
+  CUSTOMER_TIERS,
+  TIER_DISCOUNTS
 };
@@ -5,6 +5,7 @@ const { Logger, PerformanceMonitor } = require('./logger');
 const { normalizeText, generateSKU } = require('./utils');
 const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
 const { stockVectorStore, customerVectorStore } = require('./vectorStore');
+const { parseUnitConversions } = require('./unitConversion');
 
 // ============================================================================
 // CACHE STATE
@@ -87,6 +88,40 @@ function extractCustomerKeywords(name) {
 // STOCK CACHE
 // ============================================================================
 
+/**
+ * Quantity breaks from column H, e.g. "10:35, 50:32" = 35฿ from 10 units,
+ * 32฿ from 50 units (below the first break the ราคาขาย applies)
+ * @returns {Array} [{ minQty, price }] ascending by minQty
+ */
+function parsePriceBreaks(text, itemName = '') {
+  if (!text) return [];
+
+  const breaks = [];
+
+  String(text).split(/[,\n]/).map(s => s.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(\d+)\s*\+?\s*[:=]\s*(\d+(?:\.\d+)?)$/);
+
+    if (!match || parseInt(match[1]) < 2) {
+      Logger.warn(`⚠️ Invalid price break "${part}" for ${itemName} (use "10:35")`);
+      return;
+    }
+
+    breaks.push({ minQty: parseInt(match[1]), price: parseFloat(match[2]) });
+  });
+
+  return breaks.sort((a, b) => a.minQty - b.minQty);
+}
+
+/**
+ * จุดสั่งซื้อ / ระดับเป้าหมาย (columns J, K) - null when empty or invalid
+ */
+function parseLevel(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const level = parseInt(value);
+  return isNaN(level) || level < 0 ? null : level;
+}
+
 async function loadStockCache(forceReload = false) {
   try {
     const now = Date.now();
@@ -98,7 +133,7 @@ async function loadStockCache(forceReload = false) {
     PerformanceMonitor.start('loadStockCache');
     Logger.info('📦 Loading stock from Google Sheets...');
 
-    const rows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:K');
 
     if (rows.length <= 1) {
       Logger.warn('⚠️ No stock data found - sheet may be empty');
@@ -115,7 +150,12 @@ async function loadStockCache(forceReload = false) {
         unit: (row[3] || '').trim(),
         stock: parseInt(row[4] || 0),
         category: (row[5] || '').trim(),
-        sku: (row[6] || '').trim()
+        sku: (row[6] || '').trim(),
+        priceBreaks: parsePriceBreaks(row[7], row[0]),
+        unitConversions: parseUnitConversions(row[8], row[0]),
+        // Empty = defaults in stockAlertService
+        reorderPoint: parseLevel(row[9]),
+        targetLevel: parseLevel(row[10])
       }));
 
     // Generate missing SKUs
@@ -209,7 +249,7 @@ async function loadCustomerCache(forceReload = false) {
     PerformanceMonitor.start('loadCustomerCache');
     Logger.info('👤 Loading customers from Google Sheets...');
 
-    const rows = await getSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:D');
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:E');
     
     if (rows.length <= 1) {
       Logger.warn('⚠️ No customer data found - sheet may be empty');
@@ -224,6 +264,7 @@ async function loadCustomerCache(forceReload = false) {
         phone: (row[1] || '').trim(),
         address: (row[2] || '').trim(),
         notes: (row[3] || '').trim(),
+        tier: (row[4] || '').trim().toLowerCase() || 'regular',
         normalized: normalizeText(row[0] || '')
       }))
       .filter(c => c.name.length >= 2); // Remove invalid entries
@@ -58,7 +58,8 @@ async function cleanupPaidOrders() {
   try {
     Logger.info('🧹 Starting cleanup of paid orders...');
 
-    const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:J');
+    // A:M - location (L) and lots taken (M) must move with their rows
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:M');
     
     if (rows.length <= 1) {
       Logger.info('No orders to clean');
@@ -115,11 +116,11 @@ async function cleanupPaidOrders() {
       return { deleted: 0 };
     }
 
-    // Update sheet
+    // Update sheet - short rows padded so a row moving up clears the cells it lands on
     await batchUpdateSheet(CONFIG.SHEET_ID, [
       {
-        range: 'คำสั่งซื้อ!A:J',
-        values: rowsToKeep
+        range: 'คำสั่งซื้อ!A:M',
+        values: rowsToKeep.map(row => row.concat(new Array(Math.max(0, 13 - row.length)).fill('')))
       }
     ]);
 
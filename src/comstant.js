@@ -96,7 +96,19 @@ module.exports = {
     CREDIT: 'เครดิต',
     DASHBOARD: 'Dashboard',
     INBOX: 'Inbox',
-    VARIANCE: 'VarianceLog'
+    VARIANCE: 'VarianceLog',
+    META: 'Meta',
+    JOURNAL: 'Journal',
+    STANDING_ORDERS: 'StandingOrders',
+    PROMOTIONS: 'Promotions',
+    CUSTOMER_PRICES: 'CustomerPrices',
+    SUPPLIERS: 'Suppliers',
+    PURCHASE_ORDERS: 'PurchaseOrders',
+    BUNDLES: 'Bundles',
+    LOCATIONS: 'Locations',
+    LOCATION_STOCK: 'LocationStock',
+    LOTS: 'Lots',
+    WASTE: 'Waste'
   },
   
   // Date formats
@@ -116,5 +128,9 @@ module.exports = {
   CLEANUP: {
     PAID_ORDER_RETENTION_DAYS: 30,
     RUN_HOUR: 3 // 3 AM
-  }
+  },
+
+  // Order line notes (column F): waiting for restock / cancelled (stock already returned)
+  BACKORDER_TAG: '[ค้างส่ง]',
+  CANCELLED_TAG: '[ยกเลิกแล้ว]'
 };
\ No newline at end of file
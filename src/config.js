@@ -10,8 +10,12 @@ if (dotenvResult.error) {
 class ConfigManager {
   constructor() {
     this._config = {
+      // Storage Backend Selection
+      STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'sheets', // 'sheets' | 'local'
+      LOCAL_STORAGE_PATH: process.env.LOCAL_STORAGE_PATH || './data/local-store.json',
+      
       // Google Sheets
-      SHEET_ID: process.env.SHEET_ID,
+      SHEET_ID: process.env.SHEET_ID || (process.env.STORAGE_BACKEND === 'local' ? 'local' : undefined),
       
       // LINE Bot
       LINE_TOKEN: process.env.LINE_TOKEN,
@@ -28,6 +32,27 @@ class ConfigManager {
       // Admin
       ADMIN_USER_IDS: (process.env.ADMIN_USER_IDS || '').split(',').filter(Boolean),
       
+      // Standing orders are generated daily at this Bangkok time (HH:mm)
+      STANDING_ORDER_TIME: process.env.STANDING_ORDER_TIME || '06:00',
+      
+      // Restocking fills waiting backorders automatically (false = list only)
+      BACKORDER_AUTO_FILL: process.env.BACKORDER_AUTO_FILL !== 'false',
+      
+      // Location that holds whatever stock isn't on a truck / in another room
+      DEFAULT_STOCK_LOCATION: process.env.DEFAULT_STOCK_LOCATION || 'ร้าน',
+      
+      // Near-expiry lots are pushed to admins daily at this Bangkok time (HH:mm)
+      EXPIRY_ALERT_TIME: process.env.EXPIRY_ALERT_TIME || '08:00',
+      EXPIRY_ALERT_DAYS: parseInt(process.env.EXPIRY_ALERT_DAYS || '7'),
+      
+      // Reason codes accepted by "เสีย [สินค้า] [จำนวน] [เหตุผล]" (comma-separated)
+      WASTE_REASONS: (process.env.WASTE_REASONS || 'ละลาย,แตก,หมดอายุ,เสียหาย,หาย')
+        .split(',').map(r => r.trim()).filter(Boolean),
+      
+      // Products that sell out within STOCKOUT_ALERT_DAYS are pushed daily at this time
+      STOCKOUT_ALERT_TIME: process.env.STOCKOUT_ALERT_TIME || '07:00',
+      STOCKOUT_ALERT_DAYS: parseInt(process.env.STOCKOUT_ALERT_DAYS || '3'),
+      
       // Config
       CACHE_DURATION: 5 * 60 * 1000,
       PORT: process.env.PORT || 3000,
@@ -50,12 +75,26 @@ class ConfigManager {
 
     // Required for all setups
     const required = [
-      'SHEET_ID',
       'LINE_TOKEN',
-      'LINE_SECRET',
-      'GOOGLE_APPLICATION_CREDENTIALS_BASE64'
+      'LINE_SECRET'
     ];
     
+    // Google credentials only needed when Sheets is the storage backend
+    const storageBackend = this._config.STORAGE_BACKEND;
+    
+    switch (storageBackend) {
+      case 'sheets':
+        required.push('SHEET_ID', 'GOOGLE_APPLICATION_CREDENTIALS_BASE64');
+        break;
+      
+      case 'local':
+        console.log(`✅ Using local storage at ${this._config.LOCAL_STORAGE_PATH}`);
+        break;
+      
+      default:
+        throw new Error(`❌ Unknown STORAGE_BACKEND: ${storageBackend}. Use 'sheets' or 'local'`);
+    }
+    
     const missing = required.filter(key => !process.env[key]);
     if (missing.length > 0) {
       console.error('❌ CRITICAL: Missing environment variables:');
@@ -90,7 +129,7 @@ class ConfigManager {
     }
 
     this._validated = true;
-    console.log(`✅ Config validated (AI Provider: ${provider})`);
+    console.log(`✅ Config validated (AI Provider: ${provider}, Storage: ${storageBackend})`);
     return true;
   }
 
@@ -0,0 +1,117 @@
+// src/conversationState.js - Per-user pending conversation state with expiry
+const { Logger } = require('./logger');
+
+// ============================================================================
+// STATE TYPES & DEFAULT EXPIRY
+// ============================================================================
+
+const STATE_TYPES = {
+  PENDING_ORDER: 'pending_order',
+  PENDING_CHOICE: 'pending_choice',
+  STOCKTAKE: 'stocktake'
+};
+
+const DEFAULT_TTL = 10 * 60 * 1000; // 10 minutes
+
+// ============================================================================
+// CONVERSATION STORE
+// ============================================================================
+
+class ConversationStore {
+  constructor() {
+    this.states = new Map(); // userId -> Map(type -> { data, expiresAt })
+
+    setInterval(() => this.cleanupExpired(), 60 * 1000).unref();
+  }
+
+  set(userId, type, data, ttlMs = DEFAULT_TTL) {
+    if (!this.states.has(userId)) {
+      this.states.set(userId, new Map());
+    }
+
+    const expiresAt = Date.now() + ttlMs;
+    this.states.get(userId).set(type, { data, expiresAt });
+
+    Logger.debug(`💬 State set: ${userId.substring(0, 8)} → ${type}`);
+    return expiresAt;
+  }
+
+  get(userId, type) {
+    const userStates = this.states.get(userId);
+    if (!userStates) return null;
+
+    const state = userStates.get(type);
+    if (!state) return null;
+
+    if (Date.now() > state.expiresAt) {
+      this.clear(userId, type);
+      return null;
+    }
+
+    return state.data;
+  }
+
+  has(userId, type) {
+    return this.get(userId, type) !== null;
+  }
+
+  /**
+   * Remove and return a state in one step (prevents double-confirmation)
+   */
+  take(userId, type) {
+    const data = this.get(userId, type);
+    if (data !== null) {
+      this.clear(userId, type);
+    }
+    return data;
+  }
+
+  clear(userId, type) {
+    const userStates = this.states.get(userId);
+    if (!userStates) return;
+
+    userStates.delete(type);
+    if (userStates.size === 0) {
+      this.states.delete(userId);
+    }
+  }
+
+  cleanupExpired() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [userId, userStates] of this.states.entries()) {
+      for (const [type, state] of userStates.entries()) {
+        if (now > state.expiresAt) {
+          userStates.delete(type);
+          cleaned++;
+        }
+      }
+      if (userStates.size === 0) {
+        this.states.delete(userId);
+      }
+    }
+
+    if (cleaned > 0) {
+      Logger.info(`🧹 Expired ${cleaned} conversation state(s)`);
+    }
+  }
+
+  getStats() {
+    let total = 0;
+    for (const userStates of this.states.values()) {
+      total += userStates.size;
+    }
+    return { users: this.states.size, states: total };
+  }
+}
+
+// Singleton
+const conversationStore = new ConversationStore();
+
+module.exports = {
+  ConversationStore,
+  conversationStore,
+  STATE_TYPES,
+  DEFAULT_TTL
+};
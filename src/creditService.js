@@ -240,6 +240,118 @@ async function markCreditAsPaid(orderNo) {
   }
 }
 
+// ============================================================================
+// UPDATE CREDIT AMOUNT - After order edits
+// ============================================================================
+
+async function updateCreditAmount(orderNo, newAmount, note = '') {
+  try {
+    // Always search the sheet - the cached row index may be stale after edits
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'เครดิต!A:G');
+    let rowIndex = null;
+
+    for (let i = 1; i < rows.length; i++) {
+      if (String(rows[i][2]) === String(orderNo)) {
+        rowIndex = i + 1;
+        break;
+      }
+    }
+
+    if (!rowIndex) {
+      Logger.warn(`⚠️ No credit entry found for order #${orderNo}`);
+      return { success: false, reason: 'not_found' };
+    }
+
+    creditCache.set(orderNo, rowIndex);
+
+    const row = rows[rowIndex - 1];
+    const oldAmount = parseFloat(row[3] || 0);
+
+    if (row[4] === 'ชำระแล้ว') {
+      Logger.info(`✓ Credit #${orderNo} already paid - amount left unchanged`);
+      return { success: false, reason: 'already_paid', oldAmount };
+    }
+
+    const existingNote = row[6] || '';
+    const updatedNote = note
+      ? (existingNote ? `${existingNote} | ${note}` : note)
+      : existingNote;
+
+    await updateSheetData(
+      CONFIG.SHEET_ID,
+      `เครดิต!D${rowIndex}:G${rowIndex}`,
+      [[newAmount, null, null, updatedNote]]
+    );
+
+    Logger.success(`✅ Credit updated: #${orderNo} ${oldAmount}฿ → ${newAmount}฿`);
+
+    return {
+      success: true,
+      orderNo,
+      oldAmount,
+      newAmount,
+      rowIndex
+    };
+
+  } catch (error) {
+    Logger.error('updateCreditAmount failed', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// ============================================================================
+// ADD CHARGE - Amount added to an order after it was paid (backorder fills)
+// ============================================================================
+
+/**
+ * Put `amount` on the order's credit: a paid entry is reopened for just
+ * that amount, an open one grows by it, a missing one is created.
+ */
+async function addCreditCharge(orderNo, customer, amount, note = '') {
+  try {
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'เครดิต!A:G');
+    let rowIndex = null;
+
+    for (let i = 1; i < rows.length; i++) {
+      if (String(rows[i][2]) === String(orderNo)) {
+        rowIndex = i + 1;
+        break;
+      }
+    }
+
+    if (!rowIndex) {
+      return await createCreditEntry({ orderNo, customer, totalAmount: amount });
+    }
+
+    creditCache.set(orderNo, rowIndex);
+
+    const row = rows[rowIndex - 1];
+    const wasPaid = row[4] === 'ชำระแล้ว';
+    const newAmount = wasPaid ? amount : parseFloat(row[3] || 0) + amount;
+    const existingNote = row[6] || '';
+    const updatedNote = note
+      ? (existingNote ? `${existingNote} | ${note}` : note)
+      : existingNote;
+
+    await updateSheetData(
+      CONFIG.SHEET_ID,
+      `เครดิต!D${rowIndex}:G${rowIndex}`,
+      [[newAmount, 'ค้างชำระ', null, updatedNote]]
+    );
+
+    Logger.success(`✅ Credit #${orderNo} ${wasPaid ? 'reopened' : 'increased'}: +${amount}฿ → ${newAmount}฿`);
+
+    return { success: true, orderNo, newAmount, reopened: wasPaid, rowIndex };
+
+  } catch (error) {
+    Logger.error('addCreditCharge failed', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // ============================================================================
 // GET CREDIT SUMMARY WITH ALERTS
 // ============================================================================
@@ -474,6 +586,8 @@ async function refreshCreditCache() {
 module.exports = {
   createCreditEntry,
   markCreditAsPaid,
+  updateCreditAmount,
+  addCreditCharge,
   getCreditSummaryWithAlerts,
   generateEnhancedCreditReport,
   generateCreditAlerts,
@@ -0,0 +1,285 @@
+// src/customerPriceService.js - Negotiated per-customer prices (CustomerPrices sheet)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString, formatDateForDisplay } = require('./utils');
+const { getSheetData, appendSheetData } = require('./googleServices');
+const { getStockCache, getCustomerCache } = require('./cacheManager');
+const { resolveStockItem } = require('./stockAdjustment');
+const { parseDateInput } = require('./promotionService');
+
+// ============================================================================
+// SHEET LAYOUT: ลูกค้า | สินค้า | ราคา | เริ่มใช้ | บันทึกเมื่อ
+// A new row supersedes older ones from its เริ่มใช้ date; an empty ราคา
+// returns the customer to the stock price.
+// ============================================================================
+
+const CUSTOMER_PRICES_RANGE = 'CustomerPrices!A:E';
+
+// ============================================================================
+// CACHE - pricing is synchronous, so the price list is kept in memory
+// ============================================================================
+
+let priceCache = [];
+let lastLoadTime = 0;
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+async function loadCustomerPrices(forceReload = false) {
+  const now = Date.now();
+  if (!forceReload && lastLoadTime && (now - lastLoadTime) < CONFIG.CACHE_DURATION) {
+    return priceCache;
+  }
+
+  try {
+    const rows = await getSheetData(CONFIG.SHEET_ID, CUSTOMER_PRICES_RANGE);
+
+    priceCache = rows.slice(1)
+      .filter(row => row[0] && row[1])
+      .map((row, i) => ({
+        seq: i,
+        customer: row[0].trim(),
+        product: row[1].trim(),
+        price: row[2] === '' || row[2] === undefined || row[2] === null ? null : parseFloat(row[2]),
+        validFrom: row[3] || ''
+      }));
+
+    lastLoadTime = now;
+    Logger.debug(`💲 Customer prices loaded: ${priceCache.length}`);
+
+  } catch (error) {
+    // Keep pricing with what we had rather than failing orders
+    Logger.error('loadCustomerPrices failed - using cached prices', error);
+  }
+
+  return priceCache;
+}
+
+/**
+ * Entry in force for one customer/product on a date (latest เริ่มใช้ wins,
+ * later rows win ties)
+ */
+function findEntry(customerName, productName, date) {
+  const customer = normalizeName(customerName);
+  const product = normalizeName(productName);
+  let current = null;
+
+  for (const entry of priceCache) {
+    if (normalizeName(entry.customer) !== customer) continue;
+    if (normalizeName(entry.product) !== product) continue;
+    if (entry.validFrom && entry.validFrom > date) continue;
+
+    if (!current || entry.validFrom > current.validFrom ||
+        (entry.validFrom === current.validFrom && entry.seq > current.seq)) {
+      current = entry;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * @returns {number|null} negotiated price, or null to use the stock price
+ */
+function getCustomerPrice(customerName, productName, date = getThaiDateString()) {
+  if (!customerName) return null;
+  const entry = findEntry(customerName, productName, date);
+  return entry && entry.price !== null && !isNaN(entry.price) ? entry.price : null;
+}
+
+/**
+ * Copies of stock items carrying the customer's prices (index order kept,
+ * so catalog IDs still point at the same stock rows)
+ */
+function applyCustomerPrices(stockItems, customerName) {
+  if (!customerName) return stockItems;
+
+  return stockItems.map(item => {
+    const price = getCustomerPrice(customerName, item.item);
+    // A negotiated price replaces quantity breaks too
+    return price === null ? item : { ...item, price, listPrice: item.price, priceBreaks: [] };
+  });
+}
+
+/**
+ * Current and upcoming prices for one customer
+ */
+function getCustomerPriceList(customerName, date = getThaiDateString()) {
+  const customer = normalizeName(customerName);
+  const products = [...new Set(
+    priceCache.filter(e => normalizeName(e.customer) === customer).map(e => e.product)
+  )];
+
+  return products.map(product => {
+    const current = findEntry(customerName, product, date);
+    const upcoming = priceCache
+      .filter(e =>
+        normalizeName(e.customer) === customer &&
+        normalizeName(e.product) === normalizeName(product) &&
+        e.validFrom > date
+      )
+      .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+
+    return { product, current, upcoming };
+  }).filter(p => (p.current && p.current.price !== null) || p.upcoming.length > 0);
+}
+
+// ============================================================================
+// SHEET WRITES
+// ============================================================================
+
+/**
+ * @param {number|null} price - null returns the customer to the stock price
+ */
+async function setCustomerPrice(customerName, productName, price, validFrom = getThaiDateString()) {
+  await appendSheetData(CONFIG.SHEET_ID, CUSTOMER_PRICES_RANGE, [[
+    customerName,
+    productName,
+    price === null ? '' : price,
+    validFrom,
+    getThaiDateTimeString()
+  ]]);
+
+  await loadCustomerPrices(true);
+
+  Logger.success(`💲 Price set: ${customerName} / ${productName} → ${price === null ? 'list price' : price + '฿'} from ${validFrom}`);
+  return { success: true, customer: customerName, product: productName, price, validFrom };
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// "ราคา เจ๊แอน"                      → view
+// "ราคา เจ๊แอน น้ำแข็ง 35"            → set from today
+// "ราคา เจ๊แอน น้ำแข็ง 35 ตั้งแต่ 1/11" → set from a date
+// "ราคา เจ๊แอน น้ำแข็ง ปกติ"          → back to the stock price
+// ============================================================================
+
+function resolveCustomer(text) {
+  const lower = normalizeName(text);
+
+  // Longest known name first so "เจ๊แอน สาขา2" beats "เจ๊แอน"
+  const known = getCustomerCache()
+    .map(c => c.name)
+    .sort((a, b) => b.length - a.length)
+    .find(name => lower === normalizeName(name) || lower.startsWith(normalizeName(name) + ' '));
+
+  if (known) {
+    return { customer: known, rest: text.trim().slice(known.length).trim() };
+  }
+
+  const [first, ...rest] = text.trim().split(/\s+/);
+  return { customer: first, rest: rest.join(' '), unknown: true };
+}
+
+async function formatCustomerPriceList(customerName) {
+  await loadCustomerPrices(true);
+  const list = getCustomerPriceList(customerName);
+  const stockCache = getStockCache();
+
+  if (list.length === 0) {
+    return `💲 ${customerName} ยังไม่มีราคาพิเศษ (ใช้ราคาขายปกติ)\n\n` +
+      `💡 ตั้งราคา: "ราคา ${customerName} [สินค้า] [ราคา]"`;
+  }
+
+  let msg = `💲 ราคาพิเศษ: ${customerName}\n\n`;
+
+  list.forEach(({ product, current, upcoming }) => {
+    const listPrice = stockCache.find(s => normalizeName(s.item) === normalizeName(product))?.price;
+    const listText = listPrice !== undefined ? ` (ปกติ ${listPrice}฿)` : '';
+
+    if (current && current.price !== null) {
+      msg += `• ${product}: ${current.price}฿${listText}\n`;
+    } else {
+      msg += `• ${product}: ราคาปกติ${listText}\n`;
+    }
+
+    upcoming.forEach(u => {
+      const text = u.price === null ? 'ราคาปกติ' : `${u.price}฿`;
+      msg += `   ⏳ ${text} ตั้งแต่ ${formatDateForDisplay(u.validFrom)}\n`;
+    });
+  });
+
+  msg += `\n💡 "ราคา ${customerName} [สินค้า] ปกติ" - กลับไปใช้ราคาขาย`;
+  return msg;
+}
+
+async function handleCustomerPriceCommand(text) {
+  try {
+    const body = text.trim().replace(/^ราคา\s*/, '');
+
+    if (!body) {
+      return {
+        success: true,
+        message: `💲 ราคาพิเศษลูกค้า\n\n` +
+          `• "ราคา [ร้าน]" - ดูราคาของร้าน\n` +
+          `• "ราคา [ร้าน] [สินค้า] [ราคา]" - ตั้งราคา\n` +
+          `• "ราคา [ร้าน] [สินค้า] [ราคา] ตั้งแต่ 1/11" - ตั้งล่วงหน้า\n` +
+          `• "ราคา [ร้าน] [สินค้า] ปกติ" - ใช้ราคาขายปกติ`
+      };
+    }
+
+    const { customer, rest, unknown } = resolveCustomer(body);
+
+    if (!rest) {
+      return { success: true, message: await formatCustomerPriceList(customer) };
+    }
+
+    if (unknown) {
+      return { success: false, message: `❌ ไม่พบลูกค้า: ${customer}` };
+    }
+
+    const match = rest.match(/^(.+?)\s+(\d+(?:\.\d+)?|ปกติ)(?:\s*(?:บาท|฿))?(?:\s+ตั้งแต่\s*(\S+))?$/);
+    if (!match) {
+      return { success: false, message: `❌ รูปแบบไม่ถูกต้อง\n\n💡 "ราคา ${customer} [สินค้า] [ราคา]"` };
+    }
+
+    const product = resolveStockItem(match[1]);
+    if (product.error) {
+      return { success: false, message: `❌ ${product.error}` };
+    }
+
+    let validFrom = getThaiDateString();
+    if (match[3]) {
+      validFrom = parseDateInput(match[3]);
+      if (!validFrom) {
+        return { success: false, message: '❌ วันที่ไม่ถูกต้อง (ใช้ วว/ดด หรือ วว/ดด/ปปปป)' };
+      }
+    }
+
+    const price = match[2] === 'ปกติ' ? null : parseFloat(match[2]);
+    if (price !== null && price <= 0) {
+      return { success: false, message: '❌ ราคาต้องมากกว่า 0' };
+    }
+
+    const { stockItem } = product;
+    await setCustomerPrice(customer, stockItem.item, price, validFrom);
+
+    const when = validFrom === getThaiDateString() ? 'วันนี้' : formatDateForDisplay(validFrom);
+    const priceText = price === null
+      ? `ราคาปกติ ${stockItem.price}฿`
+      : `${price}฿ (ปกติ ${stockItem.price}฿)`;
+
+    return {
+      success: true,
+      message: `✅ ตั้งราคาแล้ว\n\n👤 ${customer}\n📦 ${stockItem.item}\n💲 ${priceText}\n📅 เริ่ม ${when}`
+    };
+
+  } catch (error) {
+    Logger.error('Customer price command failed', error);
+    return { success: false, message: '❌ ตั้งราคาไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadCustomerPrices,
+  getCustomerPrice,
+  applyCustomerPrices,
+  getCustomerPriceList,
+  setCustomerPrice,
+  handleCustomerPriceCommand
+};
@@ -16,7 +16,7 @@ async function autoAddCustomer(customerName) {
     }
 
     // Check if already exists
-    const rows = await getSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:D');
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:E');
     const exists = rows.slice(1).some(row => 
       (row[0] || '').trim().toLowerCase() === customerName.toLowerCase()
     );
@@ -31,10 +31,11 @@ async function autoAddCustomer(customerName) {
       customerName,
       '',  // Phone (empty)
       '',  // Address (empty)
-      '[Auto-added from order]'  // Notes
+      '[Auto-added from order]', // Notes
+      'regular'                  // Tier (pricing)
     ];
 
-    await appendSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:D', [row]);
+    await appendSheetData(CONFIG.SHEET_ID, 'ลูกค้า!A:E', [row]);
     Logger.success(`✅ Auto-added new customer: ${customerName}`);
 
     // Reload cache
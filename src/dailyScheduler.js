@@ -0,0 +1,69 @@
+// src/dailyScheduler.js - "Once a day at or after HH:MM" jobs (Bangkok time)
+const { Logger } = require('./logger');
+const { getThaiDateString } = require('./utils');
+
+// ============================================================================
+// DAILY JOBS
+// Checked every minute. A job runs once per day at or after its time and
+// is retried every minute until it succeeds. The last run is only kept in
+// memory, so a restart after the time runs that day's job again - jobs
+// that must not repeat keep their own record (standing orders: column G).
+// ============================================================================
+
+/**
+ * @param {string} time - "HH:MM"
+ * @param {Function} task - async (today) => void
+ * @param {Object} options
+ * @param {string} options.label - name for the logs
+ * @param {Function} options.onFailure - async (error, today) => void, called
+ *   on the first failure of each day only (the retries fail quietly)
+ */
+function scheduleDaily(time, task, { label = 'Daily job', onFailure = null } = {}) {
+  const [runHour, runMinute] = time.split(':').map(n => parseInt(n));
+  let lastRunDate = null;
+  let lastFailureDate = null;
+  let running = false;
+
+  const checkAndRun = async () => {
+    const now = new Date();
+    const bangkokTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Bangkok' }));
+    const today = getThaiDateString();
+    const minutesNow = bangkokTime.getHours() * 60 + bangkokTime.getMinutes();
+
+    if (running || lastRunDate === today || minutesNow < runHour * 60 + runMinute) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await task(today);
+      lastRunDate = today;
+
+    } catch (error) {
+      Logger.error(`${label} run failed`, error);
+
+      if (onFailure && lastFailureDate !== today) {
+        lastFailureDate = today;
+        try {
+          await onFailure(error, today);
+        } catch (notifyError) {
+          Logger.error(`${label} failure notice failed`, notifyError);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  setInterval(checkAndRun, 60 * 1000);
+  Logger.success(`✅ ${label} scheduler initialized (runs daily at ${time})`);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  scheduleDaily
+};
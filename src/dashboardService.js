@@ -9,6 +9,8 @@ const {
   getDateRange 
 } = require('./utils'); // ✅ Use standardized date functions
 const { getSheetData, appendSheetData } = require('./googleServices');
+const { summarizeOrderLines, formatMarginBreakdown, isSoldLine } = require('./profitService');
+const { readWaste, summarizeWaste, formatWasteBreakdown } = require('./wasteService');
 
 /**
  * ✅ FIX #3: Generate daily summary with correct date filtering
@@ -20,7 +22,7 @@ async function generateDailySummary(targetDate = null) {
     const date = targetDate || getThaiDateString();
     Logger.info(`📊 Generating summary for ${date}...`);
 
-    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
     
     if (orderRows.length <= 1) {
       return `📊 สรุปยอดขาย ${formatDateForDisplay(date)}\n\n❌ ไม่มีออเดอร์`;
@@ -37,38 +39,29 @@ async function generateDailySummary(targetDate = null) {
       return `📊 สรุปยอดขาย ${formatDateForDisplay(date)}\n\n❌ ไม่มีออเดอร์วันนี้`;
     }
 
-    let totalSales = 0;
-    let totalCost = 0;
-    const productCount = {};
-    const customerOrders = {};
+    // Cost comes from the unit cost recorded on each line at sale time
+    const summary = summarizeOrderLines(todayOrders);
+    const { backorderLines } = summary;
+    const totalSales = summary.sales;
+    const totalCost = summary.cost;
+    const totalProfit = summary.profit;
+    const profitMargin = summary.margin;
 
-    for (const order of todayOrders) {
-      const customer = order[2] || 'ไม่ระบุ';
-      const product = order[3] || '';
-      const quantity = parseInt(order[4] || 0);
-      const amount = parseFloat(order[8] || 0);
-      
-      customerOrders[customer] = (customerOrders[customer] || 0) + 1;
-      
-      totalSales += amount;
-      
-      // Calculate cost (you might need to look this up from stock)
-      // For now, estimate cost as 60% of sale price
-      totalCost += (amount * 0.6);
-      
-      productCount[product] = (productCount[product] || 0) + quantity;
-    }
-    
-    const totalProfit = totalSales - totalCost;
-    const profitMargin = totalSales > 0 ? ((totalProfit / totalSales) * 100).toFixed(1) : 0;
+    // Written-off stock is a cost of the day, not of any order
+    const waste = summarizeWaste((await readWaste()).filter(w => w.date === date));
 
     // Top products
-    const topProducts = Object.entries(productCount)
-      .sort((a, b) => b[1] - a[1])
+    const topProducts = [...summary.byProduct]
+      .sort((a, b) => b.quantity - a.quantity)
       .slice(0, 5)
-      .map(([name, qty]) => `${name} (${qty})`);
+      .map(p => `${p.name} (${p.quantity})`);
 
     // Top customers
+    const customerOrders = {};
+    todayOrders.filter(isSoldLine).forEach(order => {
+      const customer = order[2] || 'ไม่ระบุ';
+      customerOrders[customer] = (customerOrders[customer] || 0) + 1;
+    });
     const topCustomers = Object.entries(customerOrders)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 3)
@@ -76,12 +69,20 @@ async function generateDailySummary(targetDate = null) {
 
     let msg = `📊 สรุปยอดขายประจำวัน\n${'='.repeat(40)}\n\n`;
     msg += `📅 วันที่: ${formatDateForDisplay(date)}\n\n`;
-    msg += `📦 จำนวนออเดอร์: ${todayOrders.length} รายการ\n\n`;
+    msg += `📦 จำนวนออเดอร์: ${todayOrders.length} รายการ\n`;
+    if (backorderLines > 0) {
+      msg += `⏳ ค้างส่ง: ${backorderLines} รายการ\n`;
+    }
+    msg += `\n`;
     msg += `💰 การเงิน:\n`;
     msg += `   • ต้นทุน: ${totalCost.toLocaleString()}฿\n`;
     msg += `   • ยอดขาย: ${totalSales.toLocaleString()}฿\n`;
-    msg += `   • กำไร: ${totalProfit.toLocaleString()}฿\n`;
-    msg += `   • กำไรสุทธิ: ${profitMargin}%\n\n`;
+    msg += `   • กำไรขั้นต้น: ${totalProfit.toLocaleString()}฿\n`;
+    if (waste.count > 0) {
+      msg += `   • ของเสีย: ${Math.round(waste.value).toLocaleString()}฿ (${waste.count} รายการ)\n`;
+      msg += `   • กำไรหลังหักของเสีย: ${Math.round(totalProfit - waste.value).toLocaleString()}฿\n`;
+    }
+    msg += `   • อัตรากำไร: ${profitMargin}%\n\n`;
     
     if (topProducts.length > 0) {
       msg += `🏆 สินค้าขายดี Top ${topProducts.length}:\n`;
@@ -92,11 +93,15 @@ async function generateDailySummary(targetDate = null) {
     if (topCustomers.length > 0) {
       msg += `👑 ลูกค้าประจำ:\n`;
       topCustomers.forEach((c, i) => msg += `   ${i + 1}. ${c}\n`);
+      msg += `\n`;
     }
 
+    msg += formatWasteBreakdown(waste);
+    msg += formatMarginBreakdown(summary);
+
     // Save to Dashboard
     try {
-      const dashRows = await getSheetData(CONFIG.SHEET_ID, 'Dashboard!A:F');
+      const dashRows = await getSheetData(CONFIG.SHEET_ID, 'Dashboard!A:H');
       const exists = dashRows.slice(1).some(row => row[0] === date);
       
       if (!exists) {
@@ -106,9 +111,11 @@ async function generateDailySummary(targetDate = null) {
           totalCost,
           totalSales,
           totalProfit,
-          topProducts.join(', ')
+          topProducts.join(', '),
+          profitMargin,
+          waste.value
         ];
-        await appendSheetData(CONFIG.SHEET_ID, 'Dashboard!A:F', [row]);
+        await appendSheetData(CONFIG.SHEET_ID, 'Dashboard!A:H', [row]);
         Logger.success(`✅ Saved to Dashboard: ${date}`);
       }
     } catch (dashError) {
@@ -131,7 +138,7 @@ async function generateRangeSummary(period = 'week') {
     const { startDate, endDate } = getDateRange(period);
     Logger.info(`📊 Generating ${period} summary: ${startDate} to ${endDate}`);
 
-    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
     
     if (orderRows.length <= 1) {
       return `📊 สรุปยอดขาย (${period})\n\n❌ ไม่มีออเดอร์`;
@@ -147,21 +154,21 @@ async function generateRangeSummary(period = 'week') {
       return `📊 สรุปยอดขาย (${period})\n\n❌ ไม่มีออเดอร์ในช่วงนี้`;
     }
 
-    let totalSales = 0;
+    const summary = summarizeOrderLines(periodOrders);
+    const totalSales = summary.sales;
     const dailyOrders = {};
 
+    const wasteEntries = (await readWaste()).filter(w => isDateInRange(w.date, startDate, endDate));
+    const waste = summarizeWaste(wasteEntries);
+
     for (const order of periodOrders) {
       const orderDate = extractGregorianDate(order[1]);
-      const amount = parseFloat(order[8] || 0);
-      
-      totalSales += amount;
       
       if (!dailyOrders[orderDate]) {
-        dailyOrders[orderDate] = { count: 0, sales: 0 };
+        dailyOrders[orderDate] = [];
       }
       
-      dailyOrders[orderDate].count++;
-      dailyOrders[orderDate].sales += amount;
+      dailyOrders[orderDate].push(order);
     }
 
     const avgDailySales = totalSales / Object.keys(dailyOrders).length;
@@ -170,16 +177,26 @@ async function generateRangeSummary(period = 'week') {
     msg += `📅 ช่วงเวลา: ${formatDateForDisplay(startDate)} - ${formatDateForDisplay(endDate)}\n\n`;
     msg += `📦 จำนวนออเดอร์: ${periodOrders.length} รายการ\n`;
     msg += `💰 ยอดขายรวม: ${totalSales.toLocaleString()}฿\n`;
+    msg += `💸 ต้นทุนรวม: ${Math.round(summary.cost).toLocaleString()}฿\n`;
+    msg += `📊 กำไรขั้นต้น: ${Math.round(summary.profit).toLocaleString()}฿ (${summary.margin}%)\n`;
+    if (waste.count > 0) {
+      msg += `🗑️ ของเสีย: ${Math.round(waste.value).toLocaleString()}฿ → กำไรหลังหัก ${Math.round(summary.profit - waste.value).toLocaleString()}฿\n`;
+    }
     msg += `📈 เฉลี่ยต่อวัน: ${Math.round(avgDailySales).toLocaleString()}฿\n\n`;
     
     msg += `📆 รายวัน:\n`;
     Object.entries(dailyOrders)
       .sort((a, b) => b[0].localeCompare(a[0]))
       .slice(0, 7)
-      .forEach(([date, data]) => {
-        msg += `  ${formatDateForDisplay(date)}: ${data.count} ออเดอร์, ${data.sales.toLocaleString()}฿\n`;
+      .forEach(([date, orders]) => {
+        const day = summarizeOrderLines(orders);
+        const dayWaste = summarizeWaste(wasteEntries.filter(w => w.date === date));
+        msg += `  ${formatDateForDisplay(date)}: ${orders.length} ออเดอร์, ${day.sales.toLocaleString()}฿ (กำไร ${Math.round(day.profit).toLocaleString()}฿` +
+          `${dayWaste.count > 0 ? `, เสีย ${Math.round(dayWaste.value).toLocaleString()}฿` : ''})\n`;
       });
 
+    msg += `\n` + formatWasteBreakdown(waste) + formatMarginBreakdown(summary);
+
     return msg;
 
   } catch (error) {
@@ -0,0 +1,215 @@
+// src/demandForecast.js - Daily demand forecast: exponential smoothing with weekly seasonality
+
+// ============================================================================
+// MODEL
+// Additive Holt-Winters on daily sales: level + trend + a weekday offset.
+// Weekend / weekday patterns come from the offsets, hot-season growth from
+// the level and trend. Products with under two weeks of history fall back
+// to their (weekday) averages.
+// ============================================================================
+
+const SEASON_LENGTH = 7;
+const MIN_SEASONAL_DAYS = 2 * SEASON_LENGTH;
+const SMOOTHING = { alpha: 0.3, beta: 0.05, gamma: 0.2 };
+const ERROR_WINDOW = 28; // One-step errors used for the error estimate
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['อา', 'จ', 'อ', 'พ', 'พฤ', 'ศ', 'ส'];
+
+// ============================================================================
+// DATES ('YYYY-MM-DD' ↔ day number)
+// ============================================================================
+
+function toDayNumber(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+function fromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function getWeekdayName(date) {
+  return WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// ============================================================================
+// DAILY SERIES
+// ============================================================================
+
+/**
+ * Daily quantities per product from its first sale up to `lastDate`
+ * (days without sales are 0)
+ * @param {Array} sales - [{ product, date: 'YYYY-MM-DD', quantity }]
+ * @returns {Map} product → { startDate, values }
+ */
+function buildDailySeries(sales, lastDate) {
+  const lastDay = toDayNumber(lastDate);
+  const byProduct = new Map();
+
+  for (const { product, date, quantity } of sales) {
+    const day = toDayNumber(date);
+    if (isNaN(day) || day > lastDay) continue;
+
+    if (!byProduct.has(product)) byProduct.set(product, new Map());
+    const days = byProduct.get(product);
+    days.set(day, (days.get(day) || 0) + quantity);
+  }
+
+  const series = new Map();
+
+  byProduct.forEach((days, product) => {
+    const firstDay = Math.min(...days.keys());
+    const values = [];
+    for (let day = firstDay; day <= lastDay; day++) {
+      values.push(days.get(day) || 0);
+    }
+    series.set(product, { startDate: fromDayNumber(firstDay), values });
+  });
+
+  return series;
+}
+
+// ============================================================================
+// FIT
+// ============================================================================
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function rootMeanSquare(errors) {
+  return errors.length > 0 ? Math.sqrt(mean(errors.map(e => e * e))) : 0;
+}
+
+/**
+ * Short history: flat average, with weekday offsets once there's a full week
+ */
+function fitAverage(values) {
+  const level = mean(values);
+  const seasonal = new Array(SEASON_LENGTH).fill(0);
+
+  if (values.length >= SEASON_LENGTH) {
+    for (let i = 0; i < SEASON_LENGTH; i++) {
+      const sameWeekday = values.filter((_, t) => t % SEASON_LENGTH === i);
+      seasonal[i] = mean(sameWeekday) - level;
+    }
+  }
+
+  const errors = values.map((v, t) => v - (level + seasonal[t % SEASON_LENGTH]));
+  return { level, trend: 0, seasonal, errors, method: 'average' };
+}
+
+function fitHoltWinters(values) {
+  const { alpha, beta, gamma } = SMOOTHING;
+  const firstWeek = mean(values.slice(0, SEASON_LENGTH));
+  const secondWeek = mean(values.slice(SEASON_LENGTH, MIN_SEASONAL_DAYS));
+
+  let level = firstWeek;
+  let trend = (secondWeek - firstWeek) / SEASON_LENGTH;
+  const seasonal = [];
+  for (let i = 0; i < SEASON_LENGTH; i++) {
+    seasonal.push(((values[i] - firstWeek) + (values[i + SEASON_LENGTH] - secondWeek)) / 2);
+  }
+
+  const errors = [];
+
+  values.forEach((value, t) => {
+    const s = seasonal[t % SEASON_LENGTH];
+    const forecast = level + trend + s;
+    const previousLevel = level;
+
+    // The first week only settles the initial state
+    if (t >= SEASON_LENGTH) errors.push(value - Math.max(forecast, 0));
+
+    level = alpha * (value - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[t % SEASON_LENGTH] = gamma * (value - level) + (1 - gamma) * s;
+  });
+
+  return { level, trend, seasonal, errors, method: 'holt-winters' };
+}
+
+/**
+ * @param {Object} series - { startDate, values } from buildDailySeries
+ * @returns {Object} model for projectDemand
+ */
+function fitDemandModel(series) {
+  const { startDate, values } = series;
+  const fit = values.length >= MIN_SEASONAL_DAYS ? fitHoltWinters(values) : fitAverage(values);
+
+  return {
+    method: fit.method,
+    level: fit.level,
+    trend: fit.trend,
+    seasonal: fit.seasonal,
+    rmse: rootMeanSquare(fit.errors.slice(-ERROR_WINDOW)),
+    historyDays: values.length,
+    // Day number of values[0]; the weekday offsets are aligned to it
+    startDay: toDayNumber(startDate),
+    lastDay: toDayNumber(startDate) + values.length - 1
+  };
+}
+
+// ============================================================================
+// PROJECT
+// ============================================================================
+
+/**
+ * Expected sales for the `days` days after the model's last day
+ * @returns {Object} { daily: [{ date, weekday, quantity }], total, error }
+ *   error is one standard deviation of the total (daily errors independent)
+ */
+function projectDemand(model, days) {
+  const daily = [];
+
+  for (let h = 1; h <= days; h++) {
+    const day = model.lastDay + h;
+    const s = model.seasonal[(day - model.startDay) % SEASON_LENGTH];
+    const date = fromDayNumber(day);
+
+    daily.push({
+      date,
+      weekday: getWeekdayName(date),
+      quantity: Math.max(0, model.level + model.trend * h + s)
+    });
+  }
+
+  return {
+    daily,
+    total: daily.reduce((sum, d) => sum + d.quantity, 0),
+    error: model.rmse * Math.sqrt(days)
+  };
+}
+
+/**
+ * Whole days the stock covers at the forecast rate (999 = no demand)
+ */
+function daysOfCover(model, stock, horizon = 28) {
+  if (stock <= 0) return 0;
+
+  const { daily, total } = projectDemand(model, horizon);
+  let remaining = stock;
+
+  for (let i = 0; i < daily.length; i++) {
+    if (remaining < daily[i].quantity) return i;
+    remaining -= daily[i].quantity;
+  }
+
+  const perDay = total / horizon;
+  if (perDay <= 0) return 999;
+
+  return horizon + Math.floor(remaining / perDay);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  buildDailySeries,
+  fitDemandModel,
+  projectDemand,
+  daysOfCover,
+  fromDayNumber,
+  toDayNumber
+};
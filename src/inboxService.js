@@ -5,6 +5,11 @@ const { Logger } = require('./logger');
 const { getThaiDateTimeString } = require('./utils');
 const { appendSheetData, getSheetData, updateSheetData } = require('./googleServices');
 const { loadStockCache } = require('./cacheManager');
+const { parseUnitConversions, getRowUnitFactor } = require('./unitConversion');
+const { loadBundles, findBundle } = require('./bundleService');
+const { loadLocations, readLocationStock, buildLocationChange, writeLocationChanges } = require('./locationService');
+const { parseLotPicks, returnLotPicks } = require('./lotService');
+const { BACKORDER_TAG, CANCELLED_TAG } = require('./comstant');
 
 // ============================================================================
 // INBOX STRUCTURE: Only 2 columns - วันที่/เวลา | ข้อความดิบ
@@ -33,66 +38,149 @@ async function saveToInbox(userId, userInput) {
 // ============================================================================
 
 async function cancelOrder(orderNo) {
- const lockKeys = [];
+  const { stockLock, StockTransactionLock } = require('./orderService');
+  const lockKeys = [];
+
   try {
     Logger.info(`🔄 Cancelling order #${orderNo}...`);
 
-    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:M');
     const orderItems = [];
     let customer = '';
+    let found = false;
 
     for (let i = 1; i < orderRows.length; i++) {
       if (orderRows[i][0] == orderNo) {
+        found = true;
         customer = orderRows[i][2];
+
+        // Lines cancelled earlier (whole order or a single line) already had their stock returned
+        if ((orderRows[i][5] || '').includes(CANCELLED_TAG)) continue;
+
         orderItems.push({
           rowIndex: i + 1,
           product: orderRows[i][3],
-          quantity: parseInt(orderRows[i][4] || 0)
+          quantity: parseInt(orderRows[i][4] || 0),
+          row: orderRows[i],
+          // Backorder lines never took stock
+          backordered: (orderRows[i][5] || '').includes(BACKORDER_TAG)
         });
       }
     }
 
-    if (orderItems.length === 0) {
+    if (!found) {
       return { success: false, error: `ไม่พบออเดอร์ #${orderNo}` };
     }
 
-    // Restore stock
-    const stockRestored = [];
-    const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
+    if (orderItems.length === 0) {
+      return { success: false, error: `ออเดอร์ #${orderNo} ถูกยกเลิกแล้ว` };
+    }
+
+    let stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:I');
+    const findRow = name => stockRows.find(r =>
+      (r[0] || '').toLowerCase().trim() === name.toLowerCase().trim()
+    );
+
+    // Bundle lines have no stock row - each component goes back instead
+    // (backorder lines never took stock)
+    await loadBundles();
+    const restoreLines = [];
 
     for (const orderItem of orderItems) {
-      const productName = orderItem.product.toLowerCase().trim();
+      if (orderItem.backordered) continue;
+
+      const bundle = !findRow(orderItem.product) && findBundle(orderItem.product, true);
+
+      if (bundle) {
+        bundle.components.forEach(c => restoreLines.push({
+          product: c.item,
+          baseQuantity: c.quantity * orderItem.quantity,
+          bundle: orderItem.product,
+          location: orderItem.row[11] || ''
+        }));
+      } else {
+        restoreLines.push({
+          product: orderItem.product,
+          quantity: orderItem.quantity,
+          row: orderItem.row,
+          location: orderItem.row[11] || ''
+        });
+      }
+    }
+
+    // Lock every product before touching stock
+    for (const line of restoreLines) {
+      const key = StockTransactionLock.generateKey(line.product, findRow(line.product)?.[3]);
+      if (!lockKeys.includes(key)) {
+        lockKeys.push(key);
+      }
+    }
+
+    await Promise.all(lockKeys.map(key => stockLock.acquireLock(key)));
+
+    // Restore stock (fresh read now that we hold the locks)
+    const stockRestored = [];
+    stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:I');
+
+    // Stock taken from a truck / cold room goes back there (column L)
+    await loadLocations();
+    const locationEntries = await readLocationStock();
+    const locationChanges = [];
+
+    for (const line of restoreLines) {
+      const productName = line.product.toLowerCase().trim();
 
       for (let i = 1; i < stockRows.length; i++) {
         const stockName = (stockRows[i][0] || '').toLowerCase().trim();
         
         if (stockName === productName) {
-          const currentStock = parseInt(stockRows[i][4] || 0);
-          const newStock = currentStock + orderItem.quantity;
           const unit = stockRows[i][3] || 'ชิ้น';
+          // Lines ordered in ลัง/แพ็ค go back as base units
+          const restored = line.bundle
+            ? line.baseQuantity
+            : line.quantity * getRowUnitFactor(line.row, {
+              unit,
+              unitConversions: parseUnitConversions(stockRows[i][8], stockRows[i][0])
+            });
+          const currentStock = parseInt(stockRows[i][4] || 0);
+          const newStock = currentStock + restored;
           
           await updateSheetData(CONFIG.SHEET_ID, `สต็อก!E${i + 1}`, [[newStock]]);
+          stockRows[i][4] = newStock;
+
+          if (line.location) {
+            locationChanges.push(buildLocationChange(locationEntries, line.location, stockRows[i][0], restored));
+          }
           
           stockRestored.push({ 
-            item: orderItem.product, 
-            restored: orderItem.quantity, 
+            item: line.product, 
+            restored, 
             newStock,
-            unit
+            unit,
+            bundle: line.bundle || null,
+            location: line.location || null
           });
           
-          Logger.success(`✅ Restored: ${orderItem.product} +${orderItem.quantity} → ${newStock}`);
+          Logger.success(`✅ Restored: ${line.product} +${restored} → ${newStock}`);
           break;
         }
       }
       
     }
 
+    await writeLocationChanges(locationChanges);
+
+    // Back into the lots each line was taken from (column M)
+    await returnLotPicks(orderItems
+      .filter(orderItem => !orderItem.backordered)
+      .flatMap(orderItem => parseLotPicks(orderItem.row[12])));
+
     // Mark as cancelled
     for (const orderItem of orderItems) {
       await updateSheetData(
         CONFIG.SHEET_ID, 
         `คำสั่งซื้อ!F${orderItem.rowIndex}`, 
-        [['[ยกเลิกแล้ว]']]
+        [[CANCELLED_TAG]]
       );
     }
 
@@ -107,13 +195,14 @@ async function cancelOrder(orderNo) {
       stockRestored
     };
 
-    } finally {
-      // ✅ Always release locks
-      lockKeys.forEach(key => stockLock.releaseLock(key));
-      Logger.error('cancelOrder failed', error);
-      return { success: false, error: error.message };
-    }
-  
+  } catch (error) {
+    Logger.error('cancelOrder failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    // ✅ Always release locks
+    lockKeys.forEach(key => stockLock.releaseLock(key));
+  }
 }
 
 
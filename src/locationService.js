@@ -0,0 +1,495 @@
+// src/locationService.js - Stock locations (shop, cold room, delivery trucks) and transfers
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
+const { getStockCache, loadStockCache } = require('./cacheManager');
+const { getConversionFactor, formatQuantity } = require('./unitConversion');
+
+// ============================================================================
+// SHEET LAYOUT
+// Locations:     ชื่อ | ผู้ส่ง | สร้างเมื่อ
+// LocationStock: สถานที่ | สินค้า | จำนวน | อัปเดตล่าสุด
+//
+// สต็อก column E stays the total across every location. Only the other
+// locations have LocationStock rows; the default location (the shop) holds
+// whatever the others don't: total - sum(other locations).
+// ============================================================================
+
+const LOCATIONS_RANGE = 'Locations!A:C';
+const LOCATION_STOCK_RANGE = 'LocationStock!A:D';
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+let locationCache = [];
+let locationStockCache = [];
+let lastLoadTime = 0;
+
+function normalizeLocation(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, '');
+}
+
+function normalizeProduct(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+function getDefaultLocation() {
+  return CONFIG.DEFAULT_STOCK_LOCATION;
+}
+
+function isDefaultLocation(name) {
+  return !name || normalizeLocation(name) === normalizeLocation(getDefaultLocation());
+}
+
+function parseLocationStock(rows) {
+  return rows.slice(1)
+    .map((row, i) => ({
+      rowIndex: i + 2,
+      location: (row[0] || '').trim(),
+      product: (row[1] || '').trim(),
+      quantity: parseInt(row[2] || 0)
+    }))
+    .filter(e => e.location && e.product);
+}
+
+async function loadLocations(forceReload = false) {
+  const now = Date.now();
+  if (!forceReload && lastLoadTime && (now - lastLoadTime) < CONFIG.CACHE_DURATION) {
+    return locationCache;
+  }
+
+  try {
+    const [locationRows, stockRows] = await Promise.all([
+      getSheetData(CONFIG.SHEET_ID, LOCATIONS_RANGE),
+      getSheetData(CONFIG.SHEET_ID, LOCATION_STOCK_RANGE)
+    ]);
+
+    locationCache = locationRows.slice(1)
+      .filter(row => row[0])
+      .map(row => ({ name: row[0].trim(), driver: (row[1] || '').trim() }));
+    locationStockCache = parseLocationStock(stockRows);
+
+    lastLoadTime = now;
+    Logger.debug(`📍 Locations loaded: ${locationCache.length} (+ ${getDefaultLocation()})`);
+
+  } catch (error) {
+    Logger.error('loadLocations failed - using cached locations', error);
+  }
+
+  return locationCache;
+}
+
+/**
+ * Locations besides the shop exist only once someone has defined them
+ */
+function hasLocations() {
+  return locationCache.length > 0;
+}
+
+/**
+ * @returns {Object|null} { name, driver, isDefault }
+ */
+function findLocation(name) {
+  if (isDefaultLocation(name)) {
+    return { name: getDefaultLocation(), driver: '', isDefault: true };
+  }
+
+  const query = normalizeLocation(name);
+  const location = locationCache.find(l => normalizeLocation(l.name) === query);
+  return location ? { ...location, isDefault: false } : null;
+}
+
+/**
+ * Where an order takes its stock from: the location named on the order,
+ * else the delivery person's truck, else the shop
+ * @returns {string} location name
+ */
+function resolveOrderLocation({ location = '', deliveryPerson = '' } = {}) {
+  if (location) {
+    const found = findLocation(location);
+    if (!found) {
+      throw new Error(`❌ ไม่รู้จักคลัง "${location}"`);
+    }
+    return found.name;
+  }
+
+  if (deliveryPerson) {
+    const driver = normalizeLocation(deliveryPerson);
+    const truck = locationCache.find(l => l.driver && normalizeLocation(l.driver) === driver);
+    if (truck) return truck.name;
+  }
+
+  return getDefaultLocation();
+}
+
+/**
+ * "... จาก รถ1" in an order message
+ * @returns {string|null}
+ */
+function detectLocationInText(text) {
+  const normalized = normalizeLocation(text);
+
+  const match = [...locationCache]
+    .sort((a, b) => b.name.length - a.name.length)
+    .find(l => normalized.includes(`จาก${normalizeLocation(l.name)}`));
+
+  return match ? match.name : null;
+}
+
+// ============================================================================
+// QUANTITIES
+// ============================================================================
+
+/**
+ * Fresh LocationStock rows - call while holding the product's stock lock
+ */
+async function readLocationStock() {
+  if (!hasLocations()) return [];
+
+  const rows = await getSheetData(CONFIG.SHEET_ID, LOCATION_STOCK_RANGE);
+  return parseLocationStock(rows);
+}
+
+function findEntry(entries, location, productName) {
+  const loc = normalizeLocation(location);
+  const product = normalizeProduct(productName);
+  return entries.find(e => normalizeLocation(e.location) === loc && normalizeProduct(e.product) === product) || null;
+}
+
+function getElsewhereQuantity(entries, productName) {
+  const product = normalizeProduct(productName);
+  return entries
+    .filter(e => normalizeProduct(e.product) === product && !isDefaultLocation(e.location))
+    .reduce((sum, e) => sum + Math.max(e.quantity, 0), 0);
+}
+
+/**
+ * Stock available at one location (base units)
+ * @param {number} total - สต็อก column E
+ */
+function getAvailableAt(entries, location, productName, total) {
+  if (isDefaultLocation(location)) {
+    return Math.max(total - getElsewhereQuantity(entries, productName), 0);
+  }
+
+  const entry = findEntry(entries, location, productName);
+  return entry ? Math.max(Math.min(entry.quantity, total), 0) : 0;
+}
+
+/**
+ * Same as getAvailableAt, from the cached rows (drafts and previews)
+ */
+function getCachedAvailable(stockItem, location = getDefaultLocation()) {
+  return getAvailableAt(locationStockCache, location, stockItem.item, Math.max(stockItem.stock, 0));
+}
+
+/**
+ * Every location holding the product: [{ location, quantity }], shop first
+ */
+function getLocationBreakdown(productName, total, entries = locationStockCache) {
+  const others = entries
+    .filter(e => normalizeProduct(e.product) === normalizeProduct(productName) && !isDefaultLocation(e.location) && e.quantity > 0)
+    .map(e => ({ location: e.location, quantity: e.quantity }));
+
+  return [{ location: getDefaultLocation(), quantity: getAvailableAt(entries, getDefaultLocation(), productName, total) }]
+    .concat(others);
+}
+
+/**
+ * Sheet writes that move `delta` (base units, negative = take) at a
+ * non-default location. The shop needs none - it follows column E.
+ * @returns {Object} { updates: [{ range, values }], appends: [row], before, after }
+ */
+function buildLocationChange(entries, location, productName, delta) {
+  const timestamp = getThaiDateTimeString();
+
+  if (isDefaultLocation(location)) {
+    return { updates: [], appends: [], before: null, after: null };
+  }
+
+  const entry = findEntry(entries, location, productName);
+
+  // Already being added in this batch - fold into the pending row
+  if (entry && entry.pendingRow) {
+    entry.quantity += delta;
+    entry.pendingRow[2] = entry.quantity;
+    return { updates: [], appends: [], before: entry.quantity - delta, after: entry.quantity };
+  }
+
+  if (entry) {
+    const after = entry.quantity + delta;
+    entry.quantity = after;
+    return {
+      updates: [{ range: `LocationStock!C${entry.rowIndex}:D${entry.rowIndex}`, values: [[after, timestamp]] }],
+      appends: [],
+      before: after - delta,
+      after
+    };
+  }
+
+  // New product at this location (only ever positive - you can't take from nothing)
+  const pendingRow = [location, productName, delta, timestamp];
+  entries.push({ rowIndex: null, location, product: productName, quantity: delta, pendingRow });
+  return { updates: [], appends: [pendingRow], before: 0, after: delta };
+}
+
+async function writeLocationChanges(changes) {
+  const updates = changes.flatMap(c => c.updates);
+  const appends = changes.flatMap(c => c.appends);
+
+  if (updates.length > 0) {
+    await batchUpdateSheet(CONFIG.SHEET_ID, updates);
+  }
+  if (appends.length > 0) {
+    await appendSheetData(CONFIG.SHEET_ID, LOCATION_STOCK_RANGE, appends);
+  }
+}
+
+// ============================================================================
+// TRANSFER - "ย้าย น้ำแข็ง 20 ไป รถ1"
+// ============================================================================
+
+/**
+ * Move stock between two locations. The total (column E) doesn't change.
+ * @param {number} quantity - base units
+ */
+async function transferStock(productName, quantity, from, to) {
+  // Lazy: orderService and stockAdjustment load this module
+  const { stockLock, StockTransactionLock } = require('./orderService');
+  const { logVariance } = require('./stockAdjustment');
+
+  const source = findLocation(from);
+  const target = findLocation(to);
+
+  if (!source) return { success: false, error: `ไม่รู้จักคลัง "${from}"` };
+  if (!target) return { success: false, error: `ไม่รู้จักคลัง "${to}"` };
+  if (source.name === target.name) {
+    return { success: false, error: 'ต้นทางและปลายทางเป็นที่เดียวกัน' };
+  }
+
+  const cached = getStockCache().find(s => normalizeProduct(s.item) === normalizeProduct(productName));
+  if (!cached) {
+    return { success: false, error: `ไม่พบสินค้า: ${productName}` };
+  }
+
+  const lockKey = StockTransactionLock.generateKey(cached.item, cached.unit);
+  await stockLock.acquireLock(lockKey);
+
+  try {
+    // Fresh read under the lock
+    const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:E');
+    const stockRow = stockRows.slice(1).find(r => normalizeProduct(r[0]) === normalizeProduct(cached.item));
+
+    if (!stockRow) {
+      return { success: false, error: `ไม่พบสินค้า: ${cached.item}` };
+    }
+
+    const total = parseInt(stockRow[4] || 0);
+    const entries = await readLocationStock();
+    const sourceBefore = getAvailableAt(entries, source.name, cached.item, total);
+
+    if (quantity > sourceBefore) {
+      return {
+        success: false,
+        error: `${source.name} มี ${cached.item} แค่ ${sourceBefore} ${cached.unit} (ต้องการย้าย ${quantity})`
+      };
+    }
+
+    const targetBefore = getAvailableAt(entries, target.name, cached.item, total);
+    const changes = [
+      buildLocationChange(entries, source.name, cached.item, -quantity),
+      buildLocationChange(entries, target.name, cached.item, quantity)
+    ];
+
+    await writeLocationChanges(changes);
+
+    const route = `${source.name} → ${target.name}`;
+    await logVariance(cached.item, sourceBefore, sourceBefore - quantity, -quantity, `ออก ${route}`, 'transfer');
+    await logVariance(cached.item, targetBefore, targetBefore + quantity, quantity, `เข้า ${route}`, 'transfer');
+
+    await loadLocations(true);
+
+    Logger.success(`📍 Transferred ${cached.item} x${quantity}: ${route}`);
+
+    return {
+      success: true,
+      product: cached.item,
+      unit: cached.unit,
+      quantity,
+      from: source.name,
+      to: target.name,
+      fromAfter: sourceBefore - quantity,
+      toAfter: targetBefore + quantity,
+      total
+    };
+
+  } catch (error) {
+    Logger.error('transferStock failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    stockLock.releaseLock(lockKey);
+  }
+}
+
+// ============================================================================
+// LOCATION DEFINITIONS
+// ============================================================================
+
+async function addLocation(name, driver = '') {
+  await loadLocations(true);
+
+  if (findLocation(name)) {
+    return { success: false, error: `มีคลัง "${name}" อยู่แล้ว` };
+  }
+
+  await appendSheetData(CONFIG.SHEET_ID, LOCATIONS_RANGE, [[name, driver, getThaiDateTimeString()]]);
+  await loadLocations(true);
+
+  Logger.success(`📍 Location added: ${name}${driver ? ` (driver ${driver})` : ''}`);
+  return { success: true, name, driver };
+}
+
+// ============================================================================
+// CHAT COMMANDS
+// "ย้าย น้ำแข็ง 20 ไป รถ1" / "ย้าย น้ำแข็ง 5 จาก รถ1" / "ย้าย น้ำดื่ม 2 ลัง จาก ห้องเย็น ไป รถ2"
+// "คลัง" / "คลัง รถ1" / "คลัง เพิ่ม รถ1 พี่แดง" (admin - gated by the caller)
+// ============================================================================
+
+async function handleTransferCommand(text) {
+  try {
+    await loadLocations();
+
+    const match = text.trim().match(/^ย้าย\s+(.+?)\s+(\d+)\s*(?!จาก|ไป)([^\s\d]+)?(?:\s+จาก\s*(.+?))?(?:\s+ไป\s*(.+?))?$/);
+
+    if (!match || (!match[4] && !match[5])) {
+      return {
+        success: false,
+        message: `❌ รูปแบบไม่ถูกต้อง\n\n💡 ตัวอย่าง:\n• "ย้าย น้ำแข็ง 20 ไป รถ1"\n• "ย้าย น้ำแข็ง 5 จาก รถ1"\n• "ย้าย น้ำแข็ง 5 จาก รถ1 ไป รถ2"`
+      };
+    }
+
+    // Lazy: stockAdjustment loads this module
+    const { resolveStockItem } = require('./stockAdjustment');
+    const product = resolveStockItem(match[1]);
+    if (product.error) {
+      return { success: false, message: `❌ ${product.error}` };
+    }
+
+    const { stockItem } = product;
+    const typed = parseInt(match[2]);
+    const factor = getConversionFactor(stockItem, match[3]);
+
+    if (!factor) {
+      return { success: false, message: `❌ ไม่รู้จักหน่วย "${match[3]}" ของ ${stockItem.item}` };
+    }
+
+    const from = match[4] || getDefaultLocation();
+    const to = match[5] || getDefaultLocation();
+    const result = await transferStock(stockItem.item, typed * factor, from.trim(), to.trim());
+
+    if (!result.success) {
+      return { success: false, message: `❌ ${result.error}` };
+    }
+
+    let msg = `🚚 ย้ายสต็อกสำเร็จ\n\n`;
+    msg += `📦 ${result.product} ${formatQuantity(stockItem, typed, match[3])}\n`;
+    msg += `📍 ${result.from} → ${result.to}\n\n`;
+    msg += `• ${result.from}: เหลือ ${result.fromAfter} ${result.unit}\n`;
+    msg += `• ${result.to}: มี ${result.toAfter} ${result.unit}\n`;
+    msg += `\n📊 รวมทุกคลัง ${result.total} ${result.unit} (ไม่เปลี่ยน)`;
+
+    return { success: true, message: msg };
+
+  } catch (error) {
+    Logger.error('Transfer command failed', error);
+    return { success: false, message: '❌ ย้ายสต็อกไม่สำเร็จ' };
+  }
+}
+
+function formatLocationStock(location) {
+  const items = getStockCache()
+    .map(s => ({ item: s, quantity: getCachedAvailable(s, location.name) }))
+    .filter(e => e.quantity > 0);
+
+  let msg = `📍 ${location.name}${location.driver ? ` (${location.driver})` : ''}\n\n`;
+
+  if (items.length === 0) {
+    return msg + 'ยังไม่มีสินค้า';
+  }
+
+  msg += items.map(e => `• ${e.item.item}: ${e.quantity} ${e.item.unit}`).join('\n');
+  return msg;
+}
+
+async function handleLocationCommand(text) {
+  try {
+    const body = text.trim().replace(/^คลัง\s*/, '');
+    await loadLocations(true);
+    await loadStockCache();
+
+    if (!body) {
+      let msg = `📍 คลังสินค้า\n\n`;
+      msg += `🏪 ${getDefaultLocation()} (หลัก)\n`;
+      locationCache.forEach(l => {
+        const count = getStockCache().filter(s => getCachedAvailable(s, l.name) > 0).length;
+        msg += `🚚 ${l.name}${l.driver ? ` - ${l.driver}` : ''} (${count} รายการ)\n`;
+      });
+      msg += `\n💡 "คลัง [ชื่อ]" - ดูของในคลัง\n`;
+      msg += `💡 "คลัง เพิ่ม [ชื่อ] [ผู้ส่ง]" - เพิ่มคลัง/รถ\n`;
+      msg += `💡 "ย้าย [สินค้า] [จำนวน] ไป [คลัง]" - ย้ายสต็อก`;
+      return { success: true, message: msg };
+    }
+
+    const addMatch = body.match(/^เพิ่ม\s+(\S+)(?:\s+(.+))?$/);
+    if (addMatch) {
+      const result = await addLocation(addMatch[1], (addMatch[2] || '').trim());
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+      return {
+        success: true,
+        message: `✅ เพิ่มคลัง ${result.name} แล้ว` +
+          (result.driver ? `\n🚚 ออเดอร์ที่ ${result.driver} ส่ง จะตัดสต็อกจาก ${result.name}` : '') +
+          `\n\n💡 "ย้าย [สินค้า] [จำนวน] ไป ${result.name}" - ขนของขึ้น`
+      };
+    }
+
+    const location = findLocation(body);
+    if (!location) {
+      return { success: false, message: `❌ ไม่รู้จักคลัง "${body}"` };
+    }
+
+    return { success: true, message: formatLocationStock(location) };
+
+  } catch (error) {
+    Logger.error('Location command failed', error);
+    return { success: false, message: '❌ ดูคลังไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadLocations,
+  hasLocations,
+  findLocation,
+  getDefaultLocation,
+  isDefaultLocation,
+  resolveOrderLocation,
+  detectLocationInText,
+  readLocationStock,
+  getAvailableAt,
+  getCachedAvailable,
+  getLocationBreakdown,
+  buildLocationChange,
+  writeLocationChanges,
+  transferStock,
+  addLocation,
+  handleTransferCommand,
+  handleLocationCommand
+};
@@ -0,0 +1,499 @@
+// src/lotService.js - Lots with expiry dates, first-expiring-first-out (Lots sheet)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString, formatDateForDisplay } = require('./utils');
+const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
+const { getStockCache } = require('./cacheManager');
+const { scheduleDaily } = require('./dailyScheduler');
+const { notifyAdmins } = require('./adminNotifier');
+
+// ============================================================================
+// SHEET LAYOUT: รหัส | สินค้า | เลขล็อต | วันหมดอายุ | คงเหลือ | รับเข้า | รับเมื่อ | ที่มา
+// รหัส is ours (L1, L2, ...); เลขล็อต is whatever is printed on the case.
+// สต็อก column E stays the total - stock received without an expiry is
+// simply not in any lot. Order rows list the lots they took in column M.
+// ============================================================================
+
+const LOTS_RANGE = 'Lots!A:H';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeProduct(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+function parseLotRows(rows) {
+  return rows.slice(1)
+    .map((row, i) => ({
+      rowIndex: i + 2,
+      id: (row[0] || '').trim(),
+      product: (row[1] || '').trim(),
+      lotNo: (row[2] || '').trim(),
+      expiry: (row[3] || '').trim(),
+      quantity: parseInt(row[4] || 0),
+      received: parseInt(row[5] || 0),
+      receivedAt: row[6] || '',
+      source: row[7] || ''
+    }))
+    .filter(lot => lot.id && lot.product);
+}
+
+/**
+ * Fresh read - callers that write hold the product's stock lock
+ */
+async function readLots() {
+  const rows = await getSheetData(CONFIG.SHEET_ID, LOTS_RANGE);
+  return parseLotRows(rows);
+}
+
+function lotNumber(id) {
+  return parseInt(String(id).replace(/\D/g, '')) || 0;
+}
+
+/**
+ * Lots still holding stock, first-expiring first (no expiry date = last)
+ */
+function getOpenLots(lots, productName) {
+  const product = normalizeProduct(productName);
+
+  return lots
+    .filter(lot => normalizeProduct(lot.product) === product && lot.quantity > 0)
+    .sort((a, b) => {
+      if (a.expiry !== b.expiry) {
+        if (!a.expiry) return 1;
+        if (!b.expiry) return -1;
+        return a.expiry < b.expiry ? -1 : 1;
+      }
+      return lotNumber(a.id) - lotNumber(b.id);
+    });
+}
+
+// ============================================================================
+// EXPIRY DATES
+// ============================================================================
+
+/**
+ * "31/12/2026", "31/12/69" (พ.ศ.), "31/12" or "2026-12-31" → "2026-12-31"
+ * @returns {string|null}
+ */
+function parseExpiryDate(text) {
+  const value = String(text || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(n => parseInt(n));
+  } else {
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+    if (!match) return null;
+
+    day = parseInt(match[1]);
+    month = parseInt(match[2]);
+
+    if (!match[3]) {
+      // No year → the next time that date comes round
+      const today = getThaiDateString();
+      year = parseInt(today.slice(0, 4));
+      const candidate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      if (candidate < today) year++;
+    } else if (match[3].length === 2) {
+      const short = parseInt(match[3]);
+      // "69" is พ.ศ. 2569, "26" is ค.ศ. 2026
+      year = short >= 50 ? 2500 + short - 543 : 2000 + short;
+    } else {
+      year = parseInt(match[3]);
+    }
+  }
+
+  if (year > 2400) year -= 543; // พ.ศ.
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+function daysUntil(expiry, today = getThaiDateString()) {
+  return Math.round((Date.parse(`${expiry}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Pull "หมดอายุ 31/12/26" / "ล็อต A12" off a receipt line
+ * @returns {{ text: string, lot: Object|null, error?: string }}
+ */
+function extractLotInfo(text) {
+  let rest = String(text || '');
+  let expiry = null;
+  let lotNo = '';
+
+  const expiryMatch = rest.match(/(?:^|\s)(?:หมดอายุ|ดีถึง|exp)\s*[:=]?\s*(\S+)/i);
+  if (expiryMatch) {
+    expiry = parseExpiryDate(expiryMatch[1]);
+    if (!expiry) {
+      return { text: rest, lot: null, error: `วันหมดอายุไม่ถูกต้อง: "${expiryMatch[1]}" (ใช้ 31/12/2026)` };
+    }
+    rest = rest.replace(expiryMatch[0], ' ');
+  }
+
+  const lotMatch = rest.match(/(?:^|\s)(?:ล็อต|lot)\s*[:#]?\s*(\S+)/i);
+  if (lotMatch) {
+    lotNo = lotMatch[1];
+    rest = rest.replace(lotMatch[0], ' ');
+  }
+
+  rest = rest.replace(/\s+/g, ' ').trim();
+
+  return { text: rest, lot: expiry || lotNo ? { expiry: expiry || '', lotNo } : null };
+}
+
+// ============================================================================
+// TAKING AND RETURNING - lots are changed in place, buildLotUpdates writes them
+// ============================================================================
+
+/**
+ * Take `quantity` base units first-expiring-first. Anything the lots
+ * don't cover comes from untracked stock and isn't listed.
+ * @returns {Array} picks [{ id, quantity }]
+ */
+function takeFromLots(lots, productName, quantity) {
+  const picks = [];
+  let needed = quantity;
+
+  for (const lot of getOpenLots(lots, productName)) {
+    if (needed <= 0) break;
+
+    const taken = Math.min(lot.quantity, needed);
+    lot.quantity -= taken;
+    lot.dirty = true;
+    needed -= taken;
+    picks.push({ id: lot.id, quantity: taken });
+  }
+
+  return picks;
+}
+
+function returnToLots(lots, picks) {
+  for (const pick of picks) {
+    const lot = lots.find(l => l.id === pick.id);
+
+    if (!lot) {
+      Logger.warn(`⚠️ Lot ${pick.id} not found - ${pick.quantity} returned as untracked stock`);
+      continue;
+    }
+
+    lot.quantity += pick.quantity;
+    lot.dirty = true;
+  }
+}
+
+/**
+ * Split a line's picks for a partial return. The line took lots first and
+ * untracked stock last, so the untracked part comes back first, then the
+ * latest-expiring lot.
+ * @param {number} lineQuantity - base units the line holds now
+ * @returns {{ returned: Array, kept: Array }}
+ */
+function splitPicksForReturn(picks, lineQuantity, returnQuantity) {
+  const tracked = picks.reduce((sum, p) => sum + p.quantity, 0);
+  let fromLots = Math.max(returnQuantity - Math.max(lineQuantity - tracked, 0), 0);
+  const kept = picks.map(p => ({ ...p }));
+  const returned = [];
+
+  for (let i = kept.length - 1; i >= 0 && fromLots > 0; i--) {
+    const back = Math.min(kept[i].quantity, fromLots);
+    kept[i].quantity -= back;
+    fromLots -= back;
+    returned.push({ id: kept[i].id, quantity: back });
+  }
+
+  return { returned, kept: kept.filter(p => p.quantity > 0) };
+}
+
+/**
+ * Lots are assumed gone first-expiring-first when a count or write-off
+ * leaves less stock than the lots hold
+ * @returns {Array} picks removed
+ */
+function trimLots(lots, productName, total) {
+  const tracked = getOpenLots(lots, productName).reduce((sum, lot) => sum + lot.quantity, 0);
+  const excess = tracked - Math.max(total, 0);
+  return excess > 0 ? takeFromLots(lots, productName, excess) : [];
+}
+
+function buildLotUpdates(lots) {
+  return lots
+    .filter(lot => lot.dirty)
+    .map(lot => {
+      lot.dirty = false;
+      return { range: `Lots!E${lot.rowIndex}`, values: [[lot.quantity]] };
+    });
+}
+
+/**
+ * "L3:5, L4:2" ↔ [{ id: 'L3', quantity: 5 }, ...] (same lot merged)
+ */
+function formatLotPicks(picks) {
+  const merged = new Map();
+  picks.forEach(p => merged.set(p.id, (merged.get(p.id) || 0) + p.quantity));
+
+  return Array.from(merged.entries())
+    .filter(([, quantity]) => quantity > 0)
+    .map(([id, quantity]) => `${id}:${quantity}`)
+    .join(', ');
+}
+
+function parseLotPicks(text) {
+  if (!text) return [];
+
+  return String(text).split(',')
+    .map(part => part.trim().match(/^(L\d+)\s*:\s*(\d+)$/i))
+    .filter(Boolean)
+    .map(match => ({ id: match[1].toUpperCase(), quantity: parseInt(match[2]) }));
+}
+
+// ============================================================================
+// SHEET WRITES (callers hold the product's stock lock)
+// ============================================================================
+
+// Receipts of different products hold different stock locks, so the
+// "next ID + append" step runs one at a time (same idea as orderSequence)
+let lotIdChain = Promise.resolve();
+let lastLotNumber = 0;
+
+function serializeLotIds(fn) {
+  const run = lotIdChain.then(fn);
+  lotIdChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Record a received lot
+ * @param {Object} receipt - { product, quantity, expiry, lotNo, source }
+ */
+function receiveLot({ product, quantity, expiry = '', lotNo = '', source = '' }) {
+  return serializeLotIds(async () => {
+    const lots = await readLots();
+    const highest = lots.reduce((max, lot) => Math.max(max, lotNumber(lot.id)), 0);
+    // Never reuse a number handed out in this process, even if the sheet read lags
+    const number = Math.max(highest, lastLotNumber) + 1;
+    const id = `L${number}`;
+
+    await appendSheetData(CONFIG.SHEET_ID, LOTS_RANGE, [[
+      id,
+      product,
+      lotNo,
+      expiry,
+      quantity,
+      quantity,
+      getThaiDateTimeString(),
+      source
+    ]]);
+
+    lastLotNumber = number;
+    Logger.success(`🏷️ Lot ${id} received: ${product} ${quantity}${expiry ? ` exp ${expiry}` : ''}`);
+    return { id, product, lotNo, expiry, quantity };
+  });
+}
+
+async function writeLotUpdates(lots) {
+  const updates = buildLotUpdates(lots);
+  if (updates.length > 0) {
+    await batchUpdateSheet(CONFIG.SHEET_ID, updates);
+  }
+  return updates.length;
+}
+
+/**
+ * Bring a product's lots in line with its new total after stock went down
+ * outside an order (counts, write-offs)
+ */
+async function reconcileLots(productName, total) {
+  const lots = await readLots();
+  const removed = trimLots(lots, productName, total);
+
+  if (removed.length > 0) {
+    await writeLotUpdates(lots);
+    Logger.info(`🏷️ ${productName}: lots trimmed to stock ${total} (${formatLotPicks(removed)})`);
+  }
+
+  return removed;
+}
+
+async function returnLotPicks(picks) {
+  if (picks.length === 0) return 0;
+
+  const lots = await readLots();
+  returnToLots(lots, picks);
+  return writeLotUpdates(lots);
+}
+
+// ============================================================================
+// NEAR-EXPIRY REPORT + DAILY PUSH
+// ============================================================================
+
+function getExpiringLots(lots, days, today = getThaiDateString()) {
+  return lots
+    .filter(lot => lot.quantity > 0 && lot.expiry)
+    .map(lot => ({ ...lot, daysLeft: daysUntil(lot.expiry, today) }))
+    .filter(lot => lot.daysLeft <= days)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+function formatLotLine(lot) {
+  const stockItem = getStockCache().find(s => normalizeProduct(s.item) === normalizeProduct(lot.product));
+  const unit = stockItem ? stockItem.unit : '';
+  const label = lot.lotNo ? `ล็อต ${lot.lotNo}` : lot.id;
+  return `• ${lot.product} ${label}: ${lot.quantity} ${unit} - หมด ${formatDateForDisplay(lot.expiry)}`;
+}
+
+/**
+ * @returns {string|null} null when nothing expires within `days`
+ */
+function formatExpiryReport(expiring, days) {
+  if (expiring.length === 0) return null;
+
+  const expired = expiring.filter(l => l.daysLeft < 0);
+  const today = expiring.filter(l => l.daysLeft === 0);
+  const soon = expiring.filter(l => l.daysLeft > 0);
+
+  let msg = `⏰ สินค้าใกล้หมดอายุ (ภายใน ${days} วัน)\n`;
+
+  if (expired.length > 0) {
+    msg += `\n🔴 หมดอายุแล้ว:\n${expired.map(formatLotLine).join('\n')}\n`;
+  }
+  if (today.length > 0) {
+    msg += `\n🟠 หมดวันนี้:\n${today.map(formatLotLine).join('\n')}\n`;
+  }
+  if (soon.length > 0) {
+    msg += `\n🟡 ใกล้หมด:\n${soon.map(l => `${formatLotLine(l)} (อีก ${l.daysLeft} วัน)`).join('\n')}\n`;
+  }
+
+  msg += `\n💡 ออเดอร์ตัดล็อตที่หมดก่อนให้อัตโนมัติ`;
+  return msg;
+}
+
+async function generateExpiryReport(days = CONFIG.EXPIRY_ALERT_DAYS) {
+  const lots = await readLots();
+  return formatExpiryReport(getExpiringLots(lots, days), days);
+}
+
+/**
+ * Push once per day at or after EXPIRY_ALERT_TIME (only when something is
+ * close to expiry)
+ */
+function scheduleExpiryAlerts() {
+  scheduleDaily(CONFIG.EXPIRY_ALERT_TIME, async () => {
+    const report = await generateExpiryReport();
+
+    if (report) {
+      await notifyAdmins(report);
+      Logger.info('⏰ Near-expiry list pushed to admins');
+    }
+  }, { label: 'Expiry alert' });
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// "ล็อต"          → near-expiry list
+// "ล็อต [สินค้า]"  → open lots of one product, in the order they'll be sold
+// ============================================================================
+
+function formatProductLots(stockItem, lots) {
+  const open = getOpenLots(lots, stockItem.item);
+  const tracked = open.reduce((sum, lot) => sum + lot.quantity, 0);
+  const today = getThaiDateString();
+
+  let msg = `🏷️ ${stockItem.item} - ${stockItem.stock} ${stockItem.unit}\n\n`;
+
+  if (open.length === 0) {
+    msg += `ยังไม่มีล็อตที่บันทึกวันหมดอายุ\n`;
+  } else {
+    msg += `📦 ขายตามลำดับ (หมดก่อน ขายก่อน):\n`;
+    msg += open.map((lot, i) => {
+      const label = lot.lotNo ? `ล็อต ${lot.lotNo} (${lot.id})` : lot.id;
+      if (!lot.expiry) return `${i + 1}. ${label}: ${lot.quantity} - ไม่ระบุวันหมดอายุ`;
+      const daysLeft = daysUntil(lot.expiry, today);
+      const icon = daysLeft < 0 ? '🔴' : daysLeft <= CONFIG.EXPIRY_ALERT_DAYS ? '🟡' : '🟢';
+      return `${i + 1}. ${icon} ${label}: ${lot.quantity} - หมด ${formatDateForDisplay(lot.expiry)}`;
+    }).join('\n') + '\n';
+  }
+
+  if (stockItem.stock > tracked) {
+    msg += `\n➖ ไม่ระบุล็อต: ${stockItem.stock - tracked} ${stockItem.unit}`;
+  }
+
+  return msg.trim();
+}
+
+async function handleLotCommand(text) {
+  try {
+    const body = text.trim().replace(/^ล็อต\s*/, '');
+
+    if (/^(ช่วย|help)$/i.test(body)) {
+      return {
+        success: true,
+        message: `🏷️ ล็อต / วันหมดอายุ\n\n` +
+          `• "เติม น้ำดื่ม 48 หมดอายุ 31/12/26 ล็อต A12" - รับของพร้อมวันหมดอายุ\n` +
+          `• "po รับ #3 น้ำดื่ม 48 หมดอายุ 31/12/26" - รับของตามใบสั่งซื้อ\n` +
+          `• "ล็อต" - ของใกล้หมดอายุ\n` +
+          `• "ล็อต [สินค้า]" - ล็อตที่เหลือของสินค้า\n\n` +
+          `💡 ออเดอร์ตัดล็อตที่หมดอายุก่อนเสมอ ยกเลิกแล้วคืนเข้าล็อตเดิม`
+      };
+    }
+
+    const lots = await readLots();
+
+    if (!body) {
+      const report = formatExpiryReport(getExpiringLots(lots, CONFIG.EXPIRY_ALERT_DAYS), CONFIG.EXPIRY_ALERT_DAYS);
+      const openCount = lots.filter(l => l.quantity > 0).length;
+      return {
+        success: true,
+        message: (report || `✅ ไม่มีของหมดอายุภายใน ${CONFIG.EXPIRY_ALERT_DAYS} วัน`) +
+          `\n\n🏷️ ล็อตที่ยังมีของ: ${openCount}\n💡 "ล็อต [สินค้า]" - ดูรายสินค้า │ "ล็อต ช่วย"`
+      };
+    }
+
+    // Lazy require: stockAdjustment loads this module
+    const { fuzzyMatchStock } = require('./stockAdjustment');
+    const matches = fuzzyMatchStock(body, getStockCache());
+
+    if (matches.length === 0) {
+      return { success: false, message: `❌ ไม่พบสินค้า: "${body}"` };
+    }
+
+    return { success: true, message: formatProductLots(matches[0].item, lots) };
+
+  } catch (error) {
+    Logger.error('Lot command failed', error);
+    return { success: false, message: '❌ ดูล็อตไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  readLots,
+  getOpenLots,
+  parseExpiryDate,
+  extractLotInfo,
+  takeFromLots,
+  returnToLots,
+  splitPicksForReturn,
+  trimLots,
+  buildLotUpdates,
+  formatLotPicks,
+  parseLotPicks,
+  receiveLot,
+  writeLotUpdates,
+  reconcileLots,
+  returnLotPicks,
+  getExpiringLots,
+  generateExpiryReport,
+  scheduleExpiryAlerts,
+  handleLotCommand
+};
@@ -4,15 +4,40 @@ const { parseOrder } = require('./orderParser');
 const { createOrderTransaction, updateOrderPaymentStatus, getLastOrderNumber } = require('./orderService');
 const { parseAdjustmentCommand, adjustStock } = require('./stockAdjustment');
 const { generateDailySummary } = require('./dashboardService');
-const { loadStockCache, loadCustomerCache } = require('./cacheManager');
+const { loadStockCache, loadCustomerCache, getStockCache } = require('./cacheManager');
 const { shouldAutoProcess, applySmartCorrection, monitor } = require('./aggressiveAutoConfig');
 const { smartLearner } = require('./smartOrderLearning');
 const { autoAddCustomer } = require('./customerService');
 const { handleBusinessCommand } = require('./businessCommands');
 const { AccessControl } = require('./accessControl');
 const { saveToInbox, cancelOrder, generateInboxSummary } = require('./inboxService');
+const { editOrderLine } = require('./orderEditService');
+const { parseReorderCommand, buildReorder } = require('./reorderService');
+const { handleStandingOrderCommand } = require('./standingOrderService');
+const { generateBackorderReport } = require('./backorderService');
+const { handlePromotionCommand } = require('./promotionService');
+const { handleCustomerPriceCommand } = require('./customerPriceService');
+const { handleBundleCommand } = require('./bundleService');
+const { handleSupplierCommand, handlePurchaseOrderCommand } = require('./purchaseOrderService');
+const {
+  loadLocations,
+  detectLocationInText,
+  resolveOrderLocation,
+  isDefaultLocation,
+  getCachedAvailable,
+  handleTransferCommand,
+  handleLocationCommand
+} = require('./locationService');
+const { hasActiveStocktake, handleStocktakeCommand, handleStocktakeReply } = require('./stocktakeService');
+const { extractLotInfo, handleLotCommand } = require('./lotService');
+const { handleWasteCommand } = require('./wasteService');
+const { handlePredictionCommand } = require('./stockPrediction');
+const { getStockIcon, getWorstStockIcon } = require('./stockAlertService');
+const { getConversionFactor, getItemBaseQuantity, normalizeUnit, formatQuantity, resolveOrderUnit } = require('./unitConversion');
+const { pricingEngine, TIER_DISCOUNTS } = require('./businessLogic');
 const { generateEnhancedCreditReport, getCreditSummaryWithAlerts } = require('./creditService');
 const { getSheetData, updateSheetData } = require('./googleServices');
+const { conversationStore, STATE_TYPES } = require('./conversationState');
 const { CONFIG } = require('./config');
 
 // ============================================================================
@@ -65,6 +90,15 @@ class DeliveryLock {
 
 const deliveryLock = new DeliveryLock();
 
+// ============================================================================
+// ORDER CONFIRMATION WORDS
+// ============================================================================
+
+const CONFIRM_WORDS = ['ยืนยัน', 'ตกลง', 'confirm', 'ok'];
+const REJECT_WORDS = ['ยกเลิก', 'ไม่เอา', 'cancel'];
+const CONFIRM_QUICK_REPLIES = ['ยืนยัน', 'ยกเลิก'];
+const PENDING_ORDER_TTL = 10 * 60 * 1000; // 10 minutes
+
 // ============================================================================
 // MAIN MESSAGE HANDLER - FIXED PRIORITY ORDER
 // ============================================================================
@@ -89,6 +123,49 @@ async function handleMessage(text, userId) {
       return { success: true, message: getHelpMessage(userId) };
     }
 
+    // ========================================================================
+    // PRIORITY 0.5: PENDING ORDER CONFIRMATION
+    // ========================================================================
+
+    // ✅ Must run before "ยกเลิก" so it rejects the draft, not the last order
+    if (conversationStore.has(userId, STATE_TYPES.PENDING_ORDER)) {
+      if (CONFIRM_WORDS.includes(lower)) {
+        return await confirmPendingOrders(userId);
+      }
+
+      if (REJECT_WORDS.includes(lower)) {
+        return discardPendingOrders(userId);
+      }
+    } else if (CONFIRM_WORDS.includes(lower) && !hasActiveStocktake(userId)) {
+      return {
+        success: false,
+        message: '❌ ไม่มีออเดอร์รอยืนยัน\n\nออเดอร์อาจหมดเวลายืนยันแล้ว กรุณาสั่งใหม่อีกครั้ง'
+      };
+    }
+
+    // ========================================================================
+    // PRIORITY 0.6: ANSWER TO A "WHICH PRODUCT?" QUESTION
+    // ========================================================================
+
+    const pendingChoice = conversationStore.get(userId, STATE_TYPES.PENDING_CHOICE);
+    if (pendingChoice) {
+      const choiceResult = await handlePendingChoice(text, userId, pendingChoice);
+      if (choiceResult) {
+        return choiceResult;
+      }
+    }
+
+    // ========================================================================
+    // PRIORITY 0.7: STOCKTAKE IN PROGRESS (counts, "ข้าม", "สรุป", "ยืนยัน")
+    // ========================================================================
+
+    if (hasActiveStocktake(userId)) {
+      const stocktakeResult = await handleStocktakeReply(text, userId);
+      if (stocktakeResult) {
+        return stocktakeResult;
+      }
+    }
+
     // ========================================================================
     // PRIORITY 1: PURE PAYMENT COMMANDS (No AI needed)
     // ========================================================================
@@ -143,6 +220,63 @@ async function handleMessage(text, userId) {
       }
     }
 
+    // ========================================================================
+    // PRIORITY 2.5: EDIT ORDER ("แก้ #12 น้ำแข็ง 5" / "แก้ #12 เพิ่ม โค้ก 2")
+    // ========================================================================
+
+    const editMatch = text.trim().match(/^แก้(?:ไข)?\s+(?:#(\d+)\s+)?(เพิ่ม\s+)?(.+?)\s+(\d+)$/i);
+
+    if (editMatch) {
+      Logger.info('✏️ Edit order command detected');
+
+      const orderNo = editMatch[1]
+        ? parseInt(editMatch[1])
+        : await getLastOrderNumber();
+
+      if (!orderNo) {
+        return {
+          success: false,
+          message: '❌ ไม่พบออเดอร์\n\nพิมพ์ "แก้ #123 น้ำแข็ง 5"'
+        };
+      }
+
+      return await handleEditOrder(orderNo, {
+        productName: editMatch[3].trim(),
+        quantity: parseInt(editMatch[4]),
+        mode: editMatch[2] ? 'add' : 'set'
+      });
+    }
+
+    // ========================================================================
+    // PRIORITY 2.6: RETURN / CANCEL ONE LINE ("ยกเลิก #12 โค้ก" / "คืน #12 โค้ก 2")
+    // ========================================================================
+
+    // Product must not start with a digit so "ยกเลิก 12" still cancels the whole order
+    const lineCancelMatch = text.trim().match(/^(ยกเลิก|คืน)\s+(?:#?(\d+)\s+)?([^\d#\s].*?)(?:\s+(\d+))?$/i);
+
+    if (lineCancelMatch) {
+      Logger.info('↩️ Line cancel/return command detected');
+
+      const orderNo = lineCancelMatch[2]
+        ? parseInt(lineCancelMatch[2])
+        : await getLastOrderNumber();
+
+      if (!orderNo) {
+        return {
+          success: false,
+          message: '❌ ไม่พบออเดอร์\n\nพิมพ์ "คืน #123 โค้ก 2"'
+        };
+      }
+
+      const returnQty = lineCancelMatch[4] ? parseInt(lineCancelMatch[4]) : null;
+
+      return await handleEditOrder(orderNo, {
+        productName: lineCancelMatch[3].trim(),
+        quantity: returnQty,
+        mode: returnQty ? 'reduce' : 'remove'
+      });
+    }
+
     // ========================================================================
     // PRIORITY 3: CANCEL ORDER
     // ========================================================================
@@ -180,10 +314,100 @@ async function handleMessage(text, userId) {
       return { success: true, message: inbox };
     }
 
+    if (lower === 'ค้างส่ง' || lower === 'ของค้างส่ง') {
+      const report = await generateBackorderReport();
+      return { success: true, message: report };
+    }
+
+    const tierMatch = text.trim().match(/^ระดับ\s+(.+?)(?:\s+(vip|gold|regular))?$/i);
+    if (tierMatch) {
+      return await handleCustomerTierCommand(tierMatch[1].trim(), tierMatch[2], userId);
+    }
+
+    if (/^(โปรโมชั่น|โปร)(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handlePromotionCommand(text);
+    }
+
+    if (/^ราคา(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleCustomerPriceCommand(text);
+    }
+
+    if (/^ชุด(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleBundleCommand(text);
+    }
+
+    if (/^ตรวจนับ(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleStocktakeCommand(text, userId);
+    }
+
+    if (/^ล็อต(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleLotCommand(text);
+    }
+
+    if (/^(พยากรณ์(\s.*)?|abc|สุขภาพสต็อก)$/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handlePredictionCommand(text);
+    }
+
+    if (/^คลัง(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleLocationCommand(text);
+    }
+
+    // Moving stock is a stock count, like "น้ำแข็ง เหลือ 5" - anyone can do it
+    if (/^ย้าย\s/.test(lower)) {
+      return await handleTransferCommand(text);
+    }
+
+    // Whoever finds melted ice / broken bottles records it
+    if (/^เสีย(\s|$)/.test(lower)) {
+      return await handleWasteCommand(text);
+    }
+
+    if (/^(ซัพ|ผู้ขาย)(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleSupplierCommand(text);
+    }
+
+    if (/^(po|ใบสั่งซื้อ)(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handlePurchaseOrderCommand(text);
+    }
+
+    if (/^(ประจำ|รายการประจำ)(\s|$)/.test(lower)) {
+      if (!AccessControl.isAdmin(userId)) {
+        return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+      }
+      return await handleStandingOrderCommand(text);
+    }
+
     if (lower === 'รีเฟรช' || lower === 'refresh') {
       await loadStockCache(true);
       await loadCustomerCache(true);
-      await smartLearner.loadOrderHistory();
+      await smartLearner.loadOrderHistory(true);
       return { success: true, message: '✅ รีเฟรชข้อมูลสำเร็จ' };
     }
 
@@ -201,6 +425,16 @@ async function handleMessage(text, userId) {
       return { success: true, message: report };
     }
 
+    // ========================================================================
+    // PRIORITY 5.5: REORDER ("เจ๊แอน เหมือนเดิม" / "เจ๊แอน เหมือนเมื่อวาน")
+    // ========================================================================
+
+    const reorderCommand = parseReorderCommand(text);
+    if (reorderCommand) {
+      Logger.info(`🔁 Reorder command detected: ${reorderCommand.customerName}`);
+      return await handleReorder(reorderCommand, userId);
+    }
+
     // ========================================================================
     // PRIORITY 6: BUSINESS COMMANDS (analytics, etc.)
     // ========================================================================
@@ -219,7 +453,7 @@ async function handleMessage(text, userId) {
 
     if (intent.type === 'stock_adjustment' && intent.confidence === 'high') {
       Logger.info('🔧 Processing as stock adjustment');
-      return await handleStockAdjustment(text);
+      return await handleStockAdjustment(text, userId);
     }
 
     // ========================================================================
@@ -457,11 +691,15 @@ async function handleCancelOrder(orderNo) {
     const result = await cancelOrder(orderNo);
 
     if (result.success) {
-      let msg = `✅ ยกเลิกออเดอร์สำเร็จ!\n\n📋 #${orderNo}\n👤 ${result.customer}\n\n📦 คืนสต็อก:\n`;
-
-      result.stockRestored.forEach(item => {
-        msg += `• ${item.item} +${item.restored} → ${item.newStock} ${item.unit}\n`;
-      });
+      let msg = `✅ ยกเลิกออเดอร์สำเร็จ!\n\n📋 #${orderNo}\n👤 ${result.customer}\n`;
+
+      // Backorder-only orders never took stock
+      if (result.stockRestored.length > 0) {
+        msg += `\n📦 คืนสต็อก:\n`;
+        result.stockRestored.forEach(item => {
+          msg += `• ${item.item} +${item.restored} → ${item.newStock} ${item.unit}${item.bundle ? ` (${item.bundle})` : ''}\n`;
+        });
+      }
 
       return { success: true, message: msg };
     } else {
@@ -477,6 +715,58 @@ async function handleCancelOrder(orderNo) {
   }
 }
 
+// ============================================================================
+// EDIT ORDER HANDLER
+// ============================================================================
+
+const EDIT_TITLES = {
+  set: { done: '✏️ แก้ไขออเดอร์สำเร็จ!', failed: '❌ แก้ไขออเดอร์ไม่สำเร็จ' },
+  add: { done: '✏️ แก้ไขออเดอร์สำเร็จ!', failed: '❌ แก้ไขออเดอร์ไม่สำเร็จ' },
+  reduce: { done: '↩️ คืนสินค้าสำเร็จ!', failed: '❌ คืนสินค้าไม่สำเร็จ' },
+  remove: { done: '🗑️ ยกเลิกรายการสำเร็จ!', failed: '❌ ยกเลิกรายการไม่สำเร็จ' }
+};
+
+async function handleEditOrder(orderNo, change) {
+  const titles = EDIT_TITLES[change.mode] || EDIT_TITLES.set;
+
+  try {
+    const result = await editOrderLine(orderNo, change);
+
+    if (!result.success) {
+      return { success: false, message: `${titles.failed}\n\n${result.error}` };
+    }
+
+    const diff = result.stockDelta;
+    const stockChange = diff > 0 ? `-${diff}` : `+${Math.abs(diff)}`;
+
+    let msg = `${result.lineCancelled ? EDIT_TITLES.remove.done : titles.done}\n\n`;
+    msg += `📋 #${result.orderNo}\n`;
+    msg += `👤 ${result.customer}\n\n`;
+    msg += `📦 ${result.productName}: ${result.oldQuantity} → ${result.newQuantity} ${result.unit}\n`;
+    msg += `📊 สต็อก ${stockChange} → ${result.newStock} ${result.stockUnit}\n\n`;
+    msg += `💰 ยอดรวม: ${result.oldTotal.toLocaleString()}฿ → ${result.newTotal.toLocaleString()}฿`;
+
+    if (result.extraCharge > 0) {
+      msg += `\n💳 ออเดอร์จ่ายแล้ว - เก็บเพิ่ม ${result.extraCharge.toLocaleString()}฿`;
+    } else if (result.creditUpdated) {
+      msg += `\n💳 อัปเดตยอดเครดิตแล้ว`;
+    }
+
+    if (result.orderCancelled) {
+      msg += `\n\n⚠️ ไม่มีสินค้าเหลือในออเดอร์นี้แล้ว`;
+    }
+
+    return { success: true, message: msg };
+
+  } catch (error) {
+    Logger.error('Edit order failed', error);
+    return {
+      success: false,
+      message: '❌ ไม่สามารถแก้ไขออเดอร์ได้'
+    };
+  }
+}
+
 // ============================================================================
 // CUSTOMER CREDIT QUERY
 // ============================================================================
@@ -526,35 +816,46 @@ async function handleCustomerCreditQuery(customerName) {
 // STOCK ADJUSTMENT HANDLER
 // ============================================================================
 
-async function handleStockAdjustment(text) {
+async function handleStockAdjustment(text, userId) {
   try {
-    const stockAdjustment = await parseAdjustmentCommand(text);
+    // "เพิ่ม นม 24 หมดอายุ 31/12/2026 ล็อต A12" - expiry/lot belong to the received stock
+    const lotInfo = extractLotInfo(text);
+    const stockAdjustment = await parseAdjustmentCommand(lotInfo.text);
 
     if (!stockAdjustment.isAdjustment) {
       // Not a stock adjustment - continue to order parsing
       return null;
     }
 
-    if (stockAdjustment.ambiguous) {
-      let msg = `🤔 พบสินค้าหลายรายการ: "${stockAdjustment.productName}"\n\n`;
+    if (lotInfo.error) {
+      return { success: false, message: `❌ ${lotInfo.error}` };
+    }
 
-      stockAdjustment.suggestions.forEach((item, idx) => {
-        msg += `${idx + 1}. ${item.item}\n`;
-        msg += `   💰 ${item.price}฿ │ 📦 ${item.stock} ${item.unit}\n\n`;
-      });
+    if (lotInfo.lot && stockAdjustment.operation !== 'add') {
+      return { success: false, message: '❌ ระบุวันหมดอายุ/ล็อตได้เฉพาะตอนรับของเข้า (เพิ่ม/เติม)' };
+    }
 
-      msg += `━━━━━━━━━━━━━━━━━━━━\n`;
-      msg += `💡 กรุณาระบุให้ชัดเจน:\n`;
-      msg += `ตัวอย่าง: "${stockAdjustment.suggestions[0].item} ${stockAdjustment.value}"`;
+    if (stockAdjustment.ambiguous) {
+      // ✅ Remember the question so "1" / "2" / a name fragment can answer it
+      conversationStore.set(userId, STATE_TYPES.PENDING_CHOICE, {
+        kind: 'stock_adjustment',
+        candidates: stockAdjustment.suggestions,
+        value: stockAdjustment.value,
+        unit: stockAdjustment.unit,
+        operation: stockAdjustment.operation,
+        lot: lotInfo.lot
+      });
 
-      return { success: true, message: msg };
+      return { success: true, message: stockAdjustment.helpMessage };
     }
 
     const result = await adjustStock(
       stockAdjustment.item,
       stockAdjustment.value,
       stockAdjustment.operation,
-      'manual_adjustment'
+      'manual_adjustment',
+      stockAdjustment.unit,
+      lotInfo.lot
     );
 
     if (result.success) {
@@ -584,19 +885,30 @@ async function handleOrderParsing(userInput, userId) {
       };
     }
 
+    // A new order message replaces any draft still waiting for confirmation
+    conversationStore.clear(userId, STATE_TYPES.PENDING_ORDER);
+
+    // "... จากรถ1" takes the stock from that location
+    await loadLocations();
+    const location = detectLocationInText(userInput);
+
     let finalResponses = [];
+    let quickReplies = null;
 
     for (const res of aiResults) {
       Logger.info(`🤖 Processing: ${res.intent} for ${res.customer}`);
+      if (location) res.location = location;
 
       switch (res.intent) {
         case 'disambiguation':
+          rememberOrderDisambiguation(userId, res);
           finalResponses.push(formatDisambiguationMessage(res));
           break;
 
         case 'order':
           const orderResult = await executeOrderLogic(res, userId);
           finalResponses.push(orderResult.message);
+          quickReplies = orderResult.quickReplies || quickReplies;
           break;
 
         case 'payment':
@@ -611,7 +923,8 @@ async function handleOrderParsing(userInput, userId) {
 
     return {
       success: true,
-      message: finalResponses.join('\n\n' + '━'.repeat(15) + '\n\n')
+      message: finalResponses.join('\n\n' + '━'.repeat(15) + '\n\n'),
+      quickReplies
     };
 
   } catch (error) {
@@ -666,68 +979,434 @@ async function executeOrderLogic(parsed, userId) {
       Logger.info(`🚚 Detected: Delivery by ${deliveryPerson}`);
     }
 
+    // Draft totals and auto rules use promotion prices
+    await pricingEngine.refresh();
+
     const orderData = {
       customer: parsed.customer || 'ไม่ระบุ',
       items: parsed.items,
       deliveryPerson: deliveryPerson,
+      location: parsed.location || '',
       paymentStatus: paymentStatus
     };
 
+    // Where the stock will come from - the draft checks that location only
+    await loadLocations();
+    const location = resolveOrderLocation(orderData);
+
     const totalValue = parsed.items.reduce((sum, item) =>
-      sum + (item.quantity * item.stockItem.price), 0
+      sum + pricingEngine.calculatePrice(item.stockItem, getItemBaseQuantity(item), orderData.customer), 0
     );
 
     const autoDecision = shouldAutoProcess(parsed, totalValue);
-    monitor.recordDecision(autoDecision, 'pending');
 
-    // Create order
-    const result = await createOrderTransaction(orderData);
+    // ✅ Short on stock → offer to send what we have and backorder the rest
+    const { shortages, bundleShortages, fillableValue } = planStockFill(parsed.items, orderData.customer, location);
+    const locationText = isDefaultLocation(location) ? '' : ` (${location})`;
 
-    if (result.success) {
-      monitor.recordDecision(autoDecision, result.orderNo);
+    // Sets go out complete - there is nothing to backorder
+    if (bundleShortages.length > 0) {
+      return {
+        success: false,
+        message: `❌ สต็อกไม่พอจัดชุด${locationText}:\n` +
+          bundleShortages.map(b => `• ${b.name}: จัดได้ ${b.available} ชุด ต้องการ ${b.requested} ชุด`).join('\n')
+      };
+    }
 
-      let extraMessages = [];
+    if (shortages.length > 0) {
+      return holdOrderDraft(userId, {
+        orderData: { ...orderData, allowBackorder: true },
+        confidence: parsed.confidence,
+        reason: 'สต็อกไม่พอ - ส่งเท่าที่มี ที่เหลือเป็นของค้างส่ง',
+        totalValue: fillableValue,
+        notes: shortages.map(s =>
+          `${s.name}: มี ${s.availableText}${locationText} ต้องการ ${s.requestedText} → ค้างส่ง ${s.backorderText}`
+        ).concat('ยอดเงินคิดเฉพาะของที่ส่งได้ ของค้างส่งคิดเงินเมื่อส่ง')
+      });
+    }
 
-      // Handle payment
-      if (paymentStatus === 'paid') {
-        await updateOrderPaymentStatus(result.orderNo, 'จ่ายแล้ว');
-        extraMessages.push('💸 บันทึกรับเงินแล้ว');
-      }
+    // ✅ Hold orders that fail the auto rules until the user confirms
+    if (!autoDecision.shouldAuto) {
+      monitor.recordDecision(autoDecision, 'draft');
+      return holdOrderDraft(userId, {
+        orderData,
+        confidence: parsed.confidence,
+        reason: autoDecision.reason,
+        totalValue
+      });
+    }
 
-      // Handle delivery
-      if (deliveryPerson) {
-        extraMessages.push(`🚚 กำลังส่งโดย: ${deliveryPerson}`);
-      }
+    return await placeOrder(orderData, parsed.confidence, autoDecision);
 
-      let responseMsg = formatOrderSuccess(
-        result.orderNo,
-        result.customer,
-        result.items,
-        result.totalAmount,
-        parsed.confidence,
-        autoDecision.shouldAuto
-      );
+  } catch (error) {
+    Logger.error('executeOrderLogic failed', error);
+    return {
+      success: false,
+      message: '❌ ระบบขัดข้อง'
+    };
+  }
+}
 
-      if (extraMessages.length > 0) {
-        responseMsg += `\n\n✨ อัปเดตเพิ่มเติม:\n• ${extraMessages.join('\n• ')}`;
+/**
+ * Lines the cached stock can't cover, bundles short of complete sets and the
+ * value of what can be sent now (a product listed twice shares its stock)
+ */
+function planStockFill(items, customer, location) {
+  const remaining = new Map();
+  const shortages = [];
+  const bundleShortages = [];
+  let fillableValue = 0;
+
+  for (const item of items) {
+    // Sets can't be backordered - createOrderTransaction rejects a short bundle
+    if (item.stockItem.isBundle) {
+      const sets = Math.min(...item.stockItem.components.map(c => {
+        const component = getStockCache().find(s => s.item === c.item);
+        return component ? Math.floor(getCachedAvailable(component, location) / c.quantity) : 0;
+      }));
+      if (sets < item.quantity) {
+        bundleShortages.push({ name: item.stockItem.item, available: sets, requested: item.quantity });
       }
+      fillableValue += pricingEngine.calculatePrice(item.stockItem, item.quantity, customer);
+      continue;
+    }
 
-      return { success: true, message: responseMsg };
+    const name = item.stockItem.item;
+    const factor = getConversionFactor(item.stockItem, item.unit) || 1;
+    const available = remaining.has(name) ? remaining.get(name) : getCachedAvailable(item.stockItem, location);
+    const filled = Math.min(Math.floor(available / factor), item.quantity);
+
+    if (filled < item.quantity) {
+      shortages.push({
+        name,
+        available,
+        requested: item.quantity,
+        availableText: formatQuantity(item.stockItem, available),
+        requestedText: formatQuantity(item.stockItem, item.quantity, item.unit),
+        backorderText: formatQuantity(item.stockItem, item.quantity - filled, item.unit)
+      });
+    }
 
-    } else {
-      return {
-        success: false,
-        message: `❌ สร้างออเดอร์ไม่สำเร็จ: ${result.error}`
-      };
+    if (filled > 0) {
+      fillableValue += pricingEngine.calculatePrice(item.stockItem, filled * factor, customer);
+    }
+    remaining.set(name, available - filled * factor);
+  }
+
+  return { shortages, bundleShortages, fillableValue };
+}
+
+// ============================================================================
+// CUSTOMER TIER
+// ============================================================================
+
+async function handleCustomerTierCommand(customerName, tier, userId) {
+  if (!tier) {
+    const current = pricingEngine.getCustomerTier(customerName);
+    const discount = TIER_DISCOUNTS[current] * 100;
+    return {
+      success: true,
+      message: `👤 ${customerName}\n🏅 ระดับ: ${current.toUpperCase()}` +
+        (discount > 0 ? ` (ลด ${discount}%)` : '') +
+        `\n\n💡 เปลี่ยนระดับ: "ระดับ ${customerName} vip/gold/regular"`
+    };
+  }
+
+  if (!AccessControl.isAdmin(userId)) {
+    return { success: false, message: '❌ คำสั่งนี้สำหรับแอดมินเท่านั้น' };
+  }
+
+  const result = await pricingEngine.updateCustomerTier(customerName, tier);
+
+  if (!result.success) {
+    return { success: false, message: `❌ ${result.error}` };
+  }
+
+  const discount = TIER_DISCOUNTS[result.tier] * 100;
+  return {
+    success: true,
+    message: `✅ อัปเดตระดับลูกค้าแล้ว\n\n👤 ${result.customer}\n` +
+      `🏅 ${result.oldTier.toUpperCase()} → ${result.tier.toUpperCase()}` +
+      (discount > 0 ? `\n💰 ส่วนลด ${discount}% ทุกรายการ` : '')
+  };
+}
+
+// ============================================================================
+// PLACE ORDER
+// ============================================================================
+
+async function placeOrder(orderData, confidence, autoDecision) {
+  const result = await createOrderTransaction(orderData);
+
+  if (!result.success) {
+    return {
+      success: false,
+      message: `❌ สร้างออเดอร์ไม่สำเร็จ: ${result.error}`
+    };
+  }
+
+  if (autoDecision.shouldAuto) {
+    monitor.recordDecision(autoDecision, result.orderNo);
+  }
+
+  let extraMessages = [];
+
+  // Handle payment
+  if (orderData.paymentStatus === 'paid') {
+    await updateOrderPaymentStatus(result.orderNo, 'จ่ายแล้ว');
+    extraMessages.push('💸 บันทึกรับเงินแล้ว');
+  }
+
+  // Handle delivery
+  if (orderData.deliveryPerson) {
+    extraMessages.push(`🚚 กำลังส่งโดย: ${orderData.deliveryPerson}`);
+  }
+
+  if (!isDefaultLocation(result.location)) {
+    extraMessages.push(`📍 ตัดสต็อกจาก ${result.location}`);
+  }
+
+  let responseMsg = formatOrderSuccess(
+    result.orderNo,
+    result.customer,
+    result.items,
+    result.totalAmount,
+    confidence,
+    autoDecision.shouldAuto
+  );
+
+  if (extraMessages.length > 0) {
+    responseMsg += `\n\n✨ อัปเดตเพิ่มเติม:\n• ${extraMessages.join('\n• ')}`;
+  }
+
+  return { success: true, message: responseMsg, orderNo: result.orderNo };
+}
+
+// ============================================================================
+// PENDING ORDER DRAFTS
+// ============================================================================
+
+function holdOrderDraft(userId, draft) {
+  // Several orders in one message are confirmed together
+  // (callers clear the state when a new message starts a fresh order)
+  const pending = conversationStore.get(userId, STATE_TYPES.PENDING_ORDER);
+  const drafts = pending ? [...pending.drafts, draft] : [draft];
+
+  conversationStore.set(userId, STATE_TYPES.PENDING_ORDER, { drafts }, PENDING_ORDER_TTL);
+
+  Logger.info(`📝 Order draft held for ${draft.orderData.customer}: ${draft.reason}`);
+
+  return {
+    success: true,
+    message: formatOrderDraft(draft),
+    quickReplies: CONFIRM_QUICK_REPLIES
+  };
+}
+
+async function confirmPendingOrders(userId) {
+  // ✅ take() clears the state first so a double-tap can't create the order twice
+  const pending = conversationStore.take(userId, STATE_TYPES.PENDING_ORDER);
+
+  if (!pending) {
+    return {
+      success: false,
+      message: '❌ ไม่มีออเดอร์รอยืนยัน\n\nออเดอร์อาจหมดเวลายืนยันแล้ว กรุณาสั่งใหม่อีกครั้ง'
+    };
+  }
+
+  const responses = [];
+  let allSucceeded = true;
+
+  for (const draft of pending.drafts) {
+    Logger.info(`✅ Draft confirmed for ${draft.orderData.customer}`);
+
+    const result = await placeOrder(draft.orderData, draft.confidence, { shouldAuto: false });
+    responses.push(result.message);
+
+    if (!result.success) allSucceeded = false;
+  }
+
+  return {
+    success: allSucceeded,
+    message: responses.join('\n\n' + '━'.repeat(15) + '\n\n')
+  };
+}
+
+function discardPendingOrders(userId) {
+  const pending = conversationStore.take(userId, STATE_TYPES.PENDING_ORDER);
+  const customers = (pending?.drafts || []).map(d => d.orderData.customer);
+
+  Logger.info(`🗑️ Order draft(s) discarded: ${customers.join(', ')}`);
+
+  return {
+    success: true,
+    message: `🗑️ ยกเลิกออเดอร์ที่รอยืนยันแล้ว\n\n👤 ${customers.join(', ')}\n\nไม่มีการตัดสต็อก`
+  };
+}
+
+// ============================================================================
+// REORDER HANDLER
+// ============================================================================
+
+async function handleReorder(command, userId) {
+  try {
+    const reorder = await buildReorder(command.customerName, command.source);
+
+    if (!reorder.success) {
+      return { success: false, message: `❌ ${reorder.error}` };
     }
 
+    await pricingEngine.refresh();
+    const totalValue = reorder.items.reduce((sum, item) =>
+      sum + pricingEngine.calculatePrice(item.stockItem, getItemBaseQuantity(item), reorder.customer), 0
+    );
+
+    // Always confirm - prices and stock may have changed since last time
+    conversationStore.clear(userId, STATE_TYPES.PENDING_ORDER);
+    return holdOrderDraft(userId, {
+      orderData: {
+        customer: reorder.customer,
+        items: reorder.items,
+        deliveryPerson: '',
+        paymentStatus: 'unpaid'
+      },
+      confidence: 'high',
+      reason: reorder.sourceOrderNo
+        ? `สั่งซ้ำจากออเดอร์ #${reorder.sourceOrderNo} (${reorder.sourceDate})`
+        : 'สั่งซ้ำจากรายการที่สั่งประจำ',
+      totalValue,
+      notes: reorder.notes
+    });
+
   } catch (error) {
-    Logger.error('executeOrderLogic failed', error);
+    Logger.error('Reorder failed', error);
     return {
       success: false,
-      message: '❌ ระบบขัดข้อง'
+      message: '❌ ไม่สามารถสั่งซ้ำได้'
+    };
+  }
+}
+
+// ============================================================================
+// PENDING CHOICE (MULTI-TURN DISAMBIGUATION)
+// ============================================================================
+
+function rememberOrderDisambiguation(userId, res) {
+  if (!res.ambiguousItems || res.ambiguousItems.length === 0) return;
+
+  conversationStore.set(userId, STATE_TYPES.PENDING_CHOICE, {
+    kind: 'order',
+    customer: res.customer,
+    resolvedItems: res.items || [],
+    ambiguousItems: res.ambiguousItems,
+    isPaid: res.isPaid,
+    deliveryPerson: res.deliveryPerson,
+    location: res.location,
+    confidence: res.confidence
+  });
+}
+
+/**
+ * Pick a candidate by number ("2") or by a fragment of its name
+ * @returns {{ match: Object|null, outOfRange: boolean }}
+ */
+function resolveChoice(text, candidates) {
+  const reply = text.trim().toLowerCase();
+
+  if (/^\d+$/.test(reply)) {
+    const index = parseInt(reply) - 1;
+    if (index >= 0 && index < candidates.length) {
+      return { match: candidates[index], outOfRange: false };
+    }
+    return { match: null, outOfRange: true };
+  }
+
+  const exact = candidates.find(c => c.item.toLowerCase() === reply);
+  if (exact) {
+    return { match: exact, outOfRange: false };
+  }
+
+  const partial = candidates.filter(c => c.item.toLowerCase().includes(reply));
+  return { match: partial.length === 1 ? partial[0] : null, outOfRange: false };
+}
+
+/**
+ * @returns {Object|null} reply, or null when the message isn't an answer
+ */
+async function handlePendingChoice(text, userId, pending) {
+  const candidates = pending.kind === 'order'
+    ? pending.ambiguousItems[0].possibleMatches
+    : pending.candidates;
+
+  const { match, outOfRange } = resolveChoice(text, candidates);
+
+  if (outOfRange) {
+    return {
+      success: false,
+      message: `❌ กรุณาตอบเลข 1-${candidates.length}\n\nหรือพิมพ์คำสั่งใหม่ได้เลย`
+    };
+  }
+
+  if (!match) {
+    // Not an answer - the user moved on to something else
+    conversationStore.clear(userId, STATE_TYPES.PENDING_CHOICE);
+    return null;
+  }
+
+  Logger.info(`👉 Choice resolved: ${match.item}`);
+
+  if (pending.kind === 'stock_adjustment') {
+    conversationStore.clear(userId, STATE_TYPES.PENDING_CHOICE);
+
+    const result = await adjustStock(match.item, pending.value, pending.operation, 'manual_adjustment', pending.unit, pending.lot);
+    return result.success
+      ? { success: true, message: result.message }
+      : { success: false, message: result.error };
+  }
+
+  const [answered, ...remaining] = pending.ambiguousItems;
+
+  // Candidates were captured when the question was asked - use current stock
+  const stockItem = getStockCache().find(i => i.item === match.item) || match;
+
+  const resolvedItems = [
+    ...pending.resolvedItems,
+    {
+      stockItem,
+      quantity: answered.quantity || 1,
+      // The typed pack unit ("2 ลัง") only applies if the chosen item has it
+      unit: resolveOrderUnit(stockItem, answered.unit),
+      matchConfidence: 'exact'
+    }
+  ];
+
+  if (remaining.length > 0) {
+    conversationStore.set(userId, STATE_TYPES.PENDING_CHOICE, {
+      ...pending,
+      resolvedItems,
+      ambiguousItems: remaining
+    });
+
+    return {
+      success: true,
+      message: `✅ เลือก ${match.item}\n\n` + formatDisambiguationMessage({
+        customer: pending.customer,
+        ambiguousItems: remaining
+      })
     };
   }
+
+  conversationStore.clear(userId, STATE_TYPES.PENDING_CHOICE);
+
+  return await executeOrderLogic({
+    intent: 'order',
+    customer: pending.customer,
+    items: resolvedItems,
+    isPaid: pending.isPaid,
+    deliveryPerson: pending.deliveryPerson,
+    location: pending.location,
+    confidence: pending.confidence || 'medium'
+  }, userId);
 }
 
 // ============================================================================
@@ -758,9 +1437,36 @@ function getHelpMessage(userId) {
     msg += `• "ลด [สินค้า] [จำนวน]"\n\n`;
   }
 
+  msg += `🔁 **สั่งซ้ำ**\n`;
+  msg += `• "[ร้าน] เหมือนเดิม" = ออเดอร์ล่าสุด\n`;
+  msg += `• "[ร้าน] เหมือนเมื่อวาน" = ออเดอร์เมื่อวาน\n`;
+  msg += `• "[ร้าน] เหมือนทุกที" = รายการที่สั่งประจำ\n\n`;
+
+  msg += `📍 **ย้ายสต็อก**\n`;
+  msg += `• "ย้าย น้ำแข็ง 20 ไป รถ1" = ขนของขึ้นรถ\n`;
+  msg += `• "ย้าย น้ำแข็ง 5 จาก รถ1" = คืนเข้าร้าน\n`;
+  msg += `• "[ร้าน] สั่ง ... จากรถ1" = ตัดสต็อกจากรถ\n\n`;
+
+  msg += `🗑️ **ของเสีย**\n`;
+  msg += `• "เสีย น้ำแข็ง 3 ละลาย" = ตัดสต็อก บันทึกมูลค่า\n`;
+  msg += `• "เสีย" = ดูของเสียวันนี้ + เหตุผลที่ใช้ได้\n\n`;
+
+  msg += `✏️ **แก้ไขออเดอร์**\n`;
+  msg += `• "แก้ #123 น้ำแข็ง 5" = เปลี่ยนจำนวน\n`;
+  msg += `• "แก้ #123 เพิ่ม โค้ก 2" = เพิ่มสินค้า\n\n`;
+
+  msg += `📝 **ยืนยันออเดอร์**\n`;
+  msg += `• ออเดอร์ที่ระบบไม่แน่ใจจะรอให้ยืนยันก่อน\n`;
+  msg += `• "ยืนยัน" = บันทึกออเดอร์ที่รออยู่\n`;
+  msg += `• "ยกเลิก" = ทิ้งออเดอร์ที่รออยู่\n`;
+  msg += `• สต็อกไม่พอ: ยืนยันเพื่อส่งเท่าที่มี ที่เหลือค้างส่ง\n`;
+  msg += `• "ค้างส่ง" = ดูของค้างส่งทั้งหมด\n\n`;
+
   msg += `❌ **ยกเลิกออเดอร์**\n`;
   msg += `• "ยกเลิก" = ยกเลิกออเดอร์ล่าสุด\n`;
-  msg += `• "ยกเลิก #123" = ยกเลิกเลขที่ 123\n\n`;
+  msg += `• "ยกเลิก #123" = ยกเลิกเลขที่ 123\n`;
+  msg += `• "ยกเลิก #123 โค้ก" = ยกเลิกเฉพาะรายการ\n`;
+  msg += `• "คืน #123 โค้ก 2" = คืนบางส่วน\n\n`;
 
   if (isAdmin) {
     msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -769,6 +1475,17 @@ function getHelpMessage(userId) {
     msg += `📝 "inbox" - ดูประวัติการสนทนา\n`;
     msg += `🔄 "รีเฟรช" - โหลดข้อมูลใหม่\n`;
     msg += `💳 "เครดิต" - รายงานเครดิต\n`;
+    msg += `📅 "ประจำ" - รายการสั่งประจำ (สร้าง/พัก/ลบ)\n`;
+    msg += `🏅 "ระดับ [ร้าน] vip/gold/regular" - ตั้งระดับส่วนลดลูกค้า\n`;
+    msg += `🏷️ "โปร" - โปรโมชั่น (สร้าง/ดู/จบ)\n`;
+    msg += `💲 "ราคา [ร้าน]" - ราคาพิเศษรายลูกค้า (ดู/ตั้ง)\n`;
+    msg += `🎁 "ชุด" - ชุดสินค้า/เซ็ตปาร์ตี้ (สร้าง/ดู/ลบ)\n`;
+    msg += `📍 "คลัง" - คลัง/รถส่งของ (ดู/เพิ่ม)\n`;
+    msg += `📋 "ตรวจนับ [หมวด]" - ตรวจนับสต็อกทีละรายการ\n`;
+    msg += `🔮 "พยากรณ์ [สินค้า]" / "ABC" / "สุขภาพสต็อก" - คาดการณ์ยอดขาย แนะนำสั่งของ\n`;
+    msg += `📆 "ล็อต" - ล็อตใกล้หมดอายุ (รับของ: "เพิ่ม [สินค้า] 24 หมดอายุ 31/12/2026")\n`;
+    msg += `🏭 "ซัพ" - ผู้ขาย\n`;
+    msg += `🧾 "po" - ใบสั่งซื้อ (สร้าง/ส่ง/รับของ)\n`;
   }
 
   return msg;
@@ -797,6 +1514,9 @@ function formatDisambiguationMessage(result) {
       msg += `━━━━━━━━━━━━━━━━━━━━\n\n`;
     });
 
+    const current = result.ambiguousItems[0];
+    msg += `💬 ตอบเลข 1-${current.possibleMatches.length} หรือชื่อบางส่วน เพื่อเลือก "${current.keyword}"\n\n`;
+
     msg += `💡 วิธีสั่ง:\n`;
     msg += `พิมพ์: "${result.customer || 'ชื่อร้าน'} สั่ง [ชื่อสินค้า] [ราคา] จำนวน [จำนวน]"\n\n`;
 
@@ -811,22 +1531,97 @@ function formatDisambiguationMessage(result) {
   return msg;
 }
 
-function formatOrderSuccess(orderNo, customer, items, totalAmount, confidence, wasAuto = false) {
-  const summary = items.map(i => {
-    const itemName = i.productName || i.stockItem?.item || 'สินค้า';
-    const newStock = i.newStock !== undefined ? i.newStock : 0;
+function formatOrderDraft(draft) {
+  const { orderData, totalValue, confidence, reason, notes = [] } = draft;
+
+  const summary = orderData.items.map(i => {
+    const factor = getConversionFactor(i.stockItem, i.unit) || 1;
+    const pricing = pricingEngine.calculateLinePrice(i.stockItem, i.quantity * factor, orderData.customer);
+    const quantityText = factor !== 1 ? `${i.quantity} ${normalizeUnit(i.unit)} (${i.quantity * factor} ${i.stockItem.unit})` : i.quantity;
+    let line = `• ${i.stockItem.item} x${quantityText} @${pricing.unitPrice * factor}฿ = ${pricing.amount.toLocaleString()}฿`;
+    if (pricing.discount > 0) {
+      line += `\n   🏷️ ${pricing.discounts.map(d => d.label).join(', ')} (-${pricing.discount.toLocaleString()}฿)`;
+    }
+    return line;
+  }).join('\n');
+
+  let msg = `📝 รอยืนยันออเดอร์\n\n`;
+  msg += `👤 ${orderData.customer}\n\n`;
+  msg += `${summary}\n\n`;
+  msg += `💰 รวม: ${totalValue.toLocaleString()}฿\n`;
+  msg += `🎯 ความมั่นใจ: ${confidence}\n`;
+  msg += `🔍 เหตุผลที่ต้องยืนยัน: ${reason}\n`;
+
+  if (notes.length > 0) {
+    msg += `\n⚠️ หมายเหตุ:\n${notes.map(n => `• ${n}`).join('\n')}\n`;
+  }
+
+  if (orderData.paymentStatus === 'paid') {
+    msg += `💸 จ่ายแล้ว\n`;
+  }
+
+  if (orderData.deliveryPerson) {
+    msg += `🚚 ส่งโดย: ${orderData.deliveryPerson}\n`;
+  }
 
-    let stockIcon = '✅';
-    if (newStock <= 3) stockIcon = '🔴';
-    else if (newStock <= 10) stockIcon = '🟡';
+  if (orderData.location) {
+    msg += `📍 จาก: ${orderData.location}\n`;
+  }
+
+  msg += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+  msg += `• "ยืนยัน" - บันทึกออเดอร์\n`;
+  msg += `• "ยกเลิก" - ไม่บันทึก\n`;
+  msg += `⏰ หมดเวลาใน ${PENDING_ORDER_TTL / 60000} นาที`;
+
+  return msg;
+}
 
-    return `${stockIcon} ${itemName} x${i.quantity} (${newStock} เหลือ)`;
+function formatOrderSuccess(orderNo, customer, items, totalAmount, confidence, wasAuto = false) {
+  const summary = items.filter(i => i.quantity > 0).map(i => {
+    const itemName = i.productName || i.stockItem?.item || 'สินค้า';
+    // What's left where the stock was taken from (shop, truck, cold room)
+    const newStock = i.locationStock != null ? i.locationStock
+      : i.newStock !== undefined ? i.newStock : 0;
+
+    // Against each product's reorder point (total stock); a bundle is as low as its lowest component.
+    // An emptied truck / cold room is red whatever the total.
+    const stockIcon = i.isBundle
+      ? getWorstStockIcon(i.components.map(c => ({
+        stockItem: getStockCache().find(s => s.item === c.item),
+        stock: c.newStock
+      })))
+      : newStock <= 0 ? '🔴' : getStockIcon(i.stockItem, i.newStock !== undefined ? i.newStock : 0);
+
+    // Ordered in packs → say so, and show what's left in the stock unit
+    let line = i.unitFactor > 1
+      ? `${stockIcon} ${itemName} x${i.quantity} ${i.unit} (${newStock} ${i.baseUnit} เหลือ)`
+      : `${stockIcon} ${itemName} x${i.quantity} (${newStock} เหลือ)`;
+    if (i.isBundle) {
+      line = `${stockIcon} ${itemName} x${i.quantity} ${i.unit} (จัดได้อีก ${newStock} ${i.unit})`;
+      line += i.components.map(c => `\n   • ${c.item} -${c.quantity} → ${c.newStock} ${c.unit}`).join('');
+    }
+    if (i.discountNote) {
+      line += `\n   🏷️ ${i.discountNote}`;
+    }
+    return line;
   }).join('\n');
 
   let msg = wasAuto ? `⚡ Auto-Approved!\n\n` : `✅ บันทึกออเดอร์สำเร็จ!\n\n`;
   msg += `📋 คำสั่งซื้อ #${orderNo}\n`;
   msg += `👤 ${customer}\n\n`;
-  msg += `${summary}\n\n`;
+  if (summary) {
+    msg += `${summary}\n\n`;
+  }
+
+  const backorders = items.filter(i => i.backorderQuantity > 0);
+  if (backorders.length > 0) {
+    msg += `⏳ ค้างส่ง (ส่งให้เมื่อเติมสต็อก):\n`;
+    msg += backorders.map(i =>
+      `• ${i.productName} x${i.backorderQuantity}${i.unitFactor > 1 ? ` ${i.unit}` : ''}`
+    ).join('\n');
+    msg += `\n\n`;
+  }
+
   msg += `💰 รวม: ${totalAmount.toLocaleString()}฿\n`;
   msg += `🎯 ความมั่นใจ: ${confidence}\n`;
 
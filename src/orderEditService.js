@@ -0,0 +1,474 @@
+// src/orderEditService.js - Change, add, return or cancel lines on existing orders
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
+const { loadStockCache, getStockCache } = require('./cacheManager');
+const { updateCreditAmount, addCreditCharge } = require('./creditService');
+const { stockLock, StockTransactionLock } = require('./orderService');
+const { BACKORDER_TAG, CANCELLED_TAG } = require('./comstant');
+const { resolveStockItem } = require('./stockAdjustment');
+const { pricingEngine } = require('./businessLogic');
+const { parseUnitConversions, getRowUnitFactor } = require('./unitConversion');
+const { loadBundles, findBundle } = require('./bundleService');
+const {
+  loadLocations,
+  readLocationStock,
+  getAvailableAt,
+  buildLocationChange,
+  writeLocationChanges
+} = require('./locationService');
+const {
+  readLots,
+  takeFromLots,
+  returnToLots,
+  splitPicksForReturn,
+  buildLotUpdates,
+  writeLotUpdates,
+  formatLotPicks,
+  parseLotPicks
+} = require('./lotService');
+const { checkReorderPoints } = require('./stockAlertService');
+
+// Audit note on lines added to an order after it was paid
+const PAID_EXTRA_TAG = 'เก็บเพิ่มหลังจ่าย';
+
+const AUDIT_LABELS = {
+  set: 'แก้ไข',
+  add: 'แก้ไข',
+  reduce: 'คืน',
+  remove: 'ยกเลิกรายการ'
+};
+
+// ============================================================================
+// ORDER EDIT LOCK (one edit per order at a time)
+// ============================================================================
+
+class OrderEditLock {
+  constructor() {
+    this.processing = new Set();
+  }
+
+  lock(orderNo) {
+    if (this.processing.has(orderNo)) {
+      throw new Error('Order edit already in progress');
+    }
+    this.processing.add(orderNo);
+  }
+
+  unlock(orderNo) {
+    this.processing.delete(orderNo);
+  }
+
+  isLocked(orderNo) {
+    return this.processing.has(orderNo);
+  }
+}
+
+const orderEditLock = new OrderEditLock();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function loadOrderLines(orderNo) {
+  const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:M');
+  const lines = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i][0] == orderNo) {
+      const notes = rows[i][5] || '';
+      lines.push({
+        rowIndex: i + 1,
+        row: rows[i],
+        product: rows[i][3] || '',
+        quantity: parseInt(rows[i][4] || 0),
+        unit: rows[i][10] || '',
+        location: rows[i][11] || '',
+        notes,
+        amount: parseFloat(rows[i][8] || 0),
+        cancelled: notes.includes(CANCELLED_TAG),
+        backordered: notes.includes(BACKORDER_TAG)
+      });
+    }
+  }
+
+  return lines;
+}
+
+function findOrderLine(lines, productName) {
+  const query = productName.toLowerCase().trim();
+  // Backorder lines hold no stock - they are filled or cancelled, not edited
+  const active = lines.filter(l => !l.cancelled && !l.backordered);
+
+  const exact = active.find(l => l.product.toLowerCase().trim() === query);
+  if (exact) return { line: exact, candidates: [exact] };
+
+  const partial = active.filter(l => l.product.toLowerCase().includes(query));
+  return { line: partial.length === 1 ? partial[0] : null, candidates: partial };
+}
+
+function findStockRowByName(stockRows, productName) {
+  const target = productName.toLowerCase().trim();
+
+  for (let i = 1; i < stockRows.length; i++) {
+    if ((stockRows[i][0] || '').toLowerCase().trim() === target) {
+      return {
+        rowIndex: i + 1,
+        name: stockRows[i][0],
+        price: parseFloat(stockRows[i][2] || 0),
+        cost: parseFloat(stockRows[i][1] || 0),
+        unit: stockRows[i][3] || 'ชิ้น',
+        unitConversions: parseUnitConversions(stockRows[i][8], stockRows[i][0]),
+        stock: parseInt(stockRows[i][4] || 0)
+      };
+    }
+  }
+
+  return null;
+}
+
+function calculateOrderTotal(lines) {
+  return lines
+    .filter(l => !l.cancelled)
+    .reduce((sum, l) => sum + l.amount, 0);
+}
+
+function appendAuditNote(notes, note) {
+  return notes ? `${notes} | ${note}` : note;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// EDIT ORDER LINE
+// ============================================================================
+
+/**
+ * Change one line of an existing order
+ * @param {number} orderNo
+ * @param {Object} change - { productName, quantity, mode: 'set' | 'add' | 'reduce' | 'remove' }
+ *   set: line quantity becomes `quantity`
+ *   add: `quantity` is added to the line (creates the line if missing)
+ *   reduce: `quantity` is returned from the line
+ *   remove: the whole line is cancelled (`quantity` ignored)
+ *   A line that reaches 0 is tagged [ยกเลิกแล้ว] with amount 0; the rest of the order is untouched.
+ */
+async function editOrderLine(orderNo, change) {
+  const { productName, quantity, mode = 'set' } = change;
+
+  if (!AUDIT_LABELS[mode]) {
+    return { success: false, error: `Unknown edit mode: ${mode}` };
+  }
+
+  if (!productName) {
+    return { success: false, error: 'กรุณาระบุชื่อสินค้า' };
+  }
+
+  if (mode !== 'remove' && (!Number.isInteger(quantity) || quantity <= 0)) {
+    return { success: false, error: 'จำนวนต้องเป็นตัวเลขมากกว่า 0' };
+  }
+
+  if (orderEditLock.isLocked(orderNo)) {
+    return { success: false, error: `⏳ กำลังแก้ไขออเดอร์ #${orderNo} อยู่ กรุณารอสักครู่` };
+  }
+
+  orderEditLock.lock(orderNo);
+
+  try {
+    Logger.info(`✏️ Editing order #${orderNo}: ${mode} ${productName} ${quantity}`);
+
+    const lines = await loadOrderLines(orderNo);
+
+    if (lines.length === 0) {
+      return { success: false, error: `ไม่พบออเดอร์ #${orderNo}` };
+    }
+
+    if (lines.every(l => l.cancelled)) {
+      return { success: false, error: `ออเดอร์ #${orderNo} ถูกยกเลิกแล้ว` };
+    }
+
+    const firstLine = lines[0];
+    const customer = firstLine.row[2];
+    const paymentStatus = firstLine.row[7];
+    // Paid, or paid and then added to (those lines are unpaid but tagged)
+    const paidOrder = lines.some(l => l.row[7] === 'จ่ายแล้ว' || (l.notes || '').includes(PAID_EXTRA_TAG));
+    const oldTotal = calculateOrderTotal(lines);
+
+    // ========================================================================
+    // RESOLVE WHICH LINE / PRODUCT
+    // ========================================================================
+
+    const { line, candidates } = findOrderLine(lines, productName);
+
+    if (!line && candidates.length > 1) {
+      const names = candidates.map(c => `• ${c.product}`).join('\n');
+      return { success: false, error: `พบหลายรายการในออเดอร์ #${orderNo}:\n${names}\n\nกรุณาระบุชื่อให้ชัดเจน` };
+    }
+
+    let targetName;
+
+    if (line) {
+      targetName = line.product;
+
+      // A set's stock lives on its components - change it by cancelling and reordering
+      await loadBundles();
+      if (findBundle(line.product, true) &&
+          !getStockCache().some(i => i.item.toLowerCase().trim() === line.product.toLowerCase().trim())) {
+        return {
+          success: false,
+          error: `${line.product} เป็นชุดสินค้า แก้จำนวนไม่ได้\n\n💡 ยกเลิกออเดอร์ #${orderNo} แล้วสั่งใหม่`
+        };
+      }
+    } else if (mode === 'set') {
+      return {
+        success: false,
+        error: `ไม่พบ "${productName}" ในออเดอร์ #${orderNo}\n\n💡 เพิ่มสินค้าใหม่: "แก้ #${orderNo} เพิ่ม ${productName} ${quantity}"`
+      };
+    } else if (mode !== 'add') {
+      return { success: false, error: `ไม่พบ "${productName}" ในออเดอร์ #${orderNo}` };
+    } else {
+      const resolved = resolveStockItem(productName);
+      if (resolved.error) {
+        return { success: false, error: resolved.error };
+      }
+      targetName = resolved.stockItem.item;
+    }
+
+    // ========================================================================
+    // APPLY STOCK DELTA + ORDER ROW UNDER LOCK
+    // ========================================================================
+
+    const cached = getStockCache().find(i =>
+      i.item.toLowerCase().trim() === targetName.toLowerCase().trim()
+    );
+    const lockKey = StockTransactionLock.generateKey(targetName, cached?.unit);
+    const timestamp = getThaiDateTimeString();
+    // Added lines come from wherever the rest of the order came from
+    const location = line ? line.location : firstLine.location;
+
+    let stockInfo;
+    let oldQuantity;
+    let newQuantity;
+    let newStock;
+    let stockDelta;
+    let lineUnit;
+    // Added on top of a paid order - billed separately
+    let extraCharge = 0;
+
+    await loadLocations();
+    await stockLock.acquireLock(lockKey);
+
+    try {
+      const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:I');
+      const locationEntries = await readLocationStock();
+      stockInfo = findStockRowByName(stockRows, targetName);
+
+      if (!stockInfo) {
+        return { success: false, error: `ไม่พบสินค้าในสต็อก: ${targetName}` };
+      }
+
+      oldQuantity = line ? line.quantity : 0;
+
+      // Quantities follow the line's unit (ลัง/แพ็ค); stock moves in base units
+      const factor = line ? getRowUnitFactor(line.row, stockInfo) : 1;
+      lineUnit = line && factor !== 1 ? line.unit : stockInfo.unit;
+
+      if (mode === 'reduce' && quantity > oldQuantity) {
+        return { success: false, error: `${targetName} ในออเดอร์ #${orderNo} มีแค่ ${oldQuantity} ${lineUnit}` };
+      }
+
+      newQuantity = {
+        set: quantity,
+        add: oldQuantity + quantity,
+        reduce: oldQuantity - quantity,
+        remove: 0
+      }[mode];
+      const delta = newQuantity - oldQuantity;
+
+      if (delta === 0) {
+        return { success: false, error: `${targetName} ในออเดอร์ #${orderNo} มี ${oldQuantity} ${lineUnit} อยู่แล้ว` };
+      }
+
+      stockDelta = delta * factor;
+      const available = getAvailableAt(locationEntries, location, stockInfo.name, stockInfo.stock);
+
+      if (stockDelta > available) {
+        return {
+          success: false,
+          error: `สต็อกไม่พอ${location ? ` (${location})` : ''}:\n• ${targetName}: มี ${available} ${stockInfo.unit} ต้องการเพิ่ม ${stockDelta} ${stockInfo.unit}`
+        };
+      }
+
+      newStock = stockInfo.stock - stockDelta;
+      const locationChange = buildLocationChange(locationEntries, location, stockInfo.name, -stockDelta);
+
+      // More taken → first-expiring lots; returned → back to the lots it came from
+      const lots = await readLots();
+      let linePicks = line ? parseLotPicks(line.row[12]) : [];
+
+      if (stockDelta > 0) {
+        linePicks = linePicks.concat(takeFromLots(lots, stockInfo.name, stockDelta));
+      } else {
+        const { returned, kept } = splitPicksForReturn(linePicks, oldQuantity * factor, -stockDelta);
+        returnToLots(lots, returned);
+        linePicks = kept;
+      }
+
+      // Keep the price the customer was originally charged;
+      // new lines are priced like a fresh order (tier discount etc.)
+      let newAmount;
+      let discountNote = '';
+
+      if (line && line.quantity > 0) {
+        newAmount = roundAmount((line.amount / line.quantity) * newQuantity);
+      } else {
+        await pricingEngine.refresh();
+        const pricing = pricingEngine.calculateLinePrice(
+          { item: stockInfo.name, price: stockInfo.price },
+          newQuantity,
+          customer
+        );
+        newAmount = pricing.amount;
+        discountNote = pricingEngine.formatDiscountNote(pricing);
+      }
+
+      // Paid orders: the added / increased line is owed again (reductions aren't refunded here)
+      if (paidOrder && newQuantity > oldQuantity) {
+        extraCharge = roundAmount(newAmount - (line ? line.amount : 0));
+      }
+      const linePayment = extraCharge > 0 ? 'ยังไม่จ่าย' : (line ? line.row[7] : paymentStatus);
+
+      const auditNote = `${AUDIT_LABELS[mode]} ${timestamp}: ${targetName} ${oldQuantity}→${newQuantity}` +
+        (extraCharge > 0 ? ` ${PAID_EXTRA_TAG} ${extraCharge}฿` : '');
+
+      if (line) {
+        const lineCancelled = newQuantity === 0;
+        const notes = appendAuditNote(
+          line.notes,
+          lineCancelled ? `${CANCELLED_TAG} ${auditNote}` : auditNote
+        );
+
+        await batchUpdateSheet(CONFIG.SHEET_ID, [
+          { range: `สต็อก!E${stockInfo.rowIndex}`, values: [[newStock]] },
+          {
+            range: `คำสั่งซื้อ!E${line.rowIndex}:F${line.rowIndex}`,
+            values: [[newQuantity, notes]]
+          },
+          { range: `คำสั่งซื้อ!H${line.rowIndex}:I${line.rowIndex}`, values: [[linePayment, newAmount]] },
+          { range: `คำสั่งซื้อ!M${line.rowIndex}`, values: [[formatLotPicks(linePicks)]] },
+          ...buildLotUpdates(lots)
+        ]);
+        await writeLocationChanges([locationChange]);
+
+        line.quantity = newQuantity;
+        line.amount = newAmount;
+        line.cancelled = lineCancelled;
+      } else {
+        await batchUpdateSheet(CONFIG.SHEET_ID, [
+          { range: `สต็อก!E${stockInfo.rowIndex}`, values: [[newStock]] }
+        ]);
+
+        try {
+          await appendSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:M', [[
+            orderNo,                  // A - Order number
+            firstLine.row[1],         // B - Original order date
+            customer,                 // C - Customer
+            stockInfo.name,           // D - Product
+            newQuantity,              // E - Quantity
+            appendAuditNote(discountNote, auditNote), // F - Notes
+            firstLine.row[6] || '',   // G - Delivery person
+            linePayment,              // H - Payment status
+            newAmount,                // I - Amount
+            stockInfo.cost,           // J - Unit cost at sale time
+            '',                       // K - Added lines are in the stock unit
+            location,                 // L - Stock location
+            formatLotPicks(linePicks) // M - Lots taken
+          ]]);
+        } catch (appendError) {
+          // Put the stock back - the line was never written
+          await batchUpdateSheet(CONFIG.SHEET_ID, [
+            { range: `สต็อก!E${stockInfo.rowIndex}`, values: [[stockInfo.stock]] }
+          ]);
+          throw appendError;
+        }
+        await writeLocationChanges([locationChange]);
+        await writeLotUpdates(lots);
+
+        lines.push({ product: stockInfo.name, quantity: newQuantity, amount: newAmount, cancelled: false });
+      }
+
+    } finally {
+      stockLock.releaseLock(lockKey);
+    }
+
+    // ========================================================================
+    // RECALCULATE TOTAL & CREDIT
+    // ========================================================================
+
+    const newTotal = calculateOrderTotal(lines);
+    let creditUpdated = false;
+
+    if (extraCharge > 0) {
+      const creditResult = await addCreditCharge(
+        orderNo,
+        customer,
+        extraCharge,
+        `${AUDIT_LABELS[mode]} ${timestamp}: ${targetName} ${oldQuantity}→${newQuantity} (+${extraCharge}฿ หลังจ่าย)`
+      );
+      creditUpdated = creditResult.success;
+    } else if (!paidOrder) {
+      const creditResult = await updateCreditAmount(
+        orderNo,
+        newTotal,
+        `${AUDIT_LABELS[mode]} ${timestamp}: ${targetName} ${oldQuantity}→${newQuantity} (${oldTotal}→${newTotal}฿)`
+      );
+      creditUpdated = creditResult.success;
+    }
+
+    await loadStockCache(true);
+    checkReorderPoints([{ product: stockInfo.name, before: stockInfo.stock, after: newStock }], `แก้ออเดอร์ #${orderNo}`);
+
+    Logger.success(`✅ Order #${orderNo} edited: ${targetName} ${oldQuantity} → ${newQuantity}`);
+
+    return {
+      success: true,
+      orderNo,
+      mode,
+      customer,
+      productName: targetName,
+      unit: lineUnit,
+      stockUnit: stockInfo.unit,
+      stockDelta,
+      location,
+      oldQuantity,
+      newQuantity,
+      newStock,
+      oldTotal,
+      newTotal,
+      extraCharge,
+      lineCancelled: newQuantity === 0,
+      orderCancelled: lines.every(l => l.cancelled),
+      creditUpdated
+    };
+
+  } catch (error) {
+    Logger.error('editOrderLine failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    orderEditLock.unlock(orderNo);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  editOrderLine,
+  loadOrderLines,
+  calculateOrderTotal
+};
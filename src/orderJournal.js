@@ -0,0 +1,154 @@
+// src/orderJournal.js - Write-ahead journal for order transactions
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+
+// ============================================================================
+// JOURNAL SHEET LAYOUT: รหัส | ออเดอร์ | สถานะ | สร้างเมื่อ | อัปเดตเมื่อ | ข้อมูล
+// ============================================================================
+
+const JOURNAL_RANGE = 'Journal!A:F';
+
+const JOURNAL_STATUS = {
+  PENDING: 'pending',             // Intent recorded, nothing written yet
+  STOCK_APPLIED: 'stock_applied', // Stock decremented, order rows not confirmed
+  COMMITTED: 'committed',         // Order fully written
+  ROLLED_BACK: 'rolled_back',     // Stock restored, order abandoned
+  NEEDS_REVIEW: 'needs_review'    // Recovery could not decide safely
+};
+
+const OPEN_STATUSES = [JOURNAL_STATUS.PENDING, JOURNAL_STATUS.STOCK_APPLIED];
+
+// ============================================================================
+// ORDER JOURNAL
+// ============================================================================
+
+class OrderJournal {
+  constructor() {
+    this.rowIndexCache = new Map(); // journalId -> sheet row
+  }
+
+  generateId(orderNo) {
+    return `J${orderNo}-${Date.now()}`;
+  }
+
+  async _findRowIndex(journalId) {
+    if (this.rowIndexCache.has(journalId)) {
+      return this.rowIndexCache.get(journalId);
+    }
+
+    const rows = await getSheetData(CONFIG.SHEET_ID, JOURNAL_RANGE);
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i][0] === journalId) {
+        this.rowIndexCache.set(journalId, i + 1);
+        return i + 1;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record intent BEFORE touching stock or orders
+   * @param {number} orderNo
+   * @param {Object} payload - { stockUpdates, orderRows, credit }
+   */
+  async begin(orderNo, payload) {
+    const entry = {
+      id: this.generateId(orderNo),
+      orderNo,
+      status: JOURNAL_STATUS.PENDING,
+      payload
+    };
+
+    const now = getThaiDateTimeString();
+    await appendSheetData(CONFIG.SHEET_ID, JOURNAL_RANGE, [[
+      entry.id,
+      orderNo,
+      entry.status,
+      now,
+      now,
+      JSON.stringify(payload)
+    ]]);
+
+    Logger.debug(`📓 Journal ${entry.id} opened for order #${orderNo}`);
+    return entry;
+  }
+
+  async setStatus(entry, status) {
+    const rowIndex = await this._findRowIndex(entry.id);
+
+    if (!rowIndex) {
+      throw new Error(`Journal entry not found: ${entry.id}`);
+    }
+
+    // null leaves column D (created) untouched
+    await updateSheetData(
+      CONFIG.SHEET_ID,
+      `Journal!C${rowIndex}:E${rowIndex}`,
+      [[status, null, getThaiDateTimeString()]]
+    );
+
+    entry.status = status;
+
+    if (!OPEN_STATUSES.includes(status)) {
+      this.rowIndexCache.delete(entry.id);
+    }
+
+    Logger.debug(`📓 Journal ${entry.id} → ${status}`);
+  }
+
+  markStockApplied(entry) {
+    return this.setStatus(entry, JOURNAL_STATUS.STOCK_APPLIED);
+  }
+
+  commit(entry) {
+    return this.setStatus(entry, JOURNAL_STATUS.COMMITTED);
+  }
+
+  markRolledBack(entry) {
+    return this.setStatus(entry, JOURNAL_STATUS.ROLLED_BACK);
+  }
+
+  markNeedsReview(entry) {
+    return this.setStatus(entry, JOURNAL_STATUS.NEEDS_REVIEW);
+  }
+
+  /**
+   * Entries left open by a crash or failed write
+   */
+  async findIncomplete() {
+    const rows = await getSheetData(CONFIG.SHEET_ID, JOURNAL_RANGE);
+    const incomplete = [];
+
+    for (let i = 1; i < rows.length; i++) {
+      const status = rows[i][2];
+      if (!OPEN_STATUSES.includes(status)) continue;
+
+      try {
+        const entry = {
+          id: rows[i][0],
+          orderNo: parseInt(rows[i][1]),
+          status,
+          payload: JSON.parse(rows[i][5] || '{}')
+        };
+        this.rowIndexCache.set(entry.id, i + 1);
+        incomplete.push(entry);
+      } catch (error) {
+        Logger.error(`Journal row ${i + 1} has unreadable payload`, error);
+      }
+    }
+
+    return incomplete;
+  }
+}
+
+// Singleton
+const orderJournal = new OrderJournal();
+
+module.exports = {
+  OrderJournal,
+  orderJournal,
+  JOURNAL_STATUS
+};
@@ -3,7 +3,12 @@ const { Logger } = require('./logger');
 const { generateWithGroq } = require('./aiServices');
 const { getStockCache, getCustomerCache } = require('./cacheManager');
 const { normalizeText } = require('./utils');
+const { loadCustomerPrices, applyCustomerPrices } = require('./customerPriceService');
+const { loadBundles, getBundleStockItems } = require('./bundleService');
+const { resolveOrderUnit, detectPackUnit, describeConversions, getItemBaseQuantity } = require('./unitConversion');
 const { extractProductKeywords } = require('./productMatcher');
+const { fuzzyMatchStock } = require('./stockAdjustment');
+const { MATCHING } = require('./comstant');
 // ============================================================================
 // KEYWORD DEFINITIONS
 // ============================================================================
@@ -32,7 +37,8 @@ const KEYWORDS = {
 function calculateMatchConfidence(stockItem, priceHint) {
   if (!priceHint) return 'partial';
   
-  if (stockItem.price === priceHint) {
+  // Bulk buyers quote the quantity-break price
+  if (stockItem.price === priceHint || (stockItem.priceBreaks || []).some(b => b.price === priceHint)) {
     return 'exact';
   }
   
@@ -218,6 +224,27 @@ function extractPriceHints(text, keywordPrice = null, keywordQty = null) {
 // BUILD SMART STOCK LIST
 // ============================================================================
 
+/**
+ * "40฿" or "40฿ (10+ 35฿, 50+ 32฿)" when the item has quantity breaks
+ */
+function formatCatalogPrice(item) {
+  const breaks = item.priceBreaks || [];
+  if (breaks.length === 0) return `${item.price}฿`;
+  return `${item.price}฿ (${breaks.map(b => `${b.minQty}+ ${b.price}฿`).join(', ')})`;
+}
+
+/**
+ * " | 1 ลัง = 24 ขวด" so the AI can keep the customer's pack unit,
+ * " | ชุด: น้ำแข็ง 2, น้ำดื่ม 6" for bundles
+ */
+function formatCatalogDetails(item) {
+  if (item.isBundle) {
+    return ` | ชุด: ${item.components.map(c => `${c.item} ${c.quantity}`).join(', ')}`;
+  }
+  const conversions = describeConversions(item);
+  return conversions ? ` | ${conversions}` : '';
+}
+
 function buildSmartStockList(stockCache, priceHints) {
   let stockList = '';
   
@@ -238,7 +265,7 @@ function buildSmartStockList(stockCache, priceHints) {
           score += 20;
         }
         
-        if (item.price === hint.price) {
+        if (item.price === hint.price || (item.priceBreaks || []).some(b => b.price === hint.price)) {
           score += 100;
         } else if (Math.abs(item.price - hint.price) <= hint.price * 0.15) {
           score += 40;
@@ -263,18 +290,46 @@ function buildSmartStockList(stockCache, priceHints) {
   if (priorityItems.length > 0) {
     stockList += '🎯 [PRIORITY MATCHES]:\n';
     priorityItems.slice(0, 10).forEach(({ item, idx, score }) => {
-      stockList += `ID:${idx} | ⭐${score} | ${item.item} | ${item.price}฿ | ${item.stock} ${item.unit}\n`;
+      stockList += `ID:${idx} | ⭐${score} | ${item.item} | ${formatCatalogPrice(item)} | ${item.stock} ${item.unit}${formatCatalogDetails(item)}\n`;
     });
     stockList += '\n[ALL ITEMS]:\n';
   }
   
   scoredItems.slice(0, 100).forEach(({ item, idx }) => {
-    stockList += `ID:${idx} | ${item.item} | ${item.price}฿ | ${item.stock} ${item.unit}\n`;
+    stockList += `ID:${idx} | ${item.item} | ${formatCatalogPrice(item)} | ${item.stock} ${item.unit}${formatCatalogDetails(item)}\n`;
   });
   
   return stockList;
 }
 
+// ============================================================================
+// CLOSE MATCHES
+// The AI always picks one product. When the name the customer typed scores
+// about the same for several products (and no price tells them apart),
+// the customer is asked instead - same rule as stock adjustments.
+// ============================================================================
+
+/**
+ * @returns {Array|null} catalog items to choose from, or null when the
+ *   typed name has a clear winner
+ */
+function findCloseMatches(keyword, pricedStock, catalogItems, priceHint = null, unitHint = null) {
+  if (!keyword) return null;
+
+  const matches = fuzzyMatchStock(keyword, pricedStock, priceHint, unitHint ? normalizeText(unitHint) : null);
+  if (matches.length < 2) return null;
+
+  const scoreDiff = matches[0].score - matches[1].score;
+  if (scoreDiff >= MATCHING.AMBIGUITY_THRESHOLD || matches[0].item.item === matches[1].item.item) {
+    return null;
+  }
+
+  return matches
+    .filter(m => matches[0].score - m.score < MATCHING.AMBIGUITY_THRESHOLD)
+    .slice(0, 5)
+    .map(m => catalogItems[pricedStock.indexOf(m.item)]);
+}
+
 // ============================================================================
 // SPLIT MULTIPLE INTENTS
 // ============================================================================
@@ -440,7 +495,7 @@ function boostConfidence(aiResult, mappedItems, userInput, customerCache, prePro
     }
   }
 
-  const allInStock = mappedItems.every(item => item.stockItem.stock >= item.quantity);
+  const allInStock = mappedItems.every(item => item.stockItem.stock >= getItemBaseQuantity(item));
   if (allInStock) {
     boostReasons.push('stock_available');
   }
@@ -488,7 +543,17 @@ async function parseOrder(userInput) {
   Logger.info(`💰 Payment: ${paymentDetection.status}`);
   Logger.info(`💡 Hints: ${JSON.stringify(priceHints)}`);
   
-  const smartCatalog = buildSmartStockList(stockCache, priceHints);
+  // Bundles are listed after the stock rows so they can be ordered by name
+  await loadBundles();
+  const catalogItems = stockCache.concat(getBundleStockItems(stockCache));
+
+  // The catalog shows this customer's negotiated prices so price hints
+  // ("น้ำแข็ง 35") still match; IDs stay aligned with catalogItems
+  await loadCustomerPrices();
+  const orderCustomer = preProcessed?.customer || keywordSections.customer;
+  const pricedStock = applyCustomerPrices(catalogItems, orderCustomer);
+
+  const smartCatalog = buildSmartStockList(pricedStock, priceHints);
 
   const prompt = `คุณคือ AI วิเคราะห์คำสั่งซื้อ
 
@@ -514,12 +579,14 @@ ${preProcessed.quantityHint ? `- จำนวน: ${preProcessed.quantityHint}`
 2. เลือกสินค้า ⭐ ก่อน
 3. ถ้ามี "ส่ง" → deliveryPerson ต้องมีค่า
 4. ถ้ามี "จ่าย" → isPaid: true
+5. ถ้าลูกค้าสั่งเป็น ลัง/แพ็ค/โหล → ใส่ unit ตามที่ลูกค้าพิมพ์ และ quantity เป็นจำนวนลัง/แพ็ค (ไม่ต้องแปลง)
+6. keyword = ชื่อสินค้าตามที่ลูกค้าพิมพ์ (ไม่รวมจำนวน/ราคา)
 
 JSON:
 {
   "intent": "order",
   "customer": "ชื่อ",
-  "items": [{"stockId": 0, "quantity": 1}],
+  "items": [{"stockId": 0, "keyword": "", "quantity": 1, "unit": ""}],
   "isPaid": false,
   "deliveryPerson": "",
   "confidence": "high|medium|low",
@@ -529,18 +596,31 @@ JSON:
   try {
     const aiResult = await generateWithGroq(prompt, true);
     
+    const ambiguousItems = [];
+
     const mappedItems = (aiResult.items || []).map(i => {
-      const stockItem = stockCache[i.stockId];
+      const stockItem = catalogItems[i.stockId];
       if (!stockItem) return null;
       
       const priceHint = priceHints.find(h => 
         stockItem.item.toLowerCase().includes(h.keyword)
       );
+      const quantity = i.quantity || preProcessed?.quantityHint || 1;
+      // Only fall back to the typed unit when it can't belong to another line
+      const typedUnit = i.unit || (aiResult.items.length === 1 ? detectPackUnit(userInput) : null);
+
+      const closeMatches = findCloseMatches(i.keyword, pricedStock, catalogItems, priceHint?.price, typedUnit);
+      if (closeMatches && closeMatches.includes(stockItem)) {
+        Logger.warn(`⚠️ Ambiguous: "${i.keyword}" matched ${closeMatches.map(m => m.item).join(', ')}`);
+        ambiguousItems.push({ keyword: i.keyword, quantity, unit: typedUnit, possibleMatches: closeMatches });
+        return null;
+      }
       
       return {
         stockItem: stockItem,
-        quantity: i.quantity || preProcessed?.quantityHint || 1,
-        matchConfidence: calculateMatchConfidence(stockItem, priceHint?.price)
+        quantity,
+        unit: resolveOrderUnit(stockItem, typedUnit),
+        matchConfidence: calculateMatchConfidence(pricedStock[i.stockId], priceHint?.price)
       };
     }).filter(i => i !== null);
 
@@ -554,7 +634,9 @@ JSON:
 
     const result = {
       ...aiResult,
+      intent: ambiguousItems.length > 0 ? 'disambiguation' : aiResult.intent,
       items: mappedItems,
+      ambiguousItems,
       confidence: boostedConfidence,
       isPaid: preProcessed?.hasPaid || aiResult.isPaid || false,
       deliveryPerson: preProcessed?.hasDelivery 
@@ -583,6 +665,7 @@ module.exports = {
   extractProductKeywords,
   extractKeywordSections,
   buildSmartStockList,
+  findCloseMatches,
   boostConfidence,
   calculateMatchConfidence,
   splitMultipleIntents,
@@ -0,0 +1,146 @@
+// src/orderSequence.js - Durable, monotonic order-number allocator
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+
+// ============================================================================
+// META SHEET LAYOUT: คีย์ | ค่า | อัปเดตล่าสุด
+// ============================================================================
+
+const META_RANGE = 'Meta!A:C';
+const ORDER_SEQ_KEY = 'order_seq';
+
+// ============================================================================
+// ORDER NUMBER ALLOCATOR
+// ============================================================================
+
+class OrderSequence {
+  constructor(key = ORDER_SEQ_KEY) {
+    this.key = key;
+    // Every allocation runs after the previous one settles, so concurrent
+    // webhook events can never read the same counter value
+    this.chain = Promise.resolve();
+    this.lastAllocated = null;
+  }
+
+  _serialize(fn) {
+    const run = this.chain.then(fn);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  async _findCounter() {
+    const rows = await getSheetData(CONFIG.SHEET_ID, META_RANGE);
+
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i][0] === this.key) {
+        return { rowIndex: i + 1, value: parseInt(rows[i][1] || 0) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Highest order number ever used - orders sheet AND credit sheet,
+   * because cleanup removes paid orders but credit rows keep their numbers
+   */
+  async _findHighestUsedOrderNo() {
+    let highest = 0;
+
+    const sources = [
+      { range: 'คำสั่งซื้อ!A:A', column: 0 },
+      { range: 'เครดิต!C:C', column: 0 }
+    ];
+
+    for (const source of sources) {
+      try {
+        const rows = await getSheetData(CONFIG.SHEET_ID, source.range);
+        for (let i = 1; i < rows.length; i++) {
+          const orderNo = parseInt(rows[i][source.column]);
+          if (!isNaN(orderNo) && orderNo > highest) {
+            highest = orderNo;
+          }
+        }
+      } catch (error) {
+        Logger.warn(`Could not scan ${source.range} for order numbers`, error);
+      }
+    }
+
+    return highest;
+  }
+
+  async _seed() {
+    const highest = await this._findHighestUsedOrderNo();
+
+    await appendSheetData(CONFIG.SHEET_ID, META_RANGE, [[
+      this.key,
+      highest,
+      getThaiDateTimeString()
+    ]]);
+
+    Logger.success(`🔢 Order sequence seeded at #${highest}`);
+    return this._findCounter();
+  }
+
+  /**
+   * One-time migration: create the counter from existing data if missing
+   */
+  migrate() {
+    return this._serialize(async () => {
+      const existing = await this._findCounter();
+
+      if (existing) {
+        Logger.info(`🔢 Order sequence at #${existing.value}`);
+        return { migrated: false, value: existing.value };
+      }
+
+      const seeded = await this._seed();
+      return { migrated: true, value: seeded ? seeded.value : 0 };
+    });
+  }
+
+  /**
+   * Allocate the next order number
+   * @returns {Promise<number>}
+   */
+  next() {
+    return this._serialize(async () => {
+      let counter = await this._findCounter();
+
+      if (!counter) {
+        Logger.warn('⚠️ Order sequence missing - seeding from existing orders');
+        counter = await this._seed();
+      }
+
+      if (!counter) {
+        throw new Error('ไม่สามารถสร้างเลขออเดอร์ได้ (Meta sheet)');
+      }
+
+      // Never hand out a number lower than one we already allocated in this process
+      const base = Math.max(counter.value, this.lastAllocated || 0);
+      const orderNo = base + 1;
+
+      await updateSheetData(
+        CONFIG.SHEET_ID,
+        `Meta!B${counter.rowIndex}:C${counter.rowIndex}`,
+        [[orderNo, getThaiDateTimeString()]]
+      );
+
+      this.lastAllocated = orderNo;
+      Logger.info(`🔢 Allocated order #${orderNo}`);
+
+      return orderNo;
+    });
+  }
+}
+
+// Singleton
+const orderSequence = new OrderSequence();
+
+module.exports = {
+  OrderSequence,
+  orderSequence,
+  migrateOrderSequence: () => orderSequence.migrate()
+};
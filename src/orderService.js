@@ -2,9 +2,32 @@
 const { CONFIG } = require('./config');
 const { Logger } = require('./logger');
 const { getThaiDateTimeString } = require('./utils');
-const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+const { getSheetData, appendSheetData, updateSheetData, batchUpdateSheet } = require('./googleServices');
 const { loadStockCache } = require('./cacheManager');
 const { createCreditEntry, markCreditAsPaid } = require('./creditService');
+const { orderSequence } = require('./orderSequence');
+const { orderJournal, JOURNAL_STATUS } = require('./orderJournal');
+const { pricingEngine } = require('./businessLogic');
+const { getConversionFactor, normalizeUnit, formatQuantity } = require('./unitConversion');
+const {
+  loadLocations,
+  resolveOrderLocation,
+  isDefaultLocation,
+  readLocationStock,
+  getAvailableAt,
+  buildLocationChange,
+  writeLocationChanges
+} = require('./locationService');
+const {
+  readLots,
+  takeFromLots,
+  returnToLots,
+  buildLotUpdates,
+  writeLotUpdates,
+  formatLotPicks
+} = require('./lotService');
+const { checkReorderPoints } = require('./stockAlertService');
+const { BACKORDER_TAG, CANCELLED_TAG } = require('./comstant');
 
 // ============================================================================
 // IMPROVED LOCK SYSTEM - With null safety
@@ -13,7 +36,9 @@ const { createCreditEntry, markCreditAsPaid } = require('./creditService');
 class StockTransactionLock {
   constructor() {
     this.locks = new Map();
-    this.timeout = 10000;
+    // Waiting time and stale-lock age - well above a slow order write
+    // (stock batch update + order append + cache reload)
+    this.timeout = 30000;
     this.maxLocks = 100;
     this.stats = {
       currentLocks: 0,
@@ -49,17 +74,21 @@ class StockTransactionLock {
       const lock = this.locks.get(productKey);
       
       return new Promise((resolve, reject) => {
+        const waiter = () => {
+          clearTimeout(timeoutId);
+          resolve();
+        };
+
         const timeoutId = setTimeout(() => {
           this.stats.totalTimeouts++;
           Logger.error(`❌ Lock timeout for ${productKey}`);
-          this.releaseLock(productKey);
+          // The lock belongs to someone else - only give up our place in line
+          const index = lock.queue.indexOf(waiter);
+          if (index !== -1) lock.queue.splice(index, 1);
           reject(new Error(`Lock timeout for ${productKey} after ${this.timeout}ms`));
         }, this.timeout);
         
-        lock.queue.push(() => {
-          clearTimeout(timeoutId);
-          resolve();
-        });
+        lock.queue.push(waiter);
       });
     }
     
@@ -77,6 +106,8 @@ class StockTransactionLock {
     if (!lock) return;
     
     if (lock.queue.length > 0) {
+      // Handed over - the next holder's time starts now
+      lock.acquiredAt = Date.now();
       const next = lock.queue.shift();
       next();
     } else {
@@ -102,6 +133,22 @@ class StockTransactionLock {
     }
   }
 
+  /**
+   * All keys or none - when one times out, the ones already taken are
+   * released again and the timeout is thrown
+   */
+  async acquireLocks(productKeys) {
+    const results = await Promise.allSettled(productKeys.map(key => this.acquireLock(key)));
+    const failed = results.find(r => r.status === 'rejected');
+
+    if (failed) {
+      productKeys.forEach((key, i) => {
+        if (results[i].status === 'fulfilled') this.releaseLock(key);
+      });
+      throw failed.reason;
+    }
+  }
+
   getStats() {
     return {
       ...this.stats,
@@ -129,6 +176,87 @@ class PaymentLock {
 const paymentLock = new PaymentLock();
 const stockLock = new StockTransactionLock();
 
+// ============================================================================
+// BUNDLES - one order line, stock taken from every component
+// ============================================================================
+
+/**
+ * Stock rows an order item draws from
+ */
+function getStockTargets(item) {
+  if (item.stockItem.isBundle) {
+    return item.stockItem.components;
+  }
+  return [{ item: item.stockItem.item, unit: item.stockItem.unit, quantity: 1 }];
+}
+
+/**
+ * How many complete sets the fresh stock covers. Components shared with
+ * other lines come out of the same `remaining` pool.
+ */
+function allocateBundle(item, stockMap, remaining, bundleShortages, startingStock) {
+  const components = item.stockItem.components.map(c => {
+    const key = StockTransactionLock.generateKey(c.item, c.unit);
+    const stockInfo = stockMap.get(key);
+
+    if (!stockInfo) {
+      throw new Error(`ไม่พบสินค้า: ${c.item} (ในชุด ${item.stockItem.item})`);
+    }
+
+    const available = remaining.has(key) ? remaining.get(key) : startingStock(stockInfo);
+    return { ...c, key, stockInfo, available };
+  });
+
+  const sets = Math.min(...components.map(c => Math.floor(c.available / c.quantity)));
+  const filled = Math.min(sets, item.quantity);
+
+  if (filled < item.quantity) {
+    bundleShortages.push({
+      name: item.stockItem.item,
+      available: sets,
+      requested: item.quantity,
+      missing: components
+        .filter(c => c.available < c.quantity * item.quantity)
+        .map(c => `${c.item} ${c.quantity * item.quantity - c.available} ${c.stockInfo.unit}`)
+    });
+  }
+
+  components.forEach(c => remaining.set(c.key, c.available - filled * c.quantity));
+
+  return { filled, backordered: 0, factor: 1, components };
+}
+
+function formatBundleResult(item, allocation, filledRow, pricing, stockUpdates) {
+  const components = allocation.components.map(c => {
+    const update = stockUpdates.get(c.stockInfo.rowIndex);
+    return {
+      item: c.stockInfo.name,
+      quantity: c.quantity * allocation.filled,
+      unit: c.stockInfo.unit,
+      newStock: update ? update.after : c.stockInfo.stock
+    };
+  });
+
+  return {
+    productName: item.stockItem.item,
+    quantity: allocation.filled,
+    backorderQuantity: 0,
+    unit: item.stockItem.unit,
+    baseUnit: item.stockItem.unit,
+    unitFactor: 1,
+    unitPrice: pricing.unitPrice,
+    lineTotal: filledRow[8],
+    discount: pricing.discount,
+    discountNote: filledRow[5],
+    promotion: pricing.promotion,
+    stockItem: item.stockItem,
+    isBundle: true,
+    components,
+    // Sets the components still cover
+    newStock: Math.min(...allocation.components.map((c, i) => Math.floor(Math.max(components[i].newStock, 0) / c.quantity)))
+  };
+}
+
 // ============================================================================
 // VALIDATE ORDER DATA
 // ============================================================================
@@ -190,7 +318,13 @@ async function createOrderTransaction(orderData) {
     };
   }
   
-  const { customer, items, deliveryPerson = '', paymentStatus = 'unpaid' } = orderData;
+  const {
+    customer,
+    items,
+    deliveryPerson = '',
+    paymentStatus = 'unpaid',
+    allowBackorder = false
+  } = orderData;
   
   // ✅ FIX: Generate lock keys with explicit null checks
   const lockKeys = [];
@@ -201,11 +335,15 @@ async function createOrderTransaction(orderData) {
         throw new Error(`Invalid item: missing stockItem or item name`);
       }
       
-      const key = StockTransactionLock.generateKey(
-        item.stockItem.item, 
-        item.stockItem.unit
-      );
-      lockKeys.push(key);
+      // A bundle locks every component it takes stock from
+      for (const target of getStockTargets(item)) {
+        const key = StockTransactionLock.generateKey(target.item, target.unit);
+        
+        // Same product twice must not wait on its own lock
+        if (!lockKeys.includes(key)) {
+          lockKeys.push(key);
+        }
+      }
     }
   } catch (error) {
     Logger.error('Failed to generate lock keys', error);
@@ -216,15 +354,34 @@ async function createOrderTransaction(orderData) {
   }
   
   const startTime = Date.now();
+  let locksHeld = false;
+
+  const releaseLocks = () => {
+    if (!locksHeld) return;
+    locksHeld = false;
+    lockKeys.forEach(key => stockLock.releaseLock(key));
+    Logger.info(`🔓 Released ${lockKeys.length} locks`);
+  };
+  
+  // Line prices depend on the current promotions
+  await pricingEngine.refresh();
+  await loadLocations();
   
   try {
+    // Stock comes from one location: named on the order, the delivery
+    // person's truck, or the shop
+    const location = resolveOrderLocation(orderData);
+    const atShop = isDefaultLocation(location);
+    
+
     // ========================================================================
     // ACQUIRE LOCKS
     // ========================================================================
     
     Logger.info(`🔒 Acquiring ${lockKeys.length} locks...`);
     
-    await Promise.all(lockKeys.map(key => stockLock.acquireLock(key)));
+    await stockLock.acquireLocks(lockKeys);
+    locksHeld = true;
     
     Logger.success(`✅ All locks acquired in ${Date.now() - startTime}ms`);
     
@@ -232,11 +389,12 @@ async function createOrderTransaction(orderData) {
     // READ FRESH DATA
     // ========================================================================
     
-    const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
-    const orderNo = orderRows.length || 1;
-    
     const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
     const stockMap = new Map();
+    const bundleShortages = [];
+    const locationEntries = await readLocationStock();
+    const startingStock = stockInfo => getAvailableAt(locationEntries, location, stockInfo.name, stockInfo.stock);
+    const locationText = atShop ? '' : ` (${location})`;
     
     for (let i = 1; i < stockRows.length; i++) {
       const productName = stockRows[i][0];
@@ -254,6 +412,7 @@ async function createOrderTransaction(orderData) {
         rowIndex: i + 1,
         name: productName,
         price: parseFloat(stockRows[i][2] || 0),
+        cost: parseFloat(stockRows[i][1] || 0),
         unit: unit || 'ชิ้น'
       });
     }
@@ -262,9 +421,17 @@ async function createOrderTransaction(orderData) {
     // VERIFY STOCK
     // ========================================================================
     
+    // Walk items in order so a product listed twice shares one pool of stock
     const insufficient = [];
+    const remaining = new Map(); // stock key -> stock left for later lines (base unit)
+    const allocations = [];     // per item: { filled, backordered, factor } in the ordered unit
     
     for (const item of items) {
+      if (item.stockItem.isBundle) {
+        allocations.push(allocateBundle(item, stockMap, remaining, bundleShortages, startingStock));
+        continue;
+      }
+      
       const key = StockTransactionLock.generateKey(
         item.stockItem.item, 
         item.stockItem.unit
@@ -276,23 +443,50 @@ async function createOrderTransaction(orderData) {
         throw new Error(`ไม่พบสินค้า: ${item.stockItem.item}`);
       }
       
-      if (stockInfo.stock < item.quantity) {
+      // Stock is counted in the base unit; "2 ลัง" takes 2 × factor of it
+      const factor = getConversionFactor(item.stockItem, item.unit);
+      
+      if (!factor) {
+        throw new Error(`❌ ไม่รู้จักหน่วย "${item.unit}" ของ ${item.stockItem.item}`);
+      }
+      
+      const available = remaining.has(key) ? remaining.get(key) : startingStock(stockInfo);
+      const filled = Math.min(Math.floor(available / factor), item.quantity);
+      
+      if (filled < item.quantity) {
         insufficient.push({
           name: item.stockItem.item,
-          available: stockInfo.stock,
-          requested: item.quantity
+          available,
+          requested: item.quantity,
+          availableText: formatQuantity(item.stockItem, available) + locationText,
+          requestedText: formatQuantity(item.stockItem, item.quantity, item.unit)
         });
       }
+      
+      remaining.set(key, available - filled * factor);
+      allocations.push({ filled, backordered: item.quantity - filled, factor });
+    }
+    
+    // Sets are sent complete or not at all - they never go on backorder
+    if (bundleShortages.length > 0) {
+      let msg = `❌ สต็อกไม่พอจัดชุด${locationText}:\n`;
+      bundleShortages.forEach(b => {
+        msg += `• ${b.name}: จัดได้ ${b.available} ชุด ต้องการ ${b.requested} ชุด (ขาด ${b.missing.join(', ')})\n`;
+      });
+      throw new Error(msg);
     }
     
-    if (insufficient.length > 0) {
+    if (insufficient.length > 0 && !allowBackorder) {
       let msg = '❌ สต็อกไม่พอ:\n';
       insufficient.forEach(i => {
-        msg += `• ${i.name}: มี ${i.available} ต้องการ ${i.requested}\n`;
+        msg += `• ${i.name}: มี ${i.availableText} ต้องการ ${i.requestedText}\n`;
       });
       throw new Error(msg);
     }
 
+    // Allocate only after verification so rejected orders don't burn numbers
+    const orderNo = await orderSequence.next();
+
     // ========================================================================
     // UPDATE STOCK & CREATE ORDERS
     // ========================================================================
@@ -300,49 +494,196 @@ async function createOrderTransaction(orderData) {
     const timestamp = getThaiDateTimeString();
     const paymentText = paymentStatus === 'paid' ? 'จ่ายแล้ว' : 'ยังไม่จ่าย';
     const rowsToAdd = [];
+    const stockUpdates = new Map(); // rowIndex -> { before, after, quantity }
+    const lineRefs = [];            // per item: { filledRow, pricing, stockRowIndex }
+    const lots = await readLots();
+    const lotPicks = [];
+    
+    // Same product twice in one order (or inside a bundle) → one combined stock write.
+    // Returns the lots taken, first-expiring first.
+    const takeStock = (stockInfo, quantity) => {
+      if (!stockUpdates.has(stockInfo.rowIndex)) {
+        stockUpdates.set(stockInfo.rowIndex, {
+          rowIndex: stockInfo.rowIndex,
+          name: stockInfo.name,
+          unit: stockInfo.unit,
+          quantity: 0,
+          before: stockInfo.stock,
+          after: stockInfo.stock
+        });
+      }
+      
+      const update = stockUpdates.get(stockInfo.rowIndex);
+      update.quantity += quantity;
+      update.after = update.before - update.quantity;
+      
+      const picks = takeFromLots(lots, stockInfo.name, quantity);
+      lotPicks.push(...picks);
+      return picks;
+    };
     
-    for (const item of items) {
+    items.forEach((item, idx) => {
+      if (item.stockItem.isBundle) {
+        const { filled, components } = allocations[idx];
+        const picks = components.flatMap(c => takeStock(c.stockInfo, filled * c.quantity));
+        
+        const pricing = pricingEngine.calculateLinePrice(
+          { item: item.stockItem.item, price: item.stockItem.price },
+          filled,
+          customer
+        );
+        
+        const filledRow = [
+          orderNo,
+          timestamp,
+          customer,
+          item.stockItem.item,              // D - Bundle name (components are looked up on cancel)
+          filled,
+          pricingEngine.formatDiscountNote(pricing),
+          deliveryPerson,
+          paymentText,
+          pricing.amount,
+          components.reduce((sum, c) => sum + c.stockInfo.cost * c.quantity, 0), // J - Set cost
+          '',
+          atShop ? '' : location,
+          formatLotPicks(picks)             // M - Lots of every component
+        ];
+        rowsToAdd.push(filledRow);
+        
+        lineRefs.push({ filledRow, pricing, stockRowIndex: null });
+        return;
+      }
+      
       const key = StockTransactionLock.generateKey(
         item.stockItem.item, 
         item.stockItem.unit
       );
       
       const stockInfo = stockMap.get(key);
-      const newStock = stockInfo.stock - item.quantity;
+      const { filled, backordered, factor } = allocations[idx];
+      const orderUnit = factor !== 1 ? normalizeUnit(item.unit) : '';
       
-      // Update stock
-      await updateSheetData(
-        CONFIG.SHEET_ID, 
-        `สต็อก!E${stockInfo.rowIndex}`, 
-        [[newStock]]
-      );
+      const picks = takeStock(stockInfo, filled * factor);
+      
+      let filledRow = null;
+      let pricing = null;
+      
+      if (filled > 0) {
+        // Tier and promotion discounts are applied per line (priced in base units)
+        pricing = pricingEngine.calculateLinePrice(
+          { item: stockInfo.name, price: stockInfo.price },
+          filled * factor,
+          customer
+        );
+        
+        filledRow = [
+          orderNo,                          // A - Order number
+          timestamp,                        // B - Date/time
+          customer,                         // C - Customer
+          stockInfo.name,                   // D - Product
+          filled,                           // E - Quantity
+          pricingEngine.formatDiscountNote(pricing), // F - Notes
+          deliveryPerson,                   // G - Delivery person
+          paymentText,                      // H - Payment status
+          pricing.amount,                   // I - Amount
+          stockInfo.cost * factor,          // J - Unit cost at sale time (per ordered unit)
+          orderUnit,                        // K - Ordered unit
+          atShop ? '' : location,           // L - Stock location
+          formatLotPicks(picks)             // M - Lots taken
+        ];
+        rowsToAdd.push(filledRow);
+      }
       
-      // Create order row
-      rowsToAdd.push([
-        orderNo,                          // A - Order number
-        timestamp,                        // B - Date/time
-        customer,                         // C - Customer
-        stockInfo.name,                   // D - Product
-        item.quantity,                    // E - Quantity
-        '',                               // F - Notes
-        deliveryPerson,                   // G - Delivery person
-        paymentText,                      // H - Payment status
-        item.quantity * stockInfo.price   // I - Amount
-      ]);
+      // Remainder waits for restock - amount is charged when it is filled
+      if (backordered > 0) {
+        rowsToAdd.push([
+          orderNo,
+          timestamp,
+          customer,
+          stockInfo.name,
+          backordered,
+          BACKORDER_TAG,
+          deliveryPerson,
+          paymentText,
+          0,
+          stockInfo.cost * factor,          // replaced with the cost at fill time
+          orderUnit,
+          ''                                // filled from the shop after a restock
+        ]);
+      }
+      
+      lineRefs.push({ filledRow, pricing, stockRowIndex: stockInfo.rowIndex });
+    });
+    
+    // Products that were fully backordered leave their stock row untouched
+    for (const [rowIndex, update] of stockUpdates.entries()) {
+      if (update.quantity === 0) stockUpdates.delete(rowIndex);
     }
     
-    // Add all orders
-    await appendSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I', rowsToAdd);
+    const totalAmount = rowsToAdd.reduce((sum, row) => sum + row[8], 0);
+    
+    // Off-shop orders also take from the location's own row
+    const locationUpdates = atShop ? [] : Array.from(stockUpdates.values()).map(u => ({
+      location,
+      name: u.name,
+      quantity: u.quantity
+    }));
+    const locationChanges = locationUpdates.map(u =>
+      buildLocationChange(locationEntries, location, u.name, -u.quantity)
+    );
+    
+    // Record intent first - recovery uses this if we die mid-write
+    const journal = await orderJournal.begin(orderNo, {
+      stockUpdates: Array.from(stockUpdates.values()),
+      locationUpdates,
+      lotPicks,
+      orderRows: rowsToAdd,
+      credit: paymentStatus !== 'paid' ? { customer, totalAmount } : null
+    });
+    
+    try {
+      // One batched write for every stock cell (and the location's rows)
+      if (stockUpdates.size > 0) {
+        await batchUpdateSheet(
+          CONFIG.SHEET_ID,
+          Array.from(stockUpdates.values()).map(u => ({
+            range: `สต็อก!E${u.rowIndex}`,
+            values: [[u.after]]
+          }))
+            .concat(locationChanges.flatMap(c => c.updates))
+            .concat(buildLotUpdates(lots))
+        );
+      }
+      await orderJournal.markStockApplied(journal);
+      
+      // Add all orders
+      await appendSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:M', rowsToAdd);
+      
+    } catch (writeError) {
+      Logger.error(`❌ Order #${orderNo} write failed - resolving journal`, writeError);
+      
+      // We still hold the stock locks here
+      const outcome = await resolveJournalEntry(journal).catch(err => {
+        Logger.error(`Journal resolution failed for #${orderNo}`, err);
+        return JOURNAL_STATUS.NEEDS_REVIEW;
+      });
+      
+      if (outcome !== JOURNAL_STATUS.COMMITTED) {
+        await loadStockCache(true).catch(() => {});
+        throw writeError;
+      }
+    }
     
     // Reload cache
     await loadStockCache(true);
 
+    // Stock is written - the credit and journal commit don't need the locks
+    releaseLocks();
+
     // ========================================================================
     // BUILD RESULT
     // ========================================================================
     
-    const totalAmount = rowsToAdd.reduce((sum, row) => sum + row[8], 0);
-    
     const result = {
       success: true,
       orderNo,
@@ -350,18 +691,43 @@ async function createOrderTransaction(orderData) {
       totalAmount,
       paymentStatus,
       deliveryPerson,
+      location,
       processingTime: Date.now() - startTime,
-      items: items.map((item, idx) => ({
-        productName: rowsToAdd[idx][3],
-        quantity: item.quantity,
-        unit: item.stockItem.unit || 'ชิ้น',
-        unitPrice: item.stockItem.price,
-        lineTotal: rowsToAdd[idx][8],
-        stockItem: item.stockItem,
-        newStock: stockMap.get(
-          StockTransactionLock.generateKey(item.stockItem.item, item.stockItem.unit)
-        ).stock - item.quantity
-      }))
+      items: items.map((item, idx) => {
+        const { filledRow, pricing, stockRowIndex } = lineRefs[idx];
+        
+        if (item.stockItem.isBundle) {
+          return formatBundleResult(item, allocations[idx], filledRow, pricing, stockUpdates);
+        }
+        
+        const stockInfo = stockMap.get(StockTransactionLock.generateKey(item.stockItem.item, item.stockItem.unit));
+        
+        return {
+          productName: stockInfo.name,
+          quantity: allocations[idx].filled,
+          backorderQuantity: allocations[idx].backordered,
+          unit: allocations[idx].factor !== 1 ? normalizeUnit(item.unit) : (item.stockItem.unit || 'ชิ้น'),
+          baseUnit: item.stockItem.unit || 'ชิ้น',
+          unitFactor: allocations[idx].factor,
+          unitPrice: (pricing ? pricing.unitPrice : item.stockItem.price) * allocations[idx].factor,
+          lineTotal: filledRow ? filledRow[8] : 0,
+          discount: pricing ? pricing.discount : 0,
+          discountNote: filledRow ? filledRow[5] : '',
+          promotion: pricing ? pricing.promotion : null,
+          stockItem: item.stockItem,
+          newStock: stockUpdates.has(stockRowIndex)
+            ? stockUpdates.get(stockRowIndex).after
+            : stockInfo.stock,
+          // What's left where the order was taken from (= newStock with no locations)
+          locationStock: getAvailableAt(
+            locationEntries,
+            location,
+            stockInfo.name,
+            stockUpdates.has(stockRowIndex) ? stockUpdates.get(stockRowIndex).after : stockInfo.stock
+          )
+        };
+      }),
+      backorders: insufficient
     };
     
     // Auto-create credit if unpaid
@@ -373,6 +739,21 @@ async function createOrderTransaction(orderData) {
       }
     }
     
+    // A failed commit is harmless - recovery sees the order rows and commits
+    try {
+      if (journal.status !== JOURNAL_STATUS.COMMITTED) {
+        await orderJournal.commit(journal);
+      }
+    } catch (err) {
+      Logger.error(`Journal commit failed for #${orderNo} (non-fatal)`, err);
+    }
+    
+    // Not awaited - the push shouldn't hold up the order reply
+    checkReorderPoints(
+      Array.from(stockUpdates.values()).map(u => ({ product: u.name, before: u.before, after: u.after })),
+      `ออเดอร์ #${orderNo}`
+    );
+    
     Logger.success(`✅ Order #${orderNo} completed in ${result.processingTime}ms`);
 
     return result;
@@ -386,10 +767,165 @@ async function createOrderTransaction(orderData) {
     };
     
   } finally {
-    // ALWAYS RELEASE LOCKS
-    lockKeys.forEach(key => stockLock.releaseLock(key));
-    Logger.info(`🔓 Released ${lockKeys.length} locks`);
+    // ALWAYS RELEASE LOCKS (if a failure left them held)
+    releaseLocks();
+  }
+}
+
+// ============================================================================
+// JOURNAL RESOLUTION & CRASH RECOVERY
+// ============================================================================
+
+async function orderRowsExist(orderNo) {
+  const rows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:A');
+  return rows.slice(1).some(r => r[0] == orderNo);
+}
+
+function findStockRow(stockRows, update) {
+  const atIndex = stockRows[update.rowIndex - 1];
+  if (atIndex && atIndex[0] === update.name) {
+    return update.rowIndex;
+  }
+
+  // Rows moved since the journal was written - fall back to name lookup
+  for (let i = 1; i < stockRows.length; i++) {
+    if (stockRows[i][0] === update.name) return i + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Finish or roll back one journaled order. Caller must hold the stock locks.
+ * - Order rows present → finish (credit + commit)
+ * - Stock applied, no order rows → put the quantity back
+ * - Unknown whether stock was applied → decide from current values
+ * @returns {Promise<string>} final JOURNAL_STATUS
+ */
+async function resolveJournalEntry(entry) {
+  const { orderNo, payload } = entry;
+  const stockUpdates = payload.stockUpdates || [];
+
+  if (await orderRowsExist(orderNo)) {
+    if (payload.credit) {
+      await createCreditEntry({ orderNo, ...payload.credit });
+    }
+    await orderJournal.commit(entry);
+    Logger.success(`📓 Order #${orderNo} finished from journal`);
+    return JOURNAL_STATUS.COMMITTED;
+  }
+
+  const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
+  const restores = [];
+  let applied = entry.status === JOURNAL_STATUS.STOCK_APPLIED;
+
+  if (!applied) {
+    const states = stockUpdates.map(u => {
+      const rowIndex = findStockRow(stockRows, u);
+      const current = rowIndex ? parseInt(stockRows[rowIndex - 1][4] || 0) : null;
+      if (current === u.after && u.after !== u.before) return 'applied';
+      if (current === u.before) return 'untouched';
+      return 'unknown';
+    });
+
+    if (states.every(s => s === 'untouched')) {
+      await orderJournal.markRolledBack(entry);
+      Logger.info(`📓 Order #${orderNo} never touched stock - rolled back`);
+      return JOURNAL_STATUS.ROLLED_BACK;
+    }
+
+    if (!states.every(s => s === 'applied')) {
+      await orderJournal.markNeedsReview(entry);
+      Logger.warn(`⚠️ Order #${orderNo} journal needs manual review (stock changed since)`);
+      return JOURNAL_STATUS.NEEDS_REVIEW;
+    }
+
+    applied = true;
+  }
+
+  for (const update of stockUpdates) {
+    const rowIndex = findStockRow(stockRows, update);
+    if (!rowIndex) {
+      Logger.warn(`⚠️ Cannot restore ${update.name}: stock row not found`);
+      continue;
+    }
+    const current = parseInt(stockRows[rowIndex - 1][4] || 0);
+    restores.push({
+      range: `สต็อก!E${rowIndex}`,
+      values: [[current + update.quantity]]
+    });
+  }
+
+  if (restores.length > 0) {
+    await batchUpdateSheet(CONFIG.SHEET_ID, restores);
   }
+
+  // Location rows and lots were written in the same batch as the stock cells
+  if ((payload.locationUpdates || []).length > 0) {
+    await loadLocations();
+    const entries = await readLocationStock();
+    await writeLocationChanges(payload.locationUpdates.map(u =>
+      buildLocationChange(entries, u.location, u.name, u.quantity)
+    ));
+  }
+
+  if ((payload.lotPicks || []).length > 0) {
+    const lots = await readLots();
+    returnToLots(lots, payload.lotPicks);
+    await writeLotUpdates(lots);
+  }
+
+  await orderJournal.markRolledBack(entry);
+  Logger.success(`📓 Order #${orderNo} rolled back (${restores.length} stock rows restored)`);
+  return JOURNAL_STATUS.ROLLED_BACK;
+}
+
+/**
+ * Startup recovery - resolve journals left open by a crash
+ */
+async function recoverIncompleteOrders() {
+  const incomplete = await orderJournal.findIncomplete();
+  const summary = { total: incomplete.length, committed: 0, rolledBack: 0, needsReview: 0 };
+
+  if (incomplete.length === 0) {
+    Logger.info('📓 No incomplete order journals');
+    return summary;
+  }
+
+  Logger.warn(`⚠️ Found ${incomplete.length} incomplete order journal(s) - recovering...`);
+
+  for (const entry of incomplete) {
+    const lockKeys = (entry.payload.stockUpdates || []).map(u =>
+      StockTransactionLock.generateKey(u.name, u.unit)
+    );
+
+    try {
+      await stockLock.acquireLocks(lockKeys);
+    } catch (error) {
+      summary.needsReview++;
+      Logger.error(`Recovery failed for journal ${entry.id}`, error);
+      continue;
+    }
+
+    try {
+      const outcome = await resolveJournalEntry(entry);
+
+      if (outcome === JOURNAL_STATUS.COMMITTED) summary.committed++;
+      else if (outcome === JOURNAL_STATUS.ROLLED_BACK) summary.rolledBack++;
+      else summary.needsReview++;
+
+    } catch (error) {
+      summary.needsReview++;
+      Logger.error(`Recovery failed for journal ${entry.id}`, error);
+    } finally {
+      lockKeys.forEach(key => stockLock.releaseLock(key));
+    }
+  }
+
+  await loadStockCache(true).catch(() => {});
+  Logger.success(`📓 Recovery: ${summary.committed} finished, ${summary.rolledBack} rolled back, ${summary.needsReview} need review`);
+
+  return summary;
 }
 
 // ============================================================================
@@ -459,5 +995,9 @@ module.exports = {
   createOrder: createOrderTransaction,
   updateOrderPaymentStatus,
   getLastOrderNumber,
-  stockLock
+  recoverIncompleteOrders,
+  stockLock,
+  StockTransactionLock,
+  BACKORDER_TAG,
+  CANCELLED_TAG
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/profitService.js - Gross margin from order lines (unit cost captured at sale)
+const { getStockCache } = require('./cacheManager');
+const { getRowBaseQuantity } = require('./unitConversion');
+const { BACKORDER_TAG, CANCELLED_TAG } = require('./comstant');
+
+// ============================================================================
+// LINE COST
+// ============================================================================
+
+/**
+ * Cancelled and still-waiting backorder lines aren't sales
+ */
+function isSoldLine(row) {
+  const notes = row[5] || '';
+  return !notes.includes(CANCELLED_TAG) && !notes.includes(BACKORDER_TAG);
+}
+
+/**
+ * Unit cost recorded on the line (column J). Lines written before the
+ * column existed fall back to today's ต้นทุน.
+ * @returns {Object} { unitCost, estimated }
+ */
+function getLineUnitCost(row, currentCosts) {
+  const recorded = row[9];
+
+  if (recorded !== undefined && recorded !== null && recorded !== '' && !isNaN(parseFloat(recorded))) {
+    return { unitCost: parseFloat(recorded), estimated: false };
+  }
+
+  const product = (row[3] || '').toLowerCase().trim();
+  return { unitCost: currentCosts.get(product) || 0, estimated: true };
+}
+
+function getCurrentCosts() {
+  return new Map(getStockCache().map(s => [s.item.toLowerCase().trim(), s.cost || 0]));
+}
+
+// ============================================================================
+// SUMMARIZE
+// ============================================================================
+
+function marginPercent(profit, sales) {
+  return sales > 0 ? Math.round((profit / sales) * 1000) / 10 : 0;
+}
+
+function addTo(map, key, quantity, sales, cost) {
+  if (!map.has(key)) {
+    map.set(key, { name: key, quantity: 0, sales: 0, cost: 0 });
+  }
+  const entry = map.get(key);
+  entry.quantity += quantity;
+  entry.sales += sales;
+  entry.cost += cost;
+}
+
+function finalize(map) {
+  return Array.from(map.values())
+    .map(e => ({ ...e, profit: e.sales - e.cost, margin: marginPercent(e.sales - e.cost, e.sales) }))
+    .sort((a, b) => b.profit - a.profit);
+}
+
+/**
+ * Sales, cost and gross profit for a set of คำสั่งซื้อ rows (A:K)
+ * @returns {Object} { sales, cost, profit, margin, soldLines, backorderLines, estimatedLines, byProduct, byCustomer }
+ */
+function summarizeOrderLines(rows) {
+  const currentCosts = getCurrentCosts();
+  const stockByName = new Map(getStockCache().map(s => [s.item.toLowerCase().trim(), s]));
+  const byProduct = new Map();
+  const byCustomer = new Map();
+
+  let sales = 0;
+  let cost = 0;
+  let soldLines = 0;
+  let backorderLines = 0;
+  let estimatedLines = 0;
+
+  for (const row of rows) {
+    if (!isSoldLine(row)) {
+      if ((row[5] || '').includes(BACKORDER_TAG) && !(row[5] || '').includes(CANCELLED_TAG)) {
+        backorderLines++;
+      }
+      continue;
+    }
+
+    const quantity = parseInt(row[4] || 0);
+    const amount = parseFloat(row[8] || 0);
+    const { unitCost, estimated } = getLineUnitCost(row, currentCosts);
+    // J is per ordered unit; per-product totals are kept in base units
+    const stockItem = stockByName.get((row[3] || '').toLowerCase().trim());
+    const baseQuantity = getRowBaseQuantity(row, stockItem);
+    const lineCost = estimated ? unitCost * baseQuantity : unitCost * quantity;
+
+    sales += amount;
+    cost += lineCost;
+    soldLines++;
+    if (estimated) estimatedLines++;
+
+    addTo(byProduct, row[3] || 'ไม่ระบุ', baseQuantity, amount, lineCost);
+    addTo(byCustomer, row[2] || 'ไม่ระบุ', baseQuantity, amount, lineCost);
+  }
+
+  return {
+    sales,
+    cost,
+    profit: sales - cost,
+    margin: marginPercent(sales - cost, sales),
+    soldLines,
+    backorderLines,
+    estimatedLines,
+    byProduct: finalize(byProduct),
+    byCustomer: finalize(byCustomer)
+  };
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatMarginLine(entry) {
+  return `${entry.name}: กำไร ${Math.round(entry.profit).toLocaleString()}฿ (${entry.margin}%)`;
+}
+
+/**
+ * Per-product / per-customer margin sections shared by the summaries
+ */
+function formatMarginBreakdown(summary, { products = 5, customers = 3 } = {}) {
+  let msg = '';
+
+  if (summary.byProduct.length > 0) {
+    msg += `📈 กำไรตามสินค้า:\n`;
+    summary.byProduct.slice(0, products).forEach((p, i) => msg += `   ${i + 1}. ${formatMarginLine(p)}\n`);
+    msg += `\n`;
+  }
+
+  if (summary.byCustomer.length > 0) {
+    msg += `👥 กำไรตามลูกค้า:\n`;
+    summary.byCustomer.slice(0, customers).forEach((c, i) => msg += `   ${i + 1}. ${formatMarginLine(c)}\n`);
+    msg += `\n`;
+  }
+
+  if (summary.estimatedLines > 0) {
+    msg += `ℹ️ ${summary.estimatedLines} รายการเป็นออเดอร์เก่า ใช้ต้นทุนปัจจุบันแทน\n`;
+  }
+
+  return msg;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  isSoldLine,
+  getLineUnitCost,
+  summarizeOrderLines,
+  formatMarginBreakdown,
+  marginPercent
+};
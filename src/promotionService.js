@@ -0,0 +1,489 @@
+// src/promotionService.js - Promotions sheet, evaluation rules + admin chat commands
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString, formatDateForDisplay } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+const { getStockCache } = require('./cacheManager');
+const { resolveStockItem } = require('./stockAdjustment');
+
+// ============================================================================
+// SHEET LAYOUT: รหัส | ชื่อ | ประเภท | ค่า | เงื่อนไข | เป้าหมาย | เริ่ม | สิ้นสุด | สถานะ | สร้างเมื่อ
+// ============================================================================
+
+const PROMOTIONS_RANGE = 'Promotions!A:J';
+
+const PROMOTION_TYPES = {
+  PERCENTAGE: 'percentage',     // value = % off the line
+  FIXED: 'fixed',               // value = ฿ off per unit
+  BUY_X_GET_Y: 'buy_x_get_y',   // condition = "x:y" - every x+y units, y are free
+  MIN_QUANTITY: 'min_quantity'  // condition = min qty, value = % off the line
+};
+
+const PROMOTION_STATUS = {
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+// Targets column: "*" | "หมวด:<category>" | "product, product"
+const ALL_PRODUCTS = '*';
+const CATEGORY_PREFIX = 'หมวด:';
+
+// ============================================================================
+// CACHE - pricing is synchronous, so promotions are kept in memory
+// ============================================================================
+
+let promotionCache = [];
+let lastLoadTime = 0;
+
+function parseRow(row, index) {
+  return {
+    rowIndex: index + 1,
+    id: parseInt(row[0]),
+    name: row[1] || '',
+    type: row[2] || '',
+    value: parseFloat(row[3] || 0),
+    condition: String(row[4] || ''),
+    targets: String(row[5] || ALL_PRODUCTS),
+    startDate: row[6] || '',
+    endDate: row[7] || '',
+    status: row[8] || PROMOTION_STATUS.ACTIVE
+  };
+}
+
+async function loadPromotions(forceReload = false) {
+  const now = Date.now();
+  if (!forceReload && lastLoadTime && (now - lastLoadTime) < CONFIG.CACHE_DURATION) {
+    return promotionCache;
+  }
+
+  try {
+    const rows = await getSheetData(CONFIG.SHEET_ID, PROMOTIONS_RANGE);
+
+    promotionCache = rows
+      .map((row, i) => ({ row, i }))
+      .slice(1)
+      .filter(({ row }) => row[0])
+      .map(({ row, i }) => parseRow(row, i));
+
+    lastLoadTime = now;
+    Logger.debug(`🏷️ Promotions loaded: ${promotionCache.length}`);
+
+  } catch (error) {
+    // Keep pricing with what we had rather than failing orders
+    Logger.error('loadPromotions failed - using cached promotions', error);
+  }
+
+  return promotionCache;
+}
+
+function getCachedPromotions() {
+  return promotionCache;
+}
+
+/**
+ * @param {string} date - "YYYY-MM-DD" (defaults to today in Bangkok)
+ */
+function getActivePromotions(date = getThaiDateString()) {
+  return promotionCache.filter(p =>
+    p.status === PROMOTION_STATUS.ACTIVE &&
+    (!p.startDate || p.startDate <= date) &&
+    (!p.endDate || p.endDate >= date)
+  );
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function appliesTo(promo, item) {
+  const targets = promo.targets.trim();
+
+  if (targets === ALL_PRODUCTS) return true;
+
+  if (targets.startsWith(CATEGORY_PREFIX)) {
+    const category = targets.slice(CATEGORY_PREFIX.length).trim().toLowerCase();
+    return (item.category || '').toLowerCase() === category;
+  }
+
+  const name = item.item.toLowerCase().trim();
+  return targets.split(',').some(t => t.trim().toLowerCase() === name);
+}
+
+/**
+ * Discount (฿) a promotion gives on one line
+ * @param {number} linePrice - line price after earlier discounts (tier)
+ */
+function evaluatePromotion(promo, item, quantity, linePrice) {
+  if (!appliesTo(promo, item) || quantity <= 0 || linePrice <= 0) return 0;
+
+  const unitPrice = linePrice / quantity;
+
+  switch (promo.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      return linePrice * (promo.value / 100);
+
+    case PROMOTION_TYPES.FIXED:
+      return Math.min(promo.value * quantity, linePrice);
+
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      const [buy, free] = promo.condition.split(':').map(n => parseInt(n));
+      if (!buy || !free) return 0;
+      return Math.floor(quantity / (buy + free)) * free * unitPrice;
+    }
+
+    case PROMOTION_TYPES.MIN_QUANTITY:
+      return quantity >= parseInt(promo.condition || 0)
+        ? linePrice * (promo.value / 100)
+        : 0;
+
+    default:
+      Logger.warn(`Unknown promotion type: ${promo.type} (#${promo.id})`);
+      return 0;
+  }
+}
+
+/**
+ * Best single promotion for a line (promotions don't stack)
+ * @returns {Object|null} { promotion, discount }
+ */
+function findBestPromotion(item, quantity, linePrice, date = getThaiDateString()) {
+  let best = null;
+
+  for (const promo of getActivePromotions(date)) {
+    const discount = evaluatePromotion(promo, item, quantity, linePrice);
+    if (discount > 0 && (!best || discount > best.discount)) {
+      best = { promotion: promo, discount };
+    }
+  }
+
+  return best;
+}
+
+// ============================================================================
+// DESCRIPTIONS
+// ============================================================================
+
+function describeRule(promo) {
+  switch (promo.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      return `ลด ${promo.value}%`;
+    case PROMOTION_TYPES.FIXED:
+      return `ลด ${promo.value}฿/ชิ้น`;
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      const [buy, free] = promo.condition.split(':');
+      return `ซื้อ ${buy} แถม ${free}`;
+    }
+    case PROMOTION_TYPES.MIN_QUANTITY:
+      return `ซื้อครบ ${promo.condition} ลด ${promo.value}%`;
+    default:
+      return promo.type;
+  }
+}
+
+function describeTargets(targets) {
+  if (targets === ALL_PRODUCTS) return 'ทุกสินค้า';
+  if (targets.startsWith(CATEGORY_PREFIX)) return `หมวด ${targets.slice(CATEGORY_PREFIX.length)}`;
+  return targets;
+}
+
+function describePeriod(promo) {
+  const start = promo.startDate ? formatDateForDisplay(promo.startDate) : 'วันนี้';
+  const end = promo.endDate ? formatDateForDisplay(promo.endDate) : 'ไม่กำหนด';
+  return `${start} - ${end}`;
+}
+
+// ============================================================================
+// SHEET WRITES
+// ============================================================================
+
+async function createPromotion(promotion) {
+  const existing = await loadPromotions(true);
+  const id = existing.reduce((max, p) => Math.max(max, p.id || 0), 0) + 1;
+
+  const row = [
+    id,
+    promotion.name,
+    promotion.type,
+    promotion.value,
+    promotion.condition || '',
+    promotion.targets || ALL_PRODUCTS,
+    promotion.startDate || getThaiDateString(),
+    promotion.endDate || '',
+    PROMOTION_STATUS.ACTIVE,
+    getThaiDateTimeString()
+  ];
+
+  await appendSheetData(CONFIG.SHEET_ID, PROMOTIONS_RANGE, [row]);
+  await loadPromotions(true);
+
+  Logger.success(`🏷️ Promotion #${id} created: ${promotion.name}`);
+  return { success: true, promotion: parseRow(row, -1), id };
+}
+
+async function endPromotion(id) {
+  const promotions = await loadPromotions(true);
+  const promo = promotions.find(p => p.id === id);
+
+  if (!promo) {
+    return { success: false, error: `ไม่พบโปรโมชั่น #${id}` };
+  }
+
+  if (promo.status === PROMOTION_STATUS.ENDED) {
+    return { success: false, error: `โปรโมชั่น #${id} จบไปแล้ว` };
+  }
+
+  // Close the period too so the sheet reads correctly at a glance
+  const today = getThaiDateString();
+  const endDate = promo.endDate && promo.endDate < today ? promo.endDate : today;
+
+  await updateSheetData(
+    CONFIG.SHEET_ID,
+    `Promotions!H${promo.rowIndex}:I${promo.rowIndex}`,
+    [[endDate, PROMOTION_STATUS.ENDED]]
+  );
+  await loadPromotions(true);
+
+  Logger.info(`🏷️ Promotion #${id} ended`);
+  return { success: true, promotion: { ...promo, endDate, status: PROMOTION_STATUS.ENDED } };
+}
+
+// ============================================================================
+// CHAT COMMAND PARSING
+// "โปร ลด 10% น้ำแข็ง 1/11-30/11"
+// "โปร ลด 5 บาท น้ำแข็ง, โค้ก ถึง 30/11"
+// "โปร ซื้อ 10 แถม 1 หมวด ice"
+// "โปร ซื้อครบ 20 ลด 5% ทุกสินค้า"
+// ============================================================================
+
+/**
+ * "30/11" | "30/11/2026" | "30/11/2569" → "2026-11-30"
+ */
+function parseDateInput(text) {
+  const match = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (!match) return null;
+
+  const today = getThaiDateString();
+  let year = match[3] ? parseInt(match[3]) : parseInt(today.slice(0, 4));
+  if (year < 100) year += 2000;
+  if (year > 2500) year -= 543;
+
+  const day = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function splitPeriod(text) {
+  const date = '(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?)';
+
+  let match = text.match(new RegExp(`^(.*?)\\s+${date}\\s*-\\s*${date}$`));
+  if (match) {
+    const startDate = parseDateInput(match[2]);
+    const endDate = parseDateInput(match[3]);
+    return { rest: match[1], startDate, endDate, valid: Boolean(startDate && endDate) };
+  }
+
+  match = text.match(new RegExp(`^(.*?)\\s+ถึง\\s*${date}$`));
+  if (match) {
+    const endDate = parseDateInput(match[2]);
+    return { rest: match[1], startDate: null, endDate, valid: Boolean(endDate) };
+  }
+
+  return { rest: text, startDate: null, endDate: null, valid: true };
+}
+
+function parseRule(text) {
+  let match = text.match(/^ซื้อครบ\s*(\d+)\s*ลด\s*(\d+(?:\.\d+)?)\s*%\s*(.+)$/);
+  if (match) {
+    return {
+      type: PROMOTION_TYPES.MIN_QUANTITY,
+      condition: match[1],
+      value: parseFloat(match[2]),
+      targetText: match[3]
+    };
+  }
+
+  match = text.match(/^ซื้อ\s*(\d+)\s*แถม\s*(\d+)\s+(.+)$/);
+  if (match) {
+    return {
+      type: PROMOTION_TYPES.BUY_X_GET_Y,
+      condition: `${match[1]}:${match[2]}`,
+      value: 0,
+      targetText: match[3]
+    };
+  }
+
+  match = text.match(/^ลด\s*(\d+(?:\.\d+)?)\s*%\s*(.+)$/);
+  if (match) {
+    return { type: PROMOTION_TYPES.PERCENTAGE, condition: '', value: parseFloat(match[1]), targetText: match[2] };
+  }
+
+  match = text.match(/^ลด\s*(\d+(?:\.\d+)?)\s*(?:บาท|฿)\s*(.+)$/);
+  if (match) {
+    return { type: PROMOTION_TYPES.FIXED, condition: '', value: parseFloat(match[1]), targetText: match[2] };
+  }
+
+  return null;
+}
+
+function resolveTargets(text) {
+  const trimmed = text.trim();
+
+  if (/^(ทุกสินค้า|ทั้งร้าน|ทุกอย่าง)$/.test(trimmed)) {
+    return { targets: ALL_PRODUCTS };
+  }
+
+  const categoryMatch = trimmed.match(/^หมวด\s*(.+)$/);
+  if (categoryMatch) {
+    const category = categoryMatch[1].trim();
+    const known = getStockCache().some(s => (s.category || '').toLowerCase() === category.toLowerCase());
+    if (!known) {
+      return { error: `ไม่พบหมวด: "${category}"` };
+    }
+    return { targets: `${CATEGORY_PREFIX}${category}` };
+  }
+
+  const stockCache = getStockCache();
+  const names = [];
+
+  for (const part of trimmed.split(',').map(p => p.trim()).filter(Boolean)) {
+    const resolved = resolveStockItem(part, stockCache);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+
+    if (!names.includes(resolved.stockItem.item)) {
+      names.push(resolved.stockItem.item);
+    }
+  }
+
+  return { targets: names.join(', ') };
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// ============================================================================
+
+function getPromotionHelp() {
+  return `🏷️ คำสั่งโปรโมชั่น\n\n` +
+    `• "โปร" - ดูโปรที่ใช้อยู่\n` +
+    `• "โปร ลด 10% น้ำแข็ง" - ลดเปอร์เซ็นต์\n` +
+    `• "โปร ลด 5 บาท น้ำแข็ง" - ลดต่อชิ้น\n` +
+    `• "โปร ซื้อ 10 แถม 1 น้ำแข็ง"\n` +
+    `• "โปร ซื้อครบ 20 ลด 5% หมวด ice"\n` +
+    `• "โปร จบ #3" - ปิดโปร\n\n` +
+    `📦 สินค้า: ชื่อสินค้า (คั่นด้วย ,) / หมวด [ชื่อหมวด] / ทุกสินค้า\n` +
+    `📅 ระยะเวลา (ต่อท้าย): 1/11-30/11 หรือ ถึง 30/11`;
+}
+
+async function formatPromotionList() {
+  const promotions = await loadPromotions(true);
+  const today = getThaiDateString();
+  const current = promotions.filter(p =>
+    p.status === PROMOTION_STATUS.ACTIVE && (!p.endDate || p.endDate >= today)
+  );
+
+  if (current.length === 0) {
+    return `🏷️ ยังไม่มีโปรโมชั่น\n\n${getPromotionHelp()}`;
+  }
+
+  let msg = `🏷️ โปรโมชั่น (${current.length})\n\n`;
+
+  current.forEach(p => {
+    const upcoming = p.startDate && p.startDate > today;
+    msg += `${upcoming ? '⏳' : '✅'} #${p.id} ${describeRule(p)}\n`;
+    msg += `   📦 ${describeTargets(p.targets)}\n`;
+    msg += `   📅 ${describePeriod(p)}\n\n`;
+  });
+
+  msg += `💡 "โปร จบ #${current[0].id}" - ปิดโปร`;
+  return msg;
+}
+
+async function handlePromotionCommand(text) {
+  try {
+    const body = text.trim().replace(/^(โปรโมชั่น|โปร)\s*/, '');
+
+    if (!body) {
+      return { success: true, message: await formatPromotionList() };
+    }
+
+    if (/^(ช่วย|help)$/i.test(body)) {
+      return { success: true, message: getPromotionHelp() };
+    }
+
+    const endMatch = body.match(/^(จบ|ปิด|หยุด)\s*#?(\d+)$/);
+    if (endMatch) {
+      const result = await endPromotion(parseInt(endMatch[2]));
+      return result.success
+        ? { success: true, message: `🛑 ปิดโปรโมชั่น #${result.promotion.id} แล้ว\n\n🏷️ ${result.promotion.name}` }
+        : { success: false, message: `❌ ${result.error}` };
+    }
+
+    const period = splitPeriod(body);
+    if (!period.valid) {
+      return { success: false, message: '❌ วันที่ไม่ถูกต้อง (ใช้ วว/ดด หรือ วว/ดด/ปปปป)' };
+    }
+
+    const rule = parseRule(period.rest.trim());
+    if (!rule) {
+      return { success: false, message: `❌ ไม่เข้าใจรูปแบบโปรโมชั่น\n\n${getPromotionHelp()}` };
+    }
+
+    if (rule.type !== PROMOTION_TYPES.BUY_X_GET_Y && rule.value <= 0) {
+      return { success: false, message: '❌ ส่วนลดต้องมากกว่า 0' };
+    }
+
+    if ((rule.type === PROMOTION_TYPES.PERCENTAGE || rule.type === PROMOTION_TYPES.MIN_QUANTITY) && rule.value > 100) {
+      return { success: false, message: '❌ ส่วนลดต้องไม่เกิน 100%' };
+    }
+
+    const target = resolveTargets(rule.targetText);
+    if (target.error) {
+      return { success: false, message: `❌ ${target.error}` };
+    }
+
+    const startDate = period.startDate || getThaiDateString();
+    if (period.endDate && period.endDate < startDate) {
+      return { success: false, message: '❌ วันสิ้นสุดต้องไม่ก่อนวันเริ่ม' };
+    }
+
+    const draft = { ...rule, targets: target.targets, startDate, endDate: period.endDate || '' };
+    draft.name = `${describeRule(draft)} ${describeTargets(draft.targets)}`;
+
+    const result = await createPromotion(draft);
+    const promo = result.promotion;
+
+    return {
+      success: true,
+      message: `✅ สร้างโปรโมชั่น #${result.id}\n\n` +
+        `🏷️ ${describeRule(promo)}\n` +
+        `📦 ${describeTargets(promo.targets)}\n` +
+        `📅 ${describePeriod(promo)}`
+    };
+
+  } catch (error) {
+    Logger.error('Promotion command failed', error);
+    return { success: false, message: '❌ จัดการโปรโมชั่นไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadPromotions,
+  getCachedPromotions,
+  getActivePromotions,
+  findBestPromotion,
+  evaluatePromotion,
+  createPromotion,
+  endPromotion,
+  handlePromotionCommand,
+  describeRule,
+  parseDateInput,
+  PROMOTION_TYPES,
+  PROMOTION_STATUS
+};
@@ -0,0 +1,693 @@
+// src/purchaseOrderService.js - Suppliers and purchase orders (draft → sent → received)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateTimeString, formatDateForDisplay } = require('./utils');
+const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
+const { loadStockCache } = require('./cacheManager');
+const { resolveStockItem, logVariance } = require('./stockAdjustment');
+const { stockLock, StockTransactionLock } = require('./orderService');
+const { handleRestock } = require('./backorderService');
+const { extractLotInfo, receiveLot } = require('./lotService');
+
+// ============================================================================
+// SHEET LAYOUT
+// Suppliers:      ชื่อ | เบอร์โทร | หมายเหตุ | สร้างเมื่อ
+// PurchaseOrders: one row per line, PO status repeated on every line
+//   เลขที่ | ผู้ขาย | สินค้า | จำนวนสั่ง | ราคาทุน | รับแล้ว | สถานะ | สร้างเมื่อ | ส่งเมื่อ | รับล่าสุด
+// ============================================================================
+
+const SUPPLIERS_RANGE = 'Suppliers!A:D';
+const PURCHASE_ORDERS_RANGE = 'PurchaseOrders!A:J';
+
+const PO_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIAL: 'partial',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+const STATUS_LABELS = {
+  [PO_STATUS.DRAFT]: '📝 ร่าง',
+  [PO_STATUS.SENT]: '📤 ส่งแล้ว',
+  [PO_STATUS.PARTIAL]: '📦 รับบางส่วน',
+  [PO_STATUS.RECEIVED]: '✅ รับครบ',
+  [PO_STATUS.CANCELLED]: '❌ ยกเลิก'
+};
+
+// ============================================================================
+// SUPPLIERS
+// ============================================================================
+
+async function loadSuppliers() {
+  const rows = await getSheetData(CONFIG.SHEET_ID, SUPPLIERS_RANGE);
+
+  return rows.slice(1)
+    .filter(row => row[0])
+    .map(row => ({
+      name: row[0].trim(),
+      phone: row[1] || '',
+      notes: row[2] || ''
+    }));
+}
+
+function findSupplier(suppliers, name) {
+  const query = name.toLowerCase().trim();
+  return suppliers.find(s => s.name.toLowerCase() === query) || null;
+}
+
+async function addSupplier(name, phone = '', notes = '') {
+  const suppliers = await loadSuppliers();
+
+  if (findSupplier(suppliers, name)) {
+    return { success: false, error: `มีผู้ขาย "${name}" อยู่แล้ว` };
+  }
+
+  await appendSheetData(CONFIG.SHEET_ID, SUPPLIERS_RANGE, [[name, phone, notes, getThaiDateTimeString()]]);
+
+  Logger.success(`🏭 Supplier added: ${name}`);
+  return { success: true, supplier: { name, phone, notes } };
+}
+
+// ============================================================================
+// PURCHASE ORDERS - Sheet access
+// ============================================================================
+
+async function loadPurchaseOrders() {
+  const rows = await getSheetData(CONFIG.SHEET_ID, PURCHASE_ORDERS_RANGE);
+  const orders = new Map();
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row[0]) continue;
+
+    const poNo = parseInt(row[0]);
+
+    if (!orders.has(poNo)) {
+      orders.set(poNo, {
+        poNo,
+        supplier: row[1] || '',
+        status: row[6] || PO_STATUS.DRAFT,
+        createdAt: row[7] || '',
+        sentAt: row[8] || '',
+        lastReceivedAt: row[9] || '',
+        lines: []
+      });
+    }
+
+    orders.get(poNo).lines.push({
+      rowIndex: i + 1,
+      product: row[2] || '',
+      quantity: parseInt(row[3] || 0),
+      unitCost: parseFloat(row[4] || 0),
+      received: parseInt(row[5] || 0)
+    });
+  }
+
+  return orders;
+}
+
+async function getPurchaseOrder(poNo) {
+  const orders = await loadPurchaseOrders();
+  return orders.get(poNo) || null;
+}
+
+/**
+ * @param {Array} items - [{ item, quantity, unitCost }]
+ */
+async function createPurchaseOrder(supplier, items) {
+  const orders = await loadPurchaseOrders();
+  const poNo = Array.from(orders.keys()).reduce((max, n) => Math.max(max, n), 0) + 1;
+  const timestamp = getThaiDateTimeString();
+
+  await appendSheetData(CONFIG.SHEET_ID, PURCHASE_ORDERS_RANGE, items.map(i => [
+    poNo,
+    supplier,
+    i.item,
+    i.quantity,
+    i.unitCost,
+    0,
+    PO_STATUS.DRAFT,
+    timestamp,
+    '',
+    ''
+  ]));
+
+  Logger.success(`🧾 PO #${poNo} drafted for ${supplier} (${items.length} lines)`);
+  return { poNo, supplier, status: PO_STATUS.DRAFT, lines: items };
+}
+
+function statusUpdates(po, status, extra = {}) {
+  const updates = [];
+
+  po.lines.forEach(line => {
+    updates.push({ range: `PurchaseOrders!G${line.rowIndex}`, values: [[status]] });
+    if (extra.sentAt) {
+      updates.push({ range: `PurchaseOrders!I${line.rowIndex}`, values: [[extra.sentAt]] });
+    }
+  });
+
+  return updates;
+}
+
+async function markPurchaseOrderSent(poNo) {
+  const po = await getPurchaseOrder(poNo);
+
+  if (!po) {
+    return { success: false, error: `ไม่พบใบสั่งซื้อ #${poNo}` };
+  }
+
+  if (po.status !== PO_STATUS.DRAFT) {
+    return { success: false, error: `ใบสั่งซื้อ #${poNo} สถานะ ${STATUS_LABELS[po.status] || po.status} ส่งซ้ำไม่ได้` };
+  }
+
+  const sentAt = getThaiDateTimeString();
+  await batchUpdateSheet(CONFIG.SHEET_ID, statusUpdates(po, PO_STATUS.SENT, { sentAt }));
+
+  Logger.info(`🧾 PO #${poNo} → sent`);
+  return { success: true, po: { ...po, status: PO_STATUS.SENT, sentAt } };
+}
+
+async function cancelPurchaseOrder(poNo) {
+  const po = await getPurchaseOrder(poNo);
+
+  if (!po) {
+    return { success: false, error: `ไม่พบใบสั่งซื้อ #${poNo}` };
+  }
+
+  if (![PO_STATUS.DRAFT, PO_STATUS.SENT].includes(po.status)) {
+    return { success: false, error: `ใบสั่งซื้อ #${poNo} รับของแล้วหรือปิดไปแล้ว ยกเลิกไม่ได้` };
+  }
+
+  await batchUpdateSheet(CONFIG.SHEET_ID, statusUpdates(po, PO_STATUS.CANCELLED));
+
+  Logger.info(`🧾 PO #${poNo} → cancelled`);
+  return { success: true, po: { ...po, status: PO_STATUS.CANCELLED } };
+}
+
+// ============================================================================
+// RECEIVE
+// ============================================================================
+
+/**
+ * Receive goods against a PO. Stock rises and ต้นทุน becomes the received
+ * price, both under the product's stock lock.
+ * @param {Array|null} receipts - [{ product, quantity, unitCost?, lot? }]; null = everything outstanding
+ */
+async function receivePurchaseOrder(poNo, receipts = null) {
+  let po = await getPurchaseOrder(poNo);
+
+  if (!po) {
+    return { success: false, error: `ไม่พบใบสั่งซื้อ #${poNo}` };
+  }
+
+  if (po.status === PO_STATUS.DRAFT) {
+    return { success: false, error: `ใบสั่งซื้อ #${poNo} ยังเป็นร่าง\n\n💡 พิมพ์ "po ส่ง #${poNo}" ก่อนรับของ` };
+  }
+
+  if (![PO_STATUS.SENT, PO_STATUS.PARTIAL].includes(po.status)) {
+    return { success: false, error: `ใบสั่งซื้อ #${poNo} ${STATUS_LABELS[po.status] || po.status}` };
+  }
+
+  // Match each receipt to a PO line
+  const lineReceipts = [];
+  const requested = receipts || po.lines
+    .filter(l => l.quantity > l.received)
+    .map(l => ({ product: l.product, quantity: l.quantity - l.received }));
+
+  for (const receipt of requested) {
+    const query = receipt.product.toLowerCase().trim();
+    const line = po.lines.find(l => l.product.toLowerCase() === query) ||
+      po.lines.find(l => l.product.toLowerCase().includes(query));
+
+    if (!line) {
+      return { success: false, error: `ไม่มี "${receipt.product}" ในใบสั่งซื้อ #${poNo}` };
+    }
+
+    const outstanding = line.quantity - line.received;
+    if (receipt.quantity > outstanding) {
+      return {
+        success: false,
+        error: `${line.product}: รับได้อีก ${outstanding} (สั่ง ${line.quantity} รับแล้ว ${line.received})`
+      };
+    }
+
+    lineReceipts.push({
+      line,
+      quantity: receipt.quantity,
+      unitCost: receipt.unitCost !== undefined ? receipt.unitCost : line.unitCost,
+      lot: receipt.lot || null
+    });
+  }
+
+  if (lineReceipts.length === 0) {
+    return { success: false, error: `ใบสั่งซื้อ #${poNo} ไม่มีของค้างรับ` };
+  }
+
+  let stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
+  const findStockRow = name => {
+    const target = name.toLowerCase().trim();
+    const index = stockRows.findIndex((r, i) => i > 0 && (r[0] || '').toLowerCase().trim() === target);
+    return index === -1 ? null : index;
+  };
+
+  const lockKeys = [];
+  for (const { line } of lineReceipts) {
+    const index = findStockRow(line.product);
+    if (index === null) {
+      return { success: false, error: `ไม่พบสินค้าในสต็อก: ${line.product}` };
+    }
+    const key = StockTransactionLock.generateKey(stockRows[index][0], stockRows[index][3]);
+    if (!lockKeys.includes(key)) lockKeys.push(key);
+  }
+  // Two receipts for the same PO queue up even when their products differ
+  // (stock keys are "name|unit", so this can't clash with one)
+  lockKeys.push(`PO#${poNo}`);
+
+  const received = [];
+
+  await stockLock.acquireLocks(lockKeys);
+
+  try {
+    // Fresh read now that we hold the locks - another receipt for this PO
+    // may have finished while we waited
+    po = await getPurchaseOrder(poNo);
+
+    if (!po || ![PO_STATUS.SENT, PO_STATUS.PARTIAL].includes(po.status)) {
+      throw new Error(`ใบสั่งซื้อ #${poNo} ${po ? (STATUS_LABELS[po.status] || po.status) : 'ถูกลบไปแล้ว'}`);
+    }
+
+    const claimed = new Map();
+    for (const receipt of lineReceipts) {
+      const line = po.lines.find(l => l.rowIndex === receipt.line.rowIndex && l.product === receipt.line.product);
+      if (!line) {
+        throw new Error(`ไม่มี "${receipt.line.product}" ในใบสั่งซื้อ #${poNo}`);
+      }
+
+      const outstanding = line.quantity - line.received - (claimed.get(line) || 0);
+      if (receipt.quantity > outstanding) {
+        throw new Error(`${line.product}: รับได้อีก ${outstanding} (สั่ง ${line.quantity} รับแล้ว ${line.received})`);
+      }
+
+      claimed.set(line, (claimed.get(line) || 0) + receipt.quantity);
+      receipt.line = line;
+    }
+
+    stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
+    const timestamp = getThaiDateTimeString();
+    const stockUpdates = [];
+
+    for (const receipt of lineReceipts) {
+      const index = findStockRow(receipt.line.product);
+      if (index === null) {
+        throw new Error(`ไม่พบสินค้าในสต็อก: ${receipt.line.product}`);
+      }
+
+      const row = stockRows[index];
+      const oldStock = parseInt(row[4] || 0);
+      const newStock = oldStock + receipt.quantity;
+
+      stockUpdates.push({ range: `สต็อก!B${index + 1}`, values: [[receipt.unitCost]] });
+      stockUpdates.push({ range: `สต็อก!E${index + 1}`, values: [[newStock]] });
+
+      // Same product twice in one receipt → keep our copy in step
+      row[1] = receipt.unitCost;
+      row[4] = newStock;
+
+      received.push({
+        product: row[0],
+        unit: row[3] || 'ชิ้น',
+        quantity: receipt.quantity,
+        unitCost: receipt.unitCost,
+        oldCost: receipt.line.unitCost,
+        oldStock,
+        newStock,
+        lot: receipt.lot
+      });
+
+      receipt.line.received += receipt.quantity;
+    }
+
+    await batchUpdateSheet(CONFIG.SHEET_ID, stockUpdates);
+
+    for (const r of received) {
+      await logVariance(r.product, r.oldStock, r.newStock, r.quantity, 'receive', `PO#${poNo}`);
+    }
+
+    for (const r of received.filter(r => r.lot)) {
+      try {
+        r.lot = await receiveLot({ product: r.product, quantity: r.quantity, ...r.lot, source: `PO#${poNo}` });
+      } catch (lotError) {
+        // Same as the PO rows - the stock is in, only the lot record is missing
+        Logger.error(`PO #${poNo} ${r.product} received but lot not recorded`, lotError);
+        r.lot = null;
+      }
+    }
+
+    const complete = po.lines.every(l => l.received >= l.quantity);
+    const status = complete ? PO_STATUS.RECEIVED : PO_STATUS.PARTIAL;
+
+    const poUpdates = lineReceipts.map(({ line, unitCost }) => ({
+      range: `PurchaseOrders!E${line.rowIndex}:F${line.rowIndex}`,
+      values: [[unitCost, line.received]]
+    }));
+    po.lines.forEach(line => {
+      poUpdates.push({ range: `PurchaseOrders!G${line.rowIndex}`, values: [[status]] });
+      poUpdates.push({ range: `PurchaseOrders!J${line.rowIndex}`, values: [[timestamp]] });
+    });
+
+    try {
+      await batchUpdateSheet(CONFIG.SHEET_ID, poUpdates);
+    } catch (poError) {
+      // Stock is already in - don't undo a physical delivery over a bookkeeping error
+      Logger.error(`PO #${poNo} stock received but PO rows not updated`, poError);
+    }
+
+    await loadStockCache(true);
+
+    Logger.success(`🧾 PO #${poNo} received ${received.length} line(s) → ${status}`);
+    po.status = status;
+
+  } catch (error) {
+    Logger.error('receivePurchaseOrder failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    lockKeys.forEach(key => stockLock.releaseLock(key));
+  }
+
+  // Serve waiting backorders now that the locks are free
+  const backorderMessages = [];
+  for (const r of received) {
+    const message = await handleRestock(r.product);
+    if (message) backorderMessages.push(message);
+  }
+
+  return { success: true, po, received, backorderMessages };
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// ============================================================================
+
+/**
+ * "น้ำแข็ง 100 @18, โค้ก 50 หมดอายุ 31/12/26" → [{ name, quantity, unitCost?, lot }]
+ */
+function parseLineItems(text) {
+  const items = [];
+
+  for (const rawPart of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const lotInfo = extractLotInfo(rawPart);
+    if (lotInfo.error) {
+      return { error: lotInfo.error };
+    }
+
+    const part = lotInfo.text;
+    const match = part.match(/^(.+?)\s+(\d+)(?:\s*@\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) {
+      return { error: `รูปแบบไม่ถูกต้อง: "${part}"\n\n💡 ใช้ "[สินค้า] [จำนวน] @[ราคาทุน]" คั่นด้วย ,` };
+    }
+
+    const quantity = parseInt(match[2]);
+    if (quantity <= 0) {
+      return { error: `จำนวนต้องมากกว่า 0: "${part}"` };
+    }
+
+    items.push({
+      name: match[1].trim(),
+      quantity,
+      unitCost: match[3] !== undefined ? parseFloat(match[3]) : undefined,
+      lot: lotInfo.lot
+    });
+  }
+
+  if (items.length === 0) {
+    return { error: 'กรุณาระบุสินค้าอย่างน้อย 1 รายการ' };
+  }
+
+  return { items };
+}
+
+function formatPurchaseOrder(po) {
+  let total = 0;
+  let msg = `🧾 ใบสั่งซื้อ #${po.poNo} ${STATUS_LABELS[po.status] || po.status}\n`;
+  msg += `🏭 ${po.supplier}\n\n`;
+
+  po.lines.forEach(line => {
+    const lineTotal = line.quantity * line.unitCost;
+    total += lineTotal;
+    msg += `• ${line.product} x${line.quantity} @${line.unitCost}฿ = ${lineTotal.toLocaleString()}฿`;
+    if (line.received > 0 && line.received < line.quantity) {
+      msg += ` (รับแล้ว ${line.received})`;
+    }
+    msg += `\n`;
+  });
+
+  msg += `\n💰 รวม: ${total.toLocaleString()}฿`;
+  if (po.sentAt) msg += `\n📤 ส่งเมื่อ ${po.sentAt}`;
+  if (po.lastReceivedAt) msg += `\n📥 รับล่าสุด ${po.lastReceivedAt}`;
+
+  return msg;
+}
+
+async function formatOpenPurchaseOrders() {
+  const open = Array.from((await loadPurchaseOrders()).values())
+    .filter(po => [PO_STATUS.DRAFT, PO_STATUS.SENT, PO_STATUS.PARTIAL].includes(po.status));
+
+  if (open.length === 0) {
+    return `🧾 ไม่มีใบสั่งซื้อค้าง\n\n${getPurchaseOrderHelp()}`;
+  }
+
+  let msg = `🧾 ใบสั่งซื้อค้าง (${open.length})\n${'='.repeat(30)}\n\n`;
+
+  open.forEach(po => {
+    const items = po.lines.map(l => `${l.product} ${l.received}/${l.quantity}`).join(', ');
+    msg += `${STATUS_LABELS[po.status]} #${po.poNo} ${po.supplier}\n   📦 ${items}\n\n`;
+  });
+
+  msg += `💡 "po #เลขที่" ดูรายละเอียด`;
+  return msg;
+}
+
+function formatReceiveResult(result) {
+  const { po, received, backorderMessages } = result;
+
+  let msg = po.status === PO_STATUS.RECEIVED
+    ? `✅ รับของครบ ใบสั่งซื้อ #${po.poNo}\n\n`
+    : `📦 รับของบางส่วน ใบสั่งซื้อ #${po.poNo}\n\n`;
+
+  received.forEach(r => {
+    msg += `• ${r.product} +${r.quantity} ${r.unit} (${r.oldStock} → ${r.newStock})\n`;
+    msg += `   💰 ต้นทุน ${r.unitCost}฿${r.unitCost !== r.oldCost ? ` (ใบสั่ง ${r.oldCost}฿)` : ''}\n`;
+    if (r.lot) {
+      msg += `   🏷️ ล็อต ${r.lot.lotNo ? `${r.lot.lotNo} (${r.lot.id})` : r.lot.id}` +
+        `${r.lot.expiry ? ` หมดอายุ ${formatDateForDisplay(r.lot.expiry)}` : ''}\n`;
+    }
+  });
+
+  const outstanding = po.lines.filter(l => l.received < l.quantity);
+  if (outstanding.length > 0) {
+    msg += `\n⏳ ยังค้างรับ:\n`;
+    outstanding.forEach(l => msg += `• ${l.product} ${l.quantity - l.received}\n`);
+  }
+
+  if (backorderMessages.length > 0) {
+    msg += `\n━━━━━━━━━━━━━━━━━━━━\n${backorderMessages.join('\n\n')}`;
+  }
+
+  return msg.trim();
+}
+
+async function formatSupplierList() {
+  const suppliers = await loadSuppliers();
+
+  if (suppliers.length === 0) {
+    return `🏭 ยังไม่มีผู้ขาย\n\n💡 เพิ่ม: "ซัพ เพิ่ม [ชื่อ] [เบอร์โทร]"`;
+  }
+
+  let msg = `🏭 ผู้ขาย (${suppliers.length})\n\n`;
+  suppliers.forEach(s => {
+    msg += `• ${s.name}${s.phone ? ` 📞 ${s.phone}` : ''}${s.notes ? ` - ${s.notes}` : ''}\n`;
+  });
+
+  return msg.trim();
+}
+
+/**
+ * "ซัพ" - list suppliers, "ซัพ เพิ่ม [ชื่อ] [เบอร์]" - add one
+ */
+async function handleSupplierCommand(text) {
+  try {
+    const trimmed = text.trim();
+
+    if (/^(ซัพ|ผู้ขาย)$/.test(trimmed)) {
+      return { success: true, message: await formatSupplierList() };
+    }
+
+    const addMatch = trimmed.match(/^(?:ซัพ|ผู้ขาย)\s+เพิ่ม\s+(\S+)(?:\s+([\d-]+))?(?:\s+(.+))?$/);
+    if (addMatch) {
+      const result = await addSupplier(addMatch[1], addMatch[2] || '', addMatch[3] || '');
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+
+      return {
+        success: true,
+        message: `✅ เพิ่มผู้ขายแล้ว\n\n🏭 ${result.supplier.name}` +
+          (result.supplier.phone ? `\n📞 ${result.supplier.phone}` : '') +
+          `\n\n💡 สั่งของ: "po ${result.supplier.name} [สินค้า] [จำนวน] @[ราคาทุน]"`
+      };
+    }
+
+    return { success: false, message: `💡 "ซัพ" - ดูผู้ขาย\n• "ซัพ เพิ่ม [ชื่อ] [เบอร์โทร]"` };
+
+  } catch (error) {
+    Logger.error('Supplier command failed', error);
+    return { success: false, message: '❌ ไม่สามารถจัดการผู้ขายได้' };
+  }
+}
+
+/**
+ * "po" family of admin commands
+ */
+async function handlePurchaseOrderCommand(text) {
+  try {
+    const trimmed = text.trim().replace(/^(po|ใบสั่งซื้อ)/i, 'po');
+
+    if (/^po$/i.test(trimmed)) {
+      return { success: true, message: await formatOpenPurchaseOrders() };
+    }
+
+    if (/^po\s+(ช่วย|help)$/i.test(trimmed)) {
+      return { success: true, message: getPurchaseOrderHelp() };
+    }
+
+    const viewMatch = trimmed.match(/^po\s+#?(\d+)$/i);
+    if (viewMatch) {
+      const po = await getPurchaseOrder(parseInt(viewMatch[1]));
+      if (!po) {
+        return { success: false, message: `❌ ไม่พบใบสั่งซื้อ #${viewMatch[1]}` };
+      }
+      return { success: true, message: formatPurchaseOrder(po) };
+    }
+
+    const sendMatch = trimmed.match(/^po\s+ส่ง\s+#?(\d+)$/i);
+    if (sendMatch) {
+      const result = await markPurchaseOrderSent(parseInt(sendMatch[1]));
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+      return {
+        success: true,
+        message: `📤 ส่งใบสั่งซื้อแล้ว\n\n${formatPurchaseOrder(result.po)}\n\n` +
+          `💡 ของมาถึง: "po รับ #${result.po.poNo}"`
+      };
+    }
+
+    const cancelMatch = trimmed.match(/^po\s+ยกเลิก\s+#?(\d+)$/i);
+    if (cancelMatch) {
+      const result = await cancelPurchaseOrder(parseInt(cancelMatch[1]));
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+      return { success: true, message: `🗑️ ยกเลิกใบสั่งซื้อ #${result.po.poNo} แล้ว` };
+    }
+
+    const receiveMatch = trimmed.match(/^po\s+รับ\s+#?(\d+)(?:\s+(.+))?$/i);
+    if (receiveMatch) {
+      let receipts = null;
+
+      if (receiveMatch[2]) {
+        const parsed = parseLineItems(receiveMatch[2]);
+        if (parsed.error) {
+          return { success: false, message: `❌ ${parsed.error}` };
+        }
+        receipts = parsed.items.map(i => ({ product: i.name, quantity: i.quantity, unitCost: i.unitCost, lot: i.lot }));
+      }
+
+      const result = await receivePurchaseOrder(parseInt(receiveMatch[1]), receipts);
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+      return { success: true, message: formatReceiveResult(result) };
+    }
+
+    const createMatch = trimmed.match(/^po\s+(\S+)\s+(.+)$/i);
+    if (createMatch) {
+      const supplier = findSupplier(await loadSuppliers(), createMatch[1]);
+      if (!supplier) {
+        return {
+          success: false,
+          message: `❌ ไม่พบผู้ขาย: ${createMatch[1]}\n\n💡 เพิ่มก่อน: "ซัพ เพิ่ม ${createMatch[1]}"`
+        };
+      }
+
+      const parsed = parseLineItems(createMatch[2]);
+      if (parsed.error) {
+        return { success: false, message: `❌ ${parsed.error}` };
+      }
+
+      const items = [];
+      for (const entry of parsed.items) {
+        const resolved = resolveStockItem(entry.name);
+        if (resolved.error) {
+          return { success: false, message: `❌ ${resolved.error}` };
+        }
+
+        // No price given → last known cost
+        items.push({
+          item: resolved.stockItem.item,
+          quantity: entry.quantity,
+          unitCost: entry.unitCost !== undefined ? entry.unitCost : resolved.stockItem.cost
+        });
+      }
+
+      const po = await createPurchaseOrder(supplier.name, items);
+      const view = formatPurchaseOrder({
+        ...po,
+        lines: po.lines.map(i => ({ product: i.item, quantity: i.quantity, unitCost: i.unitCost, received: 0 }))
+      });
+
+      return {
+        success: true,
+        message: `✅ สร้างใบสั่งซื้อแล้ว\n\n${view}\n\n💡 "po ส่ง #${po.poNo}" เมื่อส่งให้ผู้ขายแล้ว`
+      };
+    }
+
+    return { success: false, message: getPurchaseOrderHelp() };
+
+  } catch (error) {
+    Logger.error('Purchase order command failed', error);
+    return { success: false, message: '❌ ไม่สามารถจัดการใบสั่งซื้อได้' };
+  }
+}
+
+function getPurchaseOrderHelp() {
+  return `💡 คำสั่งใบสั่งซื้อ:\n` +
+    `• "po [ผู้ขาย] น้ำแข็ง 100 @18, โค้ก 50" - สร้างร่าง\n` +
+    `• "po" - ดูใบที่ค้าง\n` +
+    `• "po #3" - ดูรายละเอียด\n` +
+    `• "po ส่ง #3" - ส่งให้ผู้ขายแล้ว\n` +
+    `• "po รับ #3" - รับของครบ\n` +
+    `• "po รับ #3 น้ำแข็ง 60 @19" - รับบางส่วน / ราคาใหม่\n` +
+    `• "po รับ #3 น้ำดื่ม 48 หมดอายุ 31/12/26" - รับพร้อมวันหมดอายุ/ล็อต\n` +
+    `• "po ยกเลิก #3"`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  loadSuppliers,
+  addSupplier,
+  loadPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  markPurchaseOrderSent,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  handleSupplierCommand,
+  handlePurchaseOrderCommand,
+  PO_STATUS
+};
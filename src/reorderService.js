@@ -0,0 +1,180 @@
+// src/reorderService.js - Rebuild a customer's previous order ("เหมือนเดิม")
+const { Logger } = require('./logger');
+const { getDateRange, extractGregorianDate } = require('./utils');
+const { getStockCache } = require('./cacheManager');
+const { smartLearner } = require('./smartOrderLearning');
+const { loadBundles, getBundleStockItems } = require('./bundleService');
+const { getConversionFactor, resolveOrderUnit, formatQuantity } = require('./unitConversion');
+
+// ============================================================================
+// REORDER KEYWORDS
+// ============================================================================
+
+const REORDER_SOURCES = {
+  LAST: 'last',           // Most recent order
+  YESTERDAY: 'yesterday', // Most recent order placed yesterday
+  USUAL: 'usual'          // Typical basket from order history
+};
+
+const REORDER_KEYWORDS = [
+  { pattern: 'เหมือนเมื่อวาน', source: REORDER_SOURCES.YESTERDAY },
+  { pattern: 'เหมือนเดิม', source: REORDER_SOURCES.LAST },
+  { pattern: 'เหมือนครั้งก่อน', source: REORDER_SOURCES.LAST },
+  { pattern: 'เหมือนทุกที', source: REORDER_SOURCES.USUAL },
+  { pattern: 'ตามปกติ', source: REORDER_SOURCES.USUAL }
+];
+
+/**
+ * "เจ๊แอน เหมือนเดิม" → { customerName: 'เจ๊แอน', source: 'last' }
+ * @returns {Object|null}
+ */
+function parseReorderCommand(text) {
+  const trimmed = text.trim();
+
+  for (const { pattern, source } of REORDER_KEYWORDS) {
+    if (!trimmed.endsWith(pattern)) continue;
+
+    const customerName = trimmed
+      .slice(0, -pattern.length)
+      .replace(/(สั่ง|เอา)\s*$/, '')
+      .trim();
+
+    if (customerName) {
+      return { customerName, source };
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// BUILD BASKET AGAINST CURRENT STOCK
+// ============================================================================
+
+function pickHistoryItems(pattern, source) {
+  if (source === REORDER_SOURCES.USUAL) {
+    return {
+      items: smartLearner.getMostCommonItems(pattern)
+        .map(i => ({ item: i.name, quantity: i.avgQuantity })),
+      order: null
+    };
+  }
+
+  let order = null;
+  let fellBack = false;
+
+  if (source === REORDER_SOURCES.YESTERDAY) {
+    order = smartLearner.getLastOrder(pattern, getDateRange('yesterday').startDate);
+    fellBack = !order;
+  }
+
+  order = order || smartLearner.getLastOrder(pattern);
+
+  return { items: order ? order.items : [], order, fellBack };
+}
+
+/**
+ * @param {string} customerName
+ * @param {string} source - REORDER_SOURCES value
+ * @returns {Promise<Object>} { success, customer, items, notes, sourceOrderNo, sourceDate } or { success: false, error }
+ */
+async function buildReorder(customerName, source = REORDER_SOURCES.LAST) {
+  await smartLearner.loadOrderHistory(true);
+
+  const pattern = smartLearner.findCustomerByName(customerName);
+
+  if (!pattern) {
+    return { success: false, error: `ไม่พบประวัติการสั่งของ "${customerName}"` };
+  }
+
+  const { items: historyItems, order, fellBack } = pickHistoryItems(pattern, source);
+
+  if (historyItems.length === 0) {
+    return { success: false, error: `${pattern.customer} ยังไม่มีประวัติการสั่ง` };
+  }
+
+  // Bundles are reordered by name like stock rows; their stock is the
+  // number of complete sets the components cover
+  await loadBundles();
+  const stockCache = getStockCache();
+  const catalogItems = stockCache.concat(getBundleStockItems(stockCache));
+  const items = [];
+  const notes = [];
+
+  if (fellBack) {
+    notes.push(`เมื่อวานไม่มีออเดอร์ ใช้ออเดอร์ล่าสุด (${extractGregorianDate(order.timestamp)}) แทน`);
+  }
+
+  // Merge repeated products so stock is checked against the total
+  const wanted = new Map();
+  historyItems.forEach(h => {
+    const key = `${h.item.toLowerCase().trim()}|${h.unit || ''}`;
+    const existing = wanted.get(key);
+    wanted.set(key, {
+      item: h.item,
+      unit: h.unit || '',
+      quantity: (existing ? existing.quantity : 0) + h.quantity
+    });
+  });
+
+  for (const { item, unit: historyUnit, quantity } of wanted.values()) {
+    const stockItem = catalogItems.find(s => s.item.toLowerCase().trim() === item.toLowerCase().trim());
+
+    if (!stockItem) {
+      notes.push(`${item}: ไม่มีในสต็อกแล้ว (ข้าม)`);
+      continue;
+    }
+
+    if (stockItem.stock <= 0) {
+      notes.push(stockItem.isBundle ? `${item}: ส่วนประกอบไม่พอ 1 ชุด (ข้าม)` : `${item}: หมดสต็อก (ข้าม)`);
+      continue;
+    }
+
+    // Repeat the order in the unit it was placed in (ลัง stays ลัง)
+    const unit = resolveOrderUnit(stockItem, historyUnit);
+    const factor = getConversionFactor(stockItem, unit);
+
+    if (stockItem.stock < quantity * factor) {
+      const available = Math.floor(stockItem.stock / factor);
+
+      if (available === 0) {
+        notes.push(`${item}: มีแค่ ${stockItem.stock} ${stockItem.unit} ไม่พอ 1 ${unit} (ข้าม)`);
+        continue;
+      }
+
+      notes.push(`${item}: มีแค่ ${formatQuantity(stockItem, available, unit)} (เดิม ${quantity}${unit ? ` ${unit}` : ''})`);
+      items.push({ stockItem, quantity: available, unit, matchConfidence: 'exact' });
+      continue;
+    }
+
+    items.push({ stockItem, quantity, unit, matchConfidence: 'exact' });
+  }
+
+  if (items.length === 0) {
+    return {
+      success: false,
+      error: `ไม่สามารถสั่งซ้ำให้ ${pattern.customer} ได้\n\n${notes.map(n => `• ${n}`).join('\n')}`
+    };
+  }
+
+  Logger.info(`🔁 Reorder for ${pattern.customer}: ${items.length} items (${source})`);
+
+  return {
+    success: true,
+    customer: pattern.customer,
+    items,
+    notes,
+    sourceOrderNo: order ? order.orderNo : null,
+    sourceDate: order ? extractGregorianDate(order.timestamp) : null
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  parseReorderCommand,
+  buildReorder,
+  REORDER_SOURCES
+};
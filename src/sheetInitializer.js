@@ -20,7 +20,11 @@ const REQUIRED_SHEETS = [
       'หมายเหตุ',         // F - Notes
       'ผู้ส่ง',           // G - Delivery person (empty = not delivered, name = delivered)
       'จ่ายแล้วหรือยัง',   // H - Payment status
-      'ยอดเงิน'           // I - Amount
+      'ยอดเงิน',          // I - Amount
+      'ต้นทุน/หน่วย',     // J - Unit cost at time of sale (per ordered unit)
+      'หน่วยสั่ง',         // K - Unit ordered in when not the stock unit (ลัง/แพ็ค)
+      'คลัง',             // L - Location the stock came from ('' = shop)
+      'ล็อต'              // M - Lots taken, "L3:5, L4:2" (base units)
     ],
     purpose: 'Simple order tracking - delivery person indicates completion'
   },
@@ -34,20 +38,24 @@ const REQUIRED_SHEETS = [
       'หน่วย',
       'จำนวนคงเหลือ',
       'หมวดหมู่',
-      'SKU'
+      'SKU',
+      'ราคาขั้นบันได',
+      'หน่วยแปลง',
+      'จุดสั่งซื้อ',
+      'ระดับเป้าหมาย'
     ],
     purpose: 'Inventory management'
   },
   
   {
     name: 'ลูกค้า',
-    headers: ['ชื่อลูกค้า', 'เบอร์โทร', 'ที่อยู่', 'หมายเหตุ'],
+    headers: ['ชื่อลูกค้า', 'เบอร์โทร', 'ที่อยู่', 'หมายเหตุ', 'ระดับ'],
     purpose: 'Customer database'
   },
   
   { 
     name: 'Dashboard', 
-    headers: ['วันที่', 'จำนวนออเดอร์', 'ต้นทุน', 'ยอดขาย', 'กำไร', 'Top5'],
+    headers: ['วันที่', 'จำนวนออเดอร์', 'ต้นทุน', 'ยอดขาย', 'กำไร', 'Top5', 'อัตรากำไร (%)', 'ของเสีย'],
     purpose: 'Daily metrics'
   },
   
@@ -67,6 +75,78 @@ const REQUIRED_SHEETS = [
     name: 'VarianceLog',
     headers: ['วันที่', 'สินค้า', 'สต็อกเก่า', 'สต็อกใหม่', 'ส่วนต่าง', 'เหตุผล'],
     purpose: 'Stock adjustments'
+  },
+  
+  {
+    name: 'Meta',
+    headers: ['คีย์', 'ค่า', 'อัปเดตล่าสุด'],
+    purpose: 'System counters (order number sequence)'
+  },
+  
+  {
+    name: 'Journal',
+    headers: ['รหัส', 'ออเดอร์', 'สถานะ', 'สร้างเมื่อ', 'อัปเดตเมื่อ', 'ข้อมูล'],
+    purpose: 'Order write-ahead journal (crash recovery)'
+  },
+  
+  {
+    name: 'StandingOrders',
+    headers: ['รหัส', 'ลูกค้า', 'รายการ', 'รอบ', 'สถานะ', 'เริ่มวันที่', 'รันล่าสุด', 'สร้างเมื่อ'],
+    purpose: 'Recurring customer orders'
+  },
+  
+  {
+    name: 'Promotions',
+    headers: ['รหัส', 'ชื่อ', 'ประเภท', 'ค่า', 'เงื่อนไข', 'เป้าหมาย', 'เริ่ม', 'สิ้นสุด', 'สถานะ', 'สร้างเมื่อ'],
+    purpose: 'Promotions applied during order pricing'
+  },
+  
+  {
+    name: 'CustomerPrices',
+    headers: ['ลูกค้า', 'สินค้า', 'ราคา', 'เริ่มใช้', 'บันทึกเมื่อ'],
+    purpose: 'Negotiated per-customer prices (override stock price)'
+  },
+  
+  {
+    name: 'Suppliers',
+    headers: ['ชื่อ', 'เบอร์โทร', 'หมายเหตุ', 'สร้างเมื่อ'],
+    purpose: 'Suppliers for purchase orders'
+  },
+  
+  {
+    name: 'PurchaseOrders',
+    headers: ['เลขที่', 'ผู้ขาย', 'สินค้า', 'จำนวนสั่ง', 'ราคาทุน', 'รับแล้ว', 'สถานะ', 'สร้างเมื่อ', 'ส่งเมื่อ', 'รับล่าสุด'],
+    purpose: 'Purchase order lines (draft → sent → partial/received)'
+  },
+  
+  {
+    name: 'Bundles',
+    headers: ['ชื่อชุด', 'ส่วนประกอบ', 'ราคา', 'สถานะ', 'สร้างเมื่อ'],
+    purpose: 'Bundles / party sets sold as one item (components take the stock)'
+  },
+  
+  {
+    name: 'Locations',
+    headers: ['ชื่อ', 'ผู้ส่ง', 'สร้างเมื่อ'],
+    purpose: 'Stock locations besides the shop (trucks, cold room)'
+  },
+  
+  {
+    name: 'LocationStock',
+    headers: ['สถานที่', 'สินค้า', 'จำนวน', 'อัปเดตล่าสุด'],
+    purpose: 'Per-location quantities (shop = สต็อก total minus these)'
+  },
+  
+  {
+    name: 'Lots',
+    headers: ['รหัส', 'สินค้า', 'เลขล็อต', 'วันหมดอายุ', 'คงเหลือ', 'รับเข้า', 'รับเมื่อ', 'ที่มา'],
+    purpose: 'Received lots with expiry dates (orders take first-expiring first)'
+  },
+  
+  {
+    name: 'Waste',
+    headers: ['วันที่', 'สินค้า', 'จำนวน', 'หน่วย', 'ต้นทุน/หน่วย', 'มูลค่า', 'เหตุผล', 'หมายเหตุ'],
+    purpose: 'Spoiled / broken / melted stock written off at cost'
   }
 ];
 
@@ -81,7 +161,11 @@ const COLUMNS = {
     NOTES: 5,         // F
     DELIVERY: 6,      // G - Delivery person name (empty = not delivered)
     PAYMENT: 7,       // H - Payment status
-    AMOUNT: 8         // I - Amount
+    AMOUNT: 8,        // I - Amount
+    UNIT_COST: 9,     // J - Unit cost at time of sale
+    ORDER_UNIT: 10,   // K - Ordered unit ('' = stock unit)
+    LOCATION: 11,     // L - Stock location ('' = default)
+    LOTS: 12          // M - Lots taken ("L3:5, L4:2")
   }
 };
 
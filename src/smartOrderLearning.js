@@ -1,8 +1,11 @@
 // smartOrderLearning.js - FIXED: Read from correct columns
 const { CONFIG } = require('./config');
 const { Logger } = require('./logger');
-const { normalizeText } = require('./utils');
+const { normalizeText, extractGregorianDate } = require('./utils');
 const { getSheetData } = require('./googleServices');
+const { getStockCache } = require('./cacheManager');
+const { getRowUnitFactor } = require('./unitConversion');
+const { CANCELLED_TAG } = require('./comstant');
 
 // ============================================================================
 // CUSTOMER ORDER HISTORY ANALYZER
@@ -17,18 +20,19 @@ class SmartOrderLearner {
     this.cacheMaxAge = 5 * 60 * 1000; 
   }
 
-  async loadOrderHistory() {
+  async loadOrderHistory(force = false) {
     const now = Date.now();
     
-    if (this.customerPatterns.size > 0 && (now - this.lastLoaded) < this.CACHE_DURATION) {
+    if (!force && this.customerPatterns.size > 0 && (now - this.lastLoaded) < this.CACHE_DURATION) {
       return; 
     }
 
     try {
       Logger.info('🧠 Loading order history from Sheets...');
       
-      // ✅ FIX: Read correct columns A-I from คำสั่งซื้อ
-      const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+      // ✅ FIX: Read correct columns A-K from คำสั่งซื้อ (K = ordered unit)
+      const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
+      const stockByName = new Map(getStockCache().map(s => [s.item.toLowerCase().trim(), s]));
       
       if (!orderRows || orderRows.length <= 1) {
         Logger.warn('⚠️ No order history found in Google Sheet');
@@ -39,6 +43,8 @@ class SmartOrderLearner {
 
       // Take last 200 orders for learning
       const recentOrders = orderRows.slice(1).slice(-200);
+      // Rebuild from scratch so a reload never double-counts rows
+      const patterns = new Map();
       let newLearningCount = 0;
       let processedOrders = 0;
 
@@ -49,17 +55,24 @@ class SmartOrderLearner {
         const customer = (order[2] || '').trim();  // Column C: Customer
         const itemName = (order[3] || '').trim();  // Column D: Product name
         const quantity = parseInt(order[4]) || 1;  // Column E: Quantity
+        const notes = order[5] || '';              // Column F: Notes
         const paymentStatus = order[7] || '';      // Column H: Payment status
+        const unit = order[10] || '';              // Column K: Ordered unit ('' = stock unit)
         
         // Skip invalid rows
         if (!customer || customer === 'ไม่ระบุ' || !itemName || !orderNo) {
           continue;
         }
 
+        // Cancelled lines weren't actually bought
+        if (notes.includes(CANCELLED_TAG)) {
+          continue;
+        }
+
         try {
           // Initialize customer pattern if new
-          if (!this.customerPatterns.has(customer)) {
-            this.customerPatterns.set(customer, {
+          if (!patterns.has(customer)) {
+            patterns.set(customer, {
               customer: customer,
               normalizedName: normalizeText(customer),
               orders: [],
@@ -68,10 +81,12 @@ class SmartOrderLearner {
               totalSpent: 0,
               isPaidCustomer: false
             });
-            newLearningCount++;
+            if (!this.customerPatterns.has(customer)) {
+              newLearningCount++;
+            }
           }
 
-          const pattern = this.customerPatterns.get(customer);
+          const pattern = patterns.get(customer);
           pattern.totalOrders++;
           
           // Track if customer pays on time
@@ -93,7 +108,9 @@ class SmartOrderLearner {
           
           const itemData = pattern.commonItems.get(itemKey);
           itemData.count++;
-          itemData.quantities.push(quantity);
+          // Typical quantities are compared in the stock unit (2 ลัง = 48 ขวด)
+          const stockItem = stockByName.get(itemName.toLowerCase());
+          itemData.quantities.push(quantity * getRowUnitFactor(order, stockItem));
           
           // Calculate running average
           itemData.avgQuantity = Math.round(
@@ -101,11 +118,18 @@ class SmartOrderLearner {
           );
 
           // Store order history (keep last 20 per customer)
-          pattern.orders.push({
-            orderNo: orderNo,
-            items: [{ item: itemName, quantity: quantity }],
-            timestamp: timestamp
-          });
+          // Rows of the same order number are grouped into one order
+          const lastOrder = pattern.orders.find(o => String(o.orderNo) === String(orderNo));
+          
+          if (lastOrder) {
+            lastOrder.items.push({ item: itemName, quantity: quantity, unit });
+          } else {
+            pattern.orders.push({
+              orderNo: orderNo,
+              items: [{ item: itemName, quantity: quantity, unit }],
+              timestamp: timestamp
+            });
+          }
           
           if (pattern.orders.length > 20) {
             pattern.orders.shift();
@@ -118,6 +142,8 @@ class SmartOrderLearner {
         }
       }
 
+      this.customerPatterns = patterns;
+      this.predictionCache.clear();
       this.lastLoaded = now;
       
       Logger.success(`✅ Smart Learning Complete:`);
@@ -293,6 +319,19 @@ class SmartOrderLearner {
     return items;
   }
 
+  /**
+   * Most recent order, optionally only from a given day
+   * @param {Object} customerPattern
+   * @param {string|null} gregorianDate - "YYYY-MM-DD"
+   */
+  getLastOrder(customerPattern, gregorianDate = null) {
+    const orders = gregorianDate
+      ? customerPattern.orders.filter(o => extractGregorianDate(o.timestamp) === gregorianDate)
+      : customerPattern.orders;
+
+    return orders.length > 0 ? orders[orders.length - 1] : null;
+  }
+
   getTotalPatterns() {
     return Array.from(this.customerPatterns.values())
       .reduce((sum, p) => sum + p.commonItems.size, 0);
@@ -0,0 +1,507 @@
+// src/standingOrderService.js - Recurring customer orders + daily scheduler
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+const { loadStockCache, getStockCache } = require('./cacheManager');
+const { createOrderTransaction } = require('./orderService');
+const { resolveStockItem } = require('./stockAdjustment');
+const { scheduleDaily } = require('./dailyScheduler');
+const { notifyAdmins } = require('./adminNotifier');
+
+// ============================================================================
+// SHEET LAYOUT: รหัส | ลูกค้า | รายการ | รอบ | สถานะ | เริ่มวันที่ | รันล่าสุด | สร้างเมื่อ
+// ============================================================================
+
+const STANDING_ORDERS_RANGE = 'StandingOrders!A:H';
+
+const STANDING_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  DELETED: 'deleted'
+};
+
+// Sunday = 0, matches Date#getUTCDay
+const THAI_WEEKDAYS = [
+  { day: 0, names: ['อาทิตย์', 'อา'] },
+  { day: 1, names: ['จันทร์', 'จ'] },
+  { day: 2, names: ['อังคาร', 'อ'] },
+  { day: 3, names: ['พุธ', 'พ'] },
+  { day: 4, names: ['พฤหัสบดี', 'พฤหัส', 'พฤ'] },
+  { day: 5, names: ['ศุกร์', 'ศ'] },
+  { day: 6, names: ['เสาร์', 'ส'] }
+];
+
+const WEEKDAY_LABELS = ['อาทิตย์', 'จันทร์', 'อังคาร', 'พุธ', 'พฤหัส', 'ศุกร์', 'เสาร์'];
+
+// ============================================================================
+// SCHEDULE RULES
+// Stored as: "daily" | "weekly:1,3,5" | "every:3"
+// ============================================================================
+
+/**
+ * Split a trailing schedule phrase off a command
+ * "น้ำแข็ง 5 ทุกวัน" → { schedule: 'daily', rest: 'น้ำแข็ง 5' }
+ */
+function parseSchedule(text) {
+  const trimmed = text.trim();
+
+  let match = trimmed.match(/^(.*?)\s*ทุก\s*(\d+)\s*วัน$/);
+  if (match) {
+    const days = parseInt(match[2]);
+    if (days < 1) return { error: 'รอบต้องอย่างน้อย 1 วัน' };
+    return { schedule: days === 1 ? 'daily' : `every:${days}`, rest: match[1] };
+  }
+
+  match = trimmed.match(/^(.*?)\s*ทุกวัน$/);
+  if (match) {
+    return { schedule: 'daily', rest: match[1] };
+  }
+
+  match = trimmed.match(/^(.*?)\s*(จ-ศ|วันธรรมดา)$/);
+  if (match) {
+    return { schedule: 'weekly:1,2,3,4,5', rest: match[1] };
+  }
+
+  // "ทุกจันทร์ พุธ ศุกร์" / "ทุกวันจันทร์,วันพฤหัส"
+  match = trimmed.match(/^(.*?)\s*ทุก\s*((?:วัน)?[ก-๙]+(?:[\s,]+(?:วัน)?[ก-๙]+)*)$/);
+  if (match) {
+    const tokens = match[2].split(/[\s,]+/).map(t => t.replace(/^วัน/, ''));
+    const days = [];
+
+    for (const token of tokens) {
+      const weekday = THAI_WEEKDAYS.find(w => w.names.includes(token));
+      if (!weekday) {
+        return { error: `ไม่รู้จักวัน: "${token}"` };
+      }
+      if (!days.includes(weekday.day)) days.push(weekday.day);
+    }
+
+    return { schedule: `weekly:${days.sort().join(',')}`, rest: match[1] };
+  }
+
+  // No schedule given → every day
+  return { schedule: 'daily', rest: trimmed };
+}
+
+function formatSchedule(schedule) {
+  if (schedule === 'daily') return 'ทุกวัน';
+
+  if (schedule.startsWith('every:')) {
+    return `ทุก ${schedule.split(':')[1]} วัน`;
+  }
+
+  if (schedule.startsWith('weekly:')) {
+    const days = schedule.split(':')[1].split(',').map(d => WEEKDAY_LABELS[parseInt(d)]);
+    return `ทุก ${days.join(' ')}`;
+  }
+
+  return schedule;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * @param {Object} order - standing order
+ * @param {string} date - "YYYY-MM-DD" (Bangkok)
+ */
+function isDue(order, date) {
+  if (order.status !== STANDING_STATUS.ACTIVE) return false;
+  if (order.lastRun === date) return false;
+  if (order.startDate && date < order.startDate) return false;
+
+  const { schedule } = order;
+
+  if (schedule === 'daily') return true;
+
+  if (schedule.startsWith('weekly:')) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return schedule.split(':')[1].split(',').map(Number).includes(weekday);
+  }
+
+  if (schedule.startsWith('every:')) {
+    const interval = parseInt(schedule.split(':')[1]);
+    return daysBetween(order.startDate || date, date) % interval === 0;
+  }
+
+  Logger.warn(`Unknown standing order schedule: ${schedule}`);
+  return false;
+}
+
+// ============================================================================
+// ITEMS: "น้ำแข็ง x5, โค้ก กระป๋อง x2"
+// ============================================================================
+
+function formatItems(items) {
+  return items.map(i => `${i.item} x${i.quantity}`).join(', ');
+}
+
+function parseStoredItems(text) {
+  return (text || '').split(',')
+    .map(part => part.trim().match(/^(.+?)\s*x(\d+)$/))
+    .filter(Boolean)
+    .map(m => ({ item: m[1].trim(), quantity: parseInt(m[2]) }));
+}
+
+/**
+ * Resolve "น้ำแข็ง 5, โค้ก 2" typed by an admin against the stock list
+ */
+function resolveItems(text) {
+  const stockCache = getStockCache();
+  const items = [];
+
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(.+?)\s+(\d+)$/);
+    if (!match) {
+      return { error: `รูปแบบไม่ถูกต้อง: "${part}"\n\n💡 ใช้ "[สินค้า] [จำนวน]" คั่นด้วย ,` };
+    }
+
+    const resolved = resolveStockItem(match[1], stockCache);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+
+    items.push({ item: resolved.stockItem.item, quantity: parseInt(match[2]) });
+  }
+
+  if (items.length === 0) {
+    return { error: 'กรุณาระบุสินค้าอย่างน้อย 1 รายการ' };
+  }
+
+  return { items };
+}
+
+// ============================================================================
+// SHEET ACCESS
+// ============================================================================
+
+async function loadStandingOrders() {
+  const rows = await getSheetData(CONFIG.SHEET_ID, STANDING_ORDERS_RANGE);
+  const orders = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row[0]) continue;
+
+    orders.push({
+      rowIndex: i + 1,
+      id: parseInt(row[0]),
+      customer: row[1] || '',
+      items: parseStoredItems(row[2]),
+      schedule: row[3] || 'daily',
+      status: row[4] || STANDING_STATUS.ACTIVE,
+      startDate: row[5] || '',
+      lastRun: row[6] || ''
+    });
+  }
+
+  return orders;
+}
+
+async function createStandingOrder(customer, items, schedule) {
+  const existing = await loadStandingOrders();
+  const id = existing.reduce((max, o) => Math.max(max, o.id || 0), 0) + 1;
+  const startDate = getThaiDateString();
+
+  await appendSheetData(CONFIG.SHEET_ID, STANDING_ORDERS_RANGE, [[
+    id,
+    customer,
+    formatItems(items),
+    schedule,
+    STANDING_STATUS.ACTIVE,
+    startDate,
+    '',
+    getThaiDateTimeString()
+  ]]);
+
+  Logger.success(`📅 Standing order #${id} created for ${customer} (${schedule})`);
+  return { id, customer, items, schedule, startDate };
+}
+
+async function setStandingOrderStatus(id, status) {
+  const orders = await loadStandingOrders();
+  const order = orders.find(o => o.id === id && o.status !== STANDING_STATUS.DELETED);
+
+  if (!order) {
+    return { success: false, error: `ไม่พบรายการประจำ #${id}` };
+  }
+
+  await updateSheetData(CONFIG.SHEET_ID, `StandingOrders!E${order.rowIndex}`, [[status]]);
+
+  Logger.info(`📅 Standing order #${id} → ${status}`);
+  return { success: true, order: { ...order, status } };
+}
+
+// ============================================================================
+// RUN DUE STANDING ORDERS
+// ============================================================================
+
+/**
+ * Create today's orders for every due standing order
+ * @param {string} date - "YYYY-MM-DD" (defaults to today in Bangkok)
+ */
+async function runStandingOrders(date = getThaiDateString()) {
+  const orders = await loadStandingOrders();
+  const due = orders.filter(o => isDue(o, date));
+
+  const summary = { date, created: [], skipped: [], failed: [] };
+
+  if (due.length === 0) {
+    Logger.info(`📅 No standing orders due on ${date}`);
+    return summary;
+  }
+
+  Logger.info(`📅 Running ${due.length} standing orders for ${date}...`);
+  await loadStockCache(true);
+
+  for (const standing of due) {
+    // Marked as run BEFORE the order is created: a restart can then miss a
+    // day's order (the report says so) but never create it twice. Marked even
+    // when everything is skipped - admins get the report instead.
+    try {
+      await updateSheetData(CONFIG.SHEET_ID, `StandingOrders!G${standing.rowIndex}`, [[date]]);
+    } catch (error) {
+      Logger.error(`Failed to record last run for standing order #${standing.id} - not created`, error);
+      summary.failed.push({ id: standing.id, customer: standing.customer, error: `บันทึกรอบล่าสุดไม่ได้ (${error.message})` });
+      continue;
+    }
+
+    const stockCache = getStockCache();
+    const items = [];
+
+    for (const wanted of standing.items) {
+      const stockItem = stockCache.find(s =>
+        s.item.toLowerCase().trim() === wanted.item.toLowerCase().trim()
+      );
+
+      if (!stockItem) {
+        summary.skipped.push({ id: standing.id, customer: standing.customer, item: wanted.item, reason: 'ไม่มีในสต็อก' });
+        continue;
+      }
+
+      if (stockItem.stock < wanted.quantity) {
+        summary.skipped.push({
+          id: standing.id,
+          customer: standing.customer,
+          item: wanted.item,
+          reason: `สต็อกไม่พอ (มี ${stockItem.stock} ต้องการ ${wanted.quantity})`
+        });
+        continue;
+      }
+
+      items.push({ stockItem, quantity: wanted.quantity });
+    }
+
+    if (items.length > 0) {
+      const result = await createOrderTransaction({
+        customer: standing.customer,
+        items,
+        deliveryPerson: '',
+        paymentStatus: 'unpaid'
+      });
+
+      if (result.success) {
+        summary.created.push({
+          id: standing.id,
+          orderNo: result.orderNo,
+          customer: standing.customer,
+          totalAmount: result.totalAmount,
+          itemCount: items.length
+        });
+      } else {
+        summary.failed.push({ id: standing.id, customer: standing.customer, error: result.error });
+      }
+    }
+  }
+
+  Logger.success(`📅 Standing orders: ${summary.created.length} created, ${summary.skipped.length} items skipped, ${summary.failed.length} failed`);
+  return summary;
+}
+
+function formatRunSummary(summary) {
+  let msg = `📅 ออเดอร์ประจำ ${summary.date}\n${'='.repeat(30)}\n\n`;
+
+  if (summary.created.length === 0 && summary.skipped.length === 0 && summary.failed.length === 0) {
+    return msg + 'ไม่มีรายการประจำที่ต้องสร้างวันนี้';
+  }
+
+  if (summary.created.length > 0) {
+    msg += `✅ สร้างแล้ว ${summary.created.length} ออเดอร์:\n`;
+    summary.created.forEach(c => {
+      msg += `• #${c.orderNo} ${c.customer} - ${c.totalAmount.toLocaleString()}฿ (ประจำ #${c.id})\n`;
+    });
+    msg += `\n`;
+  }
+
+  if (summary.skipped.length > 0) {
+    msg += `⚠️ ข้ามสินค้า ${summary.skipped.length} รายการ:\n`;
+    summary.skipped.forEach(s => {
+      msg += `• ${s.customer}: ${s.item} - ${s.reason}\n`;
+    });
+    msg += `\n`;
+  }
+
+  if (summary.failed.length > 0) {
+    msg += `❌ สร้างไม่สำเร็จ ${summary.failed.length} รายการ:\n`;
+    summary.failed.forEach(f => {
+      msg += `• ${f.customer} (ประจำ #${f.id}): ${f.error}\n`;
+    });
+  }
+
+  return msg.trim();
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Run once per day at or after STANDING_ORDER_TIME. Per-order "last run"
+ * in the sheet prevents duplicates across restarts.
+ */
+function scheduleStandingOrders() {
+  scheduleDaily(CONFIG.STANDING_ORDER_TIME, async today => {
+    Logger.info('⏰ Running scheduled standing orders...');
+    const summary = await runStandingOrders(today);
+
+    if (summary.created.length > 0 || summary.skipped.length > 0 || summary.failed.length > 0) {
+      await notifyAdmins(formatRunSummary(summary));
+    }
+  }, {
+    label: 'Standing order',
+    // Retried every minute until it works - admins hear about it once a day
+    onFailure: error => notifyAdmins(`❌ สร้างออเดอร์ประจำไม่สำเร็จ (จะลองใหม่อัตโนมัติ)\n\nError: ${error.message}`)
+  });
+}
+
+// ============================================================================
+// CHAT COMMANDS
+// ============================================================================
+
+/**
+ * "ประจำ" family of admin commands
+ * @returns {Promise<Object|null>} { success, message } or null if not a standing order command
+ */
+async function handleStandingOrderCommand(text) {
+  const trimmed = text.trim();
+
+  if (!/^(ประจำ|รายการประจำ)(\s|$)/.test(trimmed)) {
+    return null;
+  }
+
+  try {
+    if (trimmed === 'ประจำ' || trimmed === 'รายการประจำ') {
+      return { success: true, message: await formatStandingOrderList() };
+    }
+
+    const statusMatch = trimmed.match(/^ประจำ\s+(หยุด|พัก|เริ่ม|เปิด|ลบ)\s+#?(\d+)$/);
+    if (statusMatch) {
+      const status = {
+        'หยุด': STANDING_STATUS.PAUSED,
+        'พัก': STANDING_STATUS.PAUSED,
+        'เริ่ม': STANDING_STATUS.ACTIVE,
+        'เปิด': STANDING_STATUS.ACTIVE,
+        'ลบ': STANDING_STATUS.DELETED
+      }[statusMatch[1]];
+
+      const result = await setStandingOrderStatus(parseInt(statusMatch[2]), status);
+      if (!result.success) {
+        return { success: false, message: `❌ ${result.error}` };
+      }
+
+      const label = {
+        [STANDING_STATUS.PAUSED]: '⏸️ พักรายการประจำแล้ว',
+        [STANDING_STATUS.ACTIVE]: '▶️ เปิดรายการประจำแล้ว',
+        [STANDING_STATUS.DELETED]: '🗑️ ลบรายการประจำแล้ว'
+      }[status];
+
+      return {
+        success: true,
+        message: `${label}\n\n📅 #${result.order.id} ${result.order.customer}\n📦 ${formatItems(result.order.items)}`
+      };
+    }
+
+    if (/^ประจำ\s+รัน$/.test(trimmed)) {
+      const summary = await runStandingOrders();
+      return { success: true, message: formatRunSummary(summary) };
+    }
+
+    const createMatch = trimmed.match(/^ประจำ\s+(\S+)\s+(.+)$/);
+    if (createMatch) {
+      const parsed = parseSchedule(createMatch[2]);
+      if (parsed.error) {
+        return { success: false, message: `❌ ${parsed.error}` };
+      }
+
+      const resolved = resolveItems(parsed.rest);
+      if (resolved.error) {
+        return { success: false, message: `❌ ${resolved.error}` };
+      }
+
+      const created = await createStandingOrder(createMatch[1], resolved.items, parsed.schedule);
+
+      return {
+        success: true,
+        message: `✅ สร้างรายการประจำ #${created.id}\n\n` +
+          `👤 ${created.customer}\n` +
+          `📦 ${formatItems(created.items)}\n` +
+          `🔁 ${formatSchedule(created.schedule)} เวลา ${CONFIG.STANDING_ORDER_TIME}\n\n` +
+          `💡 "ประจำ หยุด #${created.id}" เพื่อพัก`
+      };
+    }
+
+    return { success: false, message: getStandingOrderHelp() };
+
+  } catch (error) {
+    Logger.error('Standing order command failed', error);
+    return { success: false, message: '❌ ไม่สามารถจัดการรายการประจำได้' };
+  }
+}
+
+async function formatStandingOrderList() {
+  const orders = (await loadStandingOrders()).filter(o => o.status !== STANDING_STATUS.DELETED);
+
+  if (orders.length === 0) {
+    return `📅 ยังไม่มีรายการประจำ\n\n${getStandingOrderHelp()}`;
+  }
+
+  let msg = `📅 รายการประจำ (${orders.length})\n${'='.repeat(30)}\n\n`;
+
+  orders.forEach(o => {
+    const icon = o.status === STANDING_STATUS.ACTIVE ? '▶️' : '⏸️';
+    msg += `${icon} #${o.id} ${o.customer}\n`;
+    msg += `   📦 ${formatItems(o.items)}\n`;
+    msg += `   🔁 ${formatSchedule(o.schedule)}`;
+    if (o.lastRun) msg += ` │ ล่าสุด ${o.lastRun}`;
+    msg += `\n\n`;
+  });
+
+  msg += `⏰ สร้างออเดอร์อัตโนมัติเวลา ${CONFIG.STANDING_ORDER_TIME}`;
+  return msg;
+}
+
+function getStandingOrderHelp() {
+  return `💡 คำสั่งรายการประจำ:\n` +
+    `• "ประจำ เจ๊แอน น้ำแข็ง 5, โค้ก 2 ทุกวัน"\n` +
+    `• "ประจำ เจ๊แอน น้ำแข็ง 5 ทุกจันทร์ พุธ ศุกร์"\n` +
+    `• "ประจำ เจ๊แอน น้ำแข็ง 5 ทุก 3 วัน"\n` +
+    `• "ประจำ" - ดูทั้งหมด\n` +
+    `• "ประจำ หยุด #1" / "ประจำ เริ่ม #1" / "ประจำ ลบ #1"\n` +
+    `• "ประจำ รัน" - สร้างออเดอร์ที่ถึงกำหนดตอนนี้`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  handleStandingOrderCommand,
+  runStandingOrders,
+  scheduleStandingOrders,
+  formatRunSummary,
+  parseSchedule,
+  isDue,
+  STANDING_STATUS
+};
@@ -1,9 +1,13 @@
 // src/stockAdjustment.js - FIXED: ลดความสับสน + แม่นยำขึ้น
 const { CONFIG } = require('./config');
 const { Logger } = require('./logger');
-const { getThaiDateTimeString, normalizeText } = require('./utils');
+const { getThaiDateTimeString, normalizeText, formatDateForDisplay } = require('./utils');
 const { getSheetData, updateSheetData, appendSheetData } = require('./googleServices');
 const { getStockCache, loadStockCache } = require('./cacheManager');
+const { getConversionFactor } = require('./unitConversion');
+const { loadLocations, readLocationStock, getLocationBreakdown } = require('./locationService');
+const { receiveLot, reconcileLots } = require('./lotService');
+const { getReorderLevels, checkReorderPoints } = require('./stockAlertService');
 
 // ============================================================================
 // ENHANCED: Extract Keywords แม่นยำขึ้น
@@ -171,9 +175,10 @@ async function parseAdjustmentCommand(text) {
         ambiguous: true,
         suggestions: matches.slice(0, 5).map(m => m.item),
         value: value,
+        unit: unitHint,
         operation: operation,
         productName: productName,
-        helpMessage: formatAmbiguityHelp(matches.slice(0, 5), operation, value)
+        helpMessage: formatAmbiguityHelp(matches.slice(0, 5), operation, value, unitHint)
       };
     }
   }
@@ -184,6 +189,7 @@ async function parseAdjustmentCommand(text) {
     item: matches[0].item.item,
     stockItem: matches[0].item,
     value: value,
+    unit: unitHint,
     operation: operation,
     priceHint: priceHint,
     originalText: text,
@@ -195,13 +201,14 @@ async function parseAdjustmentCommand(text) {
 // ✅ NEW: Format Ambiguity Help Message
 // ============================================================================
 
-function formatAmbiguityHelp(matches, operation, value) {
+function formatAmbiguityHelp(matches, operation, value, unit = null) {
   const operationText = {
     'add': 'เติม',
     'subtract': 'ลด',
     'set': 'มี'
   }[operation] || 'มี';
   
+  const valueText = unit ? `${value} ${unit}` : value;
   let msg = `🤔 พบสินค้าหลายรายการ กรุณาระบุให้ชัดเจน\n\n`;
   
   matches.forEach((match, idx) => {
@@ -211,7 +218,7 @@ function formatAmbiguityHelp(matches, operation, value) {
     
     // ✅ Show exact command to use
     if (idx === 0) {
-      msg += `   ✅ พิมพ์: "${operationText} ${item.item} ${value}"\n`;
+      msg += `   ✅ พิมพ์: "${operationText} ${item.item} ${valueText}"\n`;
     }
     
     msg += `\n`;
@@ -220,11 +227,12 @@ function formatAmbiguityHelp(matches, operation, value) {
   msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
   msg += `💡 วิธีระบุให้แม่นยำ:\n\n`;
   msg += `1️⃣ ใช้ชื่อเต็ม:\n`;
-  msg += `   "${operationText} ${matches[0].item.item} ${value}"\n\n`;
+  msg += `   "${operationText} ${matches[0].item.item} ${valueText}"\n\n`;
   msg += `2️⃣ ระบุราคา:\n`;
-  msg += `   "${operationText} ${matches[0].item.item.split(' ')[0]} ${matches[0].item.price} ${value}"\n\n`;
+  msg += `   "${operationText} ${matches[0].item.item.split(' ')[0]} ${matches[0].item.price} ${valueText}"\n\n`;
   msg += `3️⃣ ระบุหน่วย:\n`;
-  msg += `   "${operationText} ${matches[0].item.item.split(' ')[0]} ${value} ${matches[0].item.unit}"`;
+  msg += `   "${operationText} ${matches[0].item.item.split(' ')[0]} ${value} ${matches[0].item.unit}"\n\n`;
+  msg += `💬 หรือตอบเลข 1-${matches.length} / ชื่อบางส่วน เพื่อเลือกได้เลย`;
   
   return msg;
 }
@@ -233,7 +241,17 @@ function formatAmbiguityHelp(matches, operation, value) {
 // ADJUST STOCK - ✅ IMPROVED: Better success messages
 // ============================================================================
 
-async function adjustStock(itemName, value, operation = 'set', reason = 'manual') {
+/**
+ * @param {string|null} unit - unit the value was typed in; ลัง/แพ็ค with a
+ *   conversion on the product are counted into base units, anything else
+ *   is taken as the base unit
+ * @param {Object|null} lot - { expiry, lotNo } of received stock ('add' only)
+ */
+async function adjustStock(itemName, typedValue, operation = 'set', reason = 'manual', unit = null, lot = null) {
+  // Lazy: orderService loads modules that load this one
+  const { stockLock, StockTransactionLock } = require('./orderService');
+  let lockKey = null;
+  
   try {
     const stockCache = getStockCache();
     const item = stockCache.find(i => i.item === itemName);
@@ -245,75 +263,125 @@ async function adjustStock(itemName, value, operation = 'set', reason = 'manual'
       };
     }
     
-    const oldStock = item.stock;
+    const factor = (unit && getConversionFactor(item, unit)) || 1;
+    const value = typedValue * factor;
+    const valueText = factor !== 1 ? `${typedValue} ${unit} (${value} ${item.unit})` : value;
+    
+    // Same lock as orders - the stock cell and the Lots sheet change together
+    lockKey = StockTransactionLock.generateKey(item.item, item.unit);
+    await stockLock.acquireLock(lockKey);
+    
+    // Fresh read under the lock - the cache may be behind a sale
+    const rows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:E');
+    const index = rows.findIndex((r, i) => i > 0 && r[0] === item.item);
+    
+    if (index === -1) {
+      return { success: false, error: '❌ Database Error' };
+    }
+    
+    const rowIndex = index + 1;
+    const oldStock = parseInt(rows[index][4] || 0);
     let newStock;
     
+    // Adjustments count the shop; stock out on trucks / in the cold room
+    // is moved with "ย้าย" and stays part of the total
+    await loadLocations();
+    const locationEntries = await readLocationStock();
+    const [shop, ...elsewhere] = getLocationBreakdown(item.item, oldStock, locationEntries);
+    const elsewhereTotal = elsewhere.reduce((sum, l) => sum + l.quantity, 0);
+    
     switch (operation) {
       case 'add': 
         newStock = oldStock + value;
         break;
       case 'subtract': 
         newStock = oldStock - value;
-        if (newStock < 0) {
+        if (value > shop.quantity) {
+          const where = elsewhere.length > 0 ? ` (${shop.location})` : '';
           return { 
             success: false, 
-            error: `❌ ลดไม่ได้ สต็อกไม่พอ\n\n📊 มีอยู่: ${oldStock} ${item.unit}\n📉 ต้องการลด: ${value} ${item.unit}\n\n💡 ขาดไป ${Math.abs(newStock)} ${item.unit}`
+            error: `❌ ลดไม่ได้ สต็อกไม่พอ\n\n📊 มีอยู่${where}: ${shop.quantity} ${item.unit}\n📉 ต้องการลด: ${value} ${item.unit}\n\n💡 ขาดไป ${value - shop.quantity} ${item.unit}`
           };
         }
         break;
       case 'set': 
-        newStock = value;
+        newStock = value + elsewhereTotal;
         break;
       default:
         return { success: false, error: '❌ operation ไม่ถูกต้อง' };
     }
     
-    // Update Sheet
-    const rows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:G');
-    let rowIndex = -1;
+    await updateSheetData(CONFIG.SHEET_ID, `สต็อก!E${rowIndex}`, [[newStock]]);
+    await logVariance(item.item, oldStock, newStock, newStock - oldStock, reason, operation);
     
-    for (let i = 1; i < rows.length; i++) {
-      if (rows[i][0] === item.item) {
-        rowIndex = i + 1;
-        break;
-      }
+    // Stock received with an expiry becomes a lot; a lower count trims the lots
+    let receivedLot = null;
+    if (operation === 'add' && lot) {
+      receivedLot = await receiveLot({ product: item.item, quantity: value, expiry: lot.expiry, lotNo: lot.lotNo, source: reason });
+    } else if (newStock < oldStock) {
+      await reconcileLots(item.item, newStock);
     }
     
-    if (rowIndex !== -1) {
-      await updateSheetData(CONFIG.SHEET_ID, `สต็อก!E${rowIndex}`, [[newStock]]);
-      await logVariance(item.item, oldStock, newStock, newStock - oldStock, reason, operation);
-      await loadStockCache(true);
-      
-      // ✅ IMPROVED: Better success message with warnings
-      let successMsg = formatStockAdjustmentSuccess({
-        item: item.item,
-        price: item.price,
-        oldStock,
-        newStock,
-        difference: newStock - oldStock,
-        unit: item.unit,
-        operation: operation,
-        operationText: getOperationText(operation, value)
-      });
-      
-      return {
-        success: true,
-        item: item.item,
-        price: item.price,
-        oldStock,
-        newStock,
-        difference: newStock - oldStock,
-        unit: item.unit,
-        operationText: getOperationText(operation, value),
-        message: successMsg
-      };
+    await loadStockCache(true);
+    
+    stockLock.releaseLock(lockKey);
+    lockKey = null;
+    
+    checkReorderPoints([{ product: item.item, before: oldStock, after: newStock }], 'ปรับสต็อก');
+    
+    // ✅ IMPROVED: Better success message with warnings
+    let successMsg = formatStockAdjustmentSuccess({
+      item: item.item,
+      price: item.price,
+      oldStock,
+      newStock,
+      difference: newStock - oldStock,
+      reorderPoint: getReorderLevels(item).reorderPoint,
+      unit: item.unit,
+      operation: operation,
+      operationText: getOperationText(operation, valueText)
+    });
+    
+    if (receivedLot) {
+      successMsg += `\n🏷️ ล็อต ${receivedLot.lotNo ? `${receivedLot.lotNo} (${receivedLot.id})` : receivedLot.id}` +
+        (receivedLot.expiry ? ` หมดอายุ ${formatDateForDisplay(receivedLot.expiry)}` : '');
+    }
+    
+    if (elsewhere.length > 0) {
+      successMsg += `\n📍 ${getLocationBreakdown(item.item, newStock, locationEntries).map(l => `${l.location} ${l.quantity}`).join(' │ ')}`;
     }
     
-    return { success: false, error: '❌ Database Error' };
+    // Restock → serve waiting backorders, outside the lock - filling them takes it again
+    // (lazy require: backorderService loads orderService)
+    let backorderMessage = '';
+    if (operation === 'add') {
+      const { handleRestock } = require('./backorderService');
+      backorderMessage = await handleRestock(item.item);
+      if (backorderMessage) {
+        successMsg += `\n\n━━━━━━━━━━━━━━━━━━━━\n${backorderMessage}`;
+      }
+    }
+    
+    return {
+      success: true,
+      item: item.item,
+      price: item.price,
+      oldStock,
+      newStock,
+      difference: newStock - oldStock,
+      unit: item.unit,
+      operationText: getOperationText(operation, valueText),
+      backorderMessage,
+      lot: receivedLot,
+      message: successMsg
+    };
     
   } catch (error) {
     Logger.error('adjustStock failed', error);
     return { success: false, error: `❌ เกิดข้อผิดพลาด: ${error.message}` };
+    
+  } finally {
+    if (lockKey) stockLock.releaseLock(lockKey);
   }
 }
 
@@ -339,8 +407,8 @@ function formatStockAdjustmentSuccess(result) {
   // ✅ Smart warnings
   if (result.newStock === 0) {
     msg += `\n🔴 ⚠️ หมดสต็อก! ควรเติมโดยด่วน`;
-  } else if (result.newStock <= 5) {
-    msg += `\n🟡 ⚠️ สต็อกเหลือน้อย (${result.newStock} ${result.unit})`;
+  } else if (result.newStock <= result.reorderPoint) {
+    msg += `\n🟡 ⚠️ ถึงจุดสั่งซื้อแล้ว (${result.newStock}/${result.reorderPoint} ${result.unit})`;
   } else if (result.newStock > 200) {
     msg += `\n💡 สต็อกเยอะมาก (${result.newStock} ${result.unit})`;
   }
@@ -375,6 +443,11 @@ function getOperationText(op, val) {
 
 
 
+// "เติม น้ำดื่ม 2 ลัง" should still find a product counted in ขวด
+function hasUnitConversion(item, unit) {
+  return Boolean((item.unitConversions || {})[unit]);
+}
+
 function fuzzyMatchStock(searchTerm, stockCache, priceHint = null, unitHint = null) {
   const normalized = normalizeText(searchTerm);
   const keywords = extractStockKeywords(searchTerm);
@@ -409,7 +482,7 @@ function fuzzyMatchStock(searchTerm, stockCache, priceHint = null, unitHint = nu
       const itemUnit = normalizeText(item.unit || '');
       const itemName = normalizeText(item.item);
       
-      return itemUnit.includes(unitHint) || itemName.includes(unitHint);
+      return itemUnit.includes(unitHint) || itemName.includes(unitHint) || hasUnitConversion(item, unitHint);
     });
     
     if (unitMatched.length > 0) {
@@ -446,7 +519,7 @@ function fuzzyMatchStock(searchTerm, stockCache, priceHint = null, unitHint = nu
     
     if (unitHint) {
       const itemUnit = normalizeText(item.unit || '');
-      if (itemUnit.includes(unitHint)) {
+      if (itemUnit.includes(unitHint) || hasUnitConversion(item, unitHint)) {
         score += 150;
       }
     }
@@ -466,6 +539,27 @@ function fuzzyMatchStock(searchTerm, stockCache, priceHint = null, unitHint = nu
   return matches;
 }
 
+/**
+ * One product for a typed name, for commands that can't ask back
+ * @returns {Object} { stockItem } or { error } (not found / several close matches)
+ */
+function resolveStockItem(text, stockCache = getStockCache()) {
+  const matches = fuzzyMatchStock(text, stockCache);
+
+  if (matches.length === 0) {
+    return { error: `ไม่พบสินค้า: "${text}"` };
+  }
+
+  if (matches.length > 1 &&
+      matches[0].score - matches[1].score < 100 &&
+      matches[0].item.item !== matches[1].item.item) {
+    const options = matches.slice(0, 5).map(m => `• ${m.item.item}`).join('\n');
+    return { error: `"${text}" ตรงกับหลายรายการ กรุณาระบุชื่อเต็ม:\n${options}` };
+  }
+
+  return { stockItem: matches[0].item };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -473,7 +567,9 @@ function fuzzyMatchStock(searchTerm, stockCache, priceHint = null, unitHint = nu
 module.exports = {
   parseAdjustmentCommand,
   adjustStock,
+  logVariance,
   fuzzyMatchStock,
+  resolveStockItem,
   extractStockKeywords,
   formatAmbiguityHelp
 };
\ No newline at end of file
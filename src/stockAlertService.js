@@ -0,0 +1,157 @@
+// src/stockAlertService.js - Per-product reorder points and low-stock pushes
+const { Logger } = require('./logger');
+const { STOCK } = require('./comstant');
+const { getStockCache } = require('./cacheManager');
+const { notifyAdmins } = require('./adminNotifier');
+
+// ============================================================================
+// REORDER LEVELS
+// สต็อก J (จุดสั่งซื้อ) and K (ระดับเป้าหมาย), per product. An empty จุดสั่งซื้อ
+// is STOCK.LOW_STOCK_THRESHOLD; an empty target is the larger of
+// STOCK.MEDIUM_STOCK_THRESHOLD and twice the point. Both are in the stock
+// unit and compared against the total across locations.
+// ============================================================================
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+/**
+ * @returns {Object} { reorderPoint, targetLevel }
+ */
+function getReorderLevels(stockItem) {
+  const reorderPoint = stockItem && stockItem.reorderPoint !== null && stockItem.reorderPoint !== undefined
+    ? stockItem.reorderPoint
+    : STOCK.LOW_STOCK_THRESHOLD;
+  const targetLevel = stockItem && stockItem.targetLevel
+    ? stockItem.targetLevel
+    : Math.max(STOCK.MEDIUM_STOCK_THRESHOLD, reorderPoint * 2);
+
+  return { reorderPoint, targetLevel };
+}
+
+/**
+ * 'out' (nothing left) / 'reorder' (at or below the reorder point) /
+ * 'low' (within twice the reorder point) / 'ok'
+ */
+function getStockStatus(stockItem, stock) {
+  const { reorderPoint } = getReorderLevels(stockItem);
+
+  if (stock <= 0) return 'out';
+  if (stock <= reorderPoint) return 'reorder';
+  if (stock <= reorderPoint * 2) return 'low';
+  return 'ok';
+}
+
+const STATUS_ICONS = { out: '🔴', reorder: '🔴', low: '🟡', ok: '✅' };
+const STATUS_RANK = { ok: 0, low: 1, reorder: 2, out: 3 };
+
+function getStockIcon(stockItem, stock) {
+  return STATUS_ICONS[getStockStatus(stockItem, stock)];
+}
+
+/**
+ * Icon for several products at once (bundle components) - the lowest wins
+ * @param {Array} items - [{ stockItem, stock }]
+ */
+function getWorstStockIcon(items) {
+  const worst = items
+    .map(({ stockItem, stock }) => getStockStatus(stockItem, stock))
+    .reduce((a, b) => (STATUS_RANK[b] > STATUS_RANK[a] ? b : a), 'ok');
+
+  return STATUS_ICONS[worst];
+}
+
+/**
+ * Restock that brings the product back to its target level
+ */
+function getSuggestedRestock(stockItem, stock) {
+  const { targetLevel } = getReorderLevels(stockItem);
+  return Math.max(0, targetLevel - Math.max(stock, 0));
+}
+
+// ============================================================================
+// CROSSING ALERTS
+// Pushed when a change takes stock from above the reorder point to at or
+// below it - one push per crossing, however many orders follow. Stock that
+// comes back above the point arms the alert again.
+// ============================================================================
+
+function findStockItem(name) {
+  return getStockCache().find(s => normalizeName(s.item) === normalizeName(name)) || null;
+}
+
+/**
+ * @param {Array} changes - [{ product, before, after }]
+ * @returns {Array} crossings that were pushed
+ */
+function findCrossings(changes) {
+  const crossings = [];
+
+  for (const { product, before, after } of changes) {
+    const stockItem = findStockItem(product);
+    if (!stockItem) continue;
+
+    const { reorderPoint, targetLevel } = getReorderLevels(stockItem);
+    if (before > reorderPoint && after <= reorderPoint) {
+      crossings.push({
+        product: stockItem.item,
+        unit: stockItem.unit,
+        stock: after,
+        reorderPoint,
+        targetLevel,
+        suggested: getSuggestedRestock(stockItem, after),
+        cost: stockItem.cost || 0
+      });
+    }
+  }
+
+  return crossings;
+}
+
+function formatReorderAlert(crossings, source) {
+  let msg = `📉 ถึงจุดสั่งซื้อแล้ว${source ? ` (${source})` : ''}\n\n`;
+
+  crossings.forEach(c => {
+    msg += `${c.stock <= 0 ? '🔴' : '🟡'} ${c.product}: เหลือ ${c.stock} ${c.unit} (จุดสั่งซื้อ ${c.reorderPoint})\n`;
+    msg += `   ✅ แนะนำเติม ${c.suggested} ${c.unit} → ${c.targetLevel} ${c.unit}` +
+      `${c.cost > 0 ? ` (≈${(c.suggested * c.cost).toLocaleString()}฿)` : ''}\n`;
+  });
+
+  msg += `\n💡 "po [ผู้ขาย] [สินค้า] [จำนวน]" - สร้างใบสั่งซื้อ`;
+  return msg;
+}
+
+/**
+ * Push the products a change took below their reorder point. Call after
+ * the stock cache is reloaded; failures are logged, never thrown.
+ * @param {string} source - what moved the stock ("ออเดอร์ #12", "ของเสีย")
+ */
+async function checkReorderPoints(changes, source = '') {
+  try {
+    const crossings = findCrossings(changes);
+    if (crossings.length === 0) return [];
+
+    Logger.info(`📉 Reorder point crossed: ${crossings.map(c => `${c.product} (${c.stock})`).join(', ')}`);
+    await notifyAdmins(formatReorderAlert(crossings, source));
+    return crossings;
+
+  } catch (error) {
+    Logger.error('Reorder point check failed', error);
+    return [];
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  getReorderLevels,
+  getStockStatus,
+  getStockIcon,
+  getWorstStockIcon,
+  getSuggestedRestock,
+  findCrossings,
+  checkReorderPoints
+};
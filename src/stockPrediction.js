@@ -2,67 +2,104 @@
 const { CONFIG } = require('./config');
 const { Logger } = require('./logger');
 const { getSheetData } = require('./googleServices');
-const { getStockCache } = require('./cacheManager');
+const { getThaiDateString, extractGregorianDate, formatDateForDisplay } = require('./utils');
+const { getStockCache, loadStockCache } = require('./cacheManager');
+const { getRowBaseQuantity } = require('./unitConversion');
+const { loadBundles, findBundle } = require('./bundleService');
+const { isSoldLine } = require('./profitService');
+const { fuzzyMatchStock } = require('./stockAdjustment');
+const { scheduleDaily } = require('./dailyScheduler');
+const { getStockStatus } = require('./stockAlertService');
+const { notifyAdmins } = require('./adminNotifier');
+const {
+  buildDailySeries,
+  fitDemandModel,
+  projectDemand,
+  daysOfCover,
+  fromDayNumber,
+  toDayNumber
+} = require('./demandForecast');
 
 class StockPredictor {
   constructor() {
     this.salesHistory = new Map(); // SKU -> daily sales
     this.lastAnalysis = 0;
     this.ANALYSIS_INTERVAL = 24 * 60 * 60 * 1000; // Daily
+    this.REORDER_COVER_DAYS = 14; // Reorders cover 2 weeks of sales
+    this.FORECAST_DAYS = 7;
+    this.SAFETY_FACTOR = 1.65; // Safety stock = 1.65 × forecast error (~95% cover)
   }
 
   // ========================================================================
-  // ANALYZE SALES VELOCITY (Last 30 days)
+  // ANALYZE SALES VELOCITY (Last 30 days) + DEMAND FORECAST (full history)
   // ========================================================================
   
   async analyzeSalesVelocity() {
     try {
       Logger.info('📊 Analyzing sales velocity...');
       
-      const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:I');
+      const orderRows = await getSheetData(CONFIG.SHEET_ID, 'คำสั่งซื้อ!A:K');
       const stockCache = getStockCache();
+      const stockByName = new Map(stockCache.map(s => [s.item.toLowerCase().trim(), s]));
+      await loadBundles();
       
-      // Get last 30 days
+      // Velocity covers the last 30 days; the forecast uses every day up to
+      // yesterday (today isn't over yet) and projects from today
+      const today = getThaiDateString();
+      const yesterday = fromDayNumber(toDayNumber(today) - 1);
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - 30);
       
       const salesByProduct = new Map();
-      const salesByDay = new Map();
+      const history = [];
       
       for (let i = 1; i < orderRows.length; i++) {
-        const dateStr = orderRows[i][1];
         const product = orderRows[i][3];
-        const quantity = parseInt(orderRows[i][4] || 0);
+        const date = extractGregorianDate(orderRows[i][1]);
         
-        // Parse date
-        let orderDate;
-        try {
-          const parts = dateStr.split(/[\s\/]/);
-          if (parts.length >= 3) {
-            orderDate = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-          }
-        } catch (e) {
-          continue;
-        }
+        // Cancelled and still-waiting lines were never sold
+        if (!date || !product || !isSoldLine(orderRows[i])) continue;
+        
+        const orderDate = new Date(date);
+        
+        // Velocity is in the stock unit, whatever the line was ordered in;
+        // a bundle line counts as sales of each component
+        const stockItem = stockByName.get((product || '').toLowerCase().trim());
+        const bundle = !stockItem && findBundle(product, true);
+        const sales = bundle
+          ? bundle.components.map(c => ({ name: c.item, quantity: c.quantity * parseInt(orderRows[i][4] || 0) }))
+          : [{ name: product, quantity: getRowBaseQuantity(orderRows[i], stockItem) }];
+        
+        sales.forEach(({ name, quantity }) => history.push({ product: name, date, quantity }));
         
         if (orderDate < cutoffDate) continue;
         
         // Track sales
-        if (!salesByProduct.has(product)) {
-          salesByProduct.set(product, {
-            name: product,
-            totalSold: 0,
-            orderCount: 0,
-            dailySales: []
-          });
+        for (const { name, quantity } of sales) {
+          if (!salesByProduct.has(name)) {
+            salesByProduct.set(name, {
+              name,
+              totalSold: 0,
+              orderCount: 0,
+              dailySales: []
+            });
+          }
+          
+          const data = salesByProduct.get(name);
+          data.totalSold += quantity;
+          data.orderCount++;
+          data.dailySales.push({ date: orderDate, quantity });
         }
-        
-        const data = salesByProduct.get(product);
-        data.totalSold += quantity;
-        data.orderCount++;
-        data.dailySales.push({ date: orderDate, quantity });
       }
       
+      // Products only sold before the 30-day window still get a forecast
+      const series = buildDailySeries(history, yesterday);
+      series.forEach((_, name) => {
+        if (!salesByProduct.has(name)) {
+          salesByProduct.set(name, { name, totalSold: 0, orderCount: 0, dailySales: [] });
+        }
+      });
+      
       // Calculate velocity
       salesByProduct.forEach((data, product) => {
         const avgDailySales = data.totalSold / 30;
@@ -75,10 +112,15 @@ class StockPredictor {
           data.currentStock = stockItem.stock;
           data.avgDailySales = avgDailySales;
           data.orderFrequency = orderFrequency;
-          data.daysUntilStockout = avgDailySales > 0 
-            ? Math.floor(stockItem.stock / avgDailySales) 
-            : 999;
           data.velocity = this.calculateVelocity(avgDailySales, stockItem.stock);
+          
+          // Stockout timing follows the weekday-aware forecast, not the flat average
+          data.model = series.has(product) ? fitDemandModel(series.get(product)) : null;
+          data.forecast = data.model ? projectDemand(data.model, this.FORECAST_DAYS) : null;
+          data.forecastDailySales = data.forecast ? data.forecast.total / this.FORECAST_DAYS : 0;
+          data.daysUntilStockout = data.model
+            ? daysOfCover(data.model, stockItem.stock)
+            : 999;
         }
       });
       
@@ -121,7 +163,7 @@ class StockPredictor {
     const recommendations = [];
     
     velocity.forEach((data, product) => {
-      const { currentStock, avgDailySales, daysUntilStockout, velocity } = data;
+      const { currentStock, avgDailySales, forecastDailySales, daysUntilStockout, velocity } = data;
       
       // Reorder point logic
       let shouldReorder = false;
@@ -132,27 +174,29 @@ class StockPredictor {
       if (daysUntilStockout <= 3) {
         shouldReorder = true;
         urgency = 'critical';
-        recommendedQuantity = Math.ceil(avgDailySales * 14); // 2 weeks supply
+        recommendedQuantity = this.suggestReorderQuantity(data);
       }
       // Warning: < 7 days
       else if (daysUntilStockout <= 7) {
         shouldReorder = true;
         urgency = 'high';
-        recommendedQuantity = Math.ceil(avgDailySales * 14);
+        recommendedQuantity = this.suggestReorderQuantity(data);
       }
       // Low stock for fast movers
-      else if (velocity === 'fast' && currentStock < avgDailySales * 10) {
+      else if (velocity === 'fast' && currentStock < forecastDailySales * 10) {
         shouldReorder = true;
         urgency = 'medium';
-        recommendedQuantity = Math.ceil(avgDailySales * 21); // 3 weeks
+        recommendedQuantity = this.suggestReorderQuantity(data, 21); // 3 weeks
       }
       
-      if (shouldReorder) {
+      if (shouldReorder && recommendedQuantity > 0) {
         recommendations.push({
           product,
           currentStock,
           daysUntilStockout,
           avgDailySales: avgDailySales.toFixed(1),
+          forecast7: Math.round(data.forecast.total),
+          forecastError: Math.round(data.forecast.error),
           velocity,
           urgency,
           recommendedQuantity,
@@ -170,6 +214,66 @@ class StockPredictor {
     return recommendations;
   }
 
+  /**
+   * Forecast demand over `coverDays` plus safety stock for the forecast
+   * error, less what's on hand
+   */
+  suggestReorderQuantity(data, coverDays = this.REORDER_COVER_DAYS) {
+    if (!data.model) return 0;
+    
+    const { total, error } = projectDemand(data.model, coverDays);
+    return Math.max(0, Math.ceil(total + this.SAFETY_FACTOR * error - data.currentStock));
+  }
+
+  // ========================================================================
+  // STOCKOUT RISKS (daily push)
+  // ========================================================================
+  
+  /**
+   * Products that sell out in fewer than `days` days, soonest first
+   */
+  async findStockoutRisks(days = CONFIG.STOCKOUT_ALERT_DAYS) {
+    const velocity = await this.analyzeSalesVelocity();
+    const stockCache = getStockCache();
+    const risks = [];
+    
+    velocity.forEach((data, product) => {
+      if (data.currentStock === undefined || !data.forecastDailySales) return;
+      if (data.daysUntilStockout >= days) return;
+      
+      const stockItem = stockCache.find(s => s.item === product);
+      const recommendedQuantity = this.suggestReorderQuantity(data);
+      
+      risks.push({
+        product,
+        unit: stockItem ? stockItem.unit : '',
+        currentStock: data.currentStock,
+        daysUntilStockout: data.daysUntilStockout,
+        forecastDailySales: data.forecastDailySales.toFixed(1),
+        recommendedQuantity,
+        estimatedCost: this.estimateCost(product, recommendedQuantity)
+      });
+    });
+    
+    return risks.sort((a, b) => a.daysUntilStockout - b.daysUntilStockout);
+  }
+  
+  formatStockoutAlert(risks, days = CONFIG.STOCKOUT_ALERT_DAYS) {
+    let msg = `⏰ สินค้าใกล้หมด (พอขายไม่ถึง ${days} วัน)\n\n`;
+    
+    risks.forEach(r => {
+      const icon = r.currentStock <= 0 || r.daysUntilStockout === 0 ? '🔴' : '🟡';
+      msg += `${icon} ${r.product}: เหลือ ${r.currentStock} ${r.unit} (พอ ${r.daysUntilStockout} วัน, คาดขาย ${r.forecastDailySales}/วัน)\n`;
+      msg += `   ✅ แนะนำสั่ง ${r.recommendedQuantity} ${r.unit} (≈${r.estimatedCost.toLocaleString()}฿)\n`;
+    });
+    
+    const totalCost = risks.reduce((sum, r) => sum + r.estimatedCost, 0);
+    msg += `\n💰 ต้นทุนรวม (ประมาณ): ${totalCost.toLocaleString()}฿\n`;
+    msg += `💡 "พยากรณ์" - รายการสั่งซื้อทั้งหมด │ "po" - สร้างใบสั่งซื้อ`;
+    
+    return msg;
+  }
+
   estimateCost(product, quantity) {
     const stockCache = getStockCache();
     const item = stockCache.find(s => s.item === product);
@@ -198,7 +302,7 @@ class StockPredictor {
       critical.forEach(r => {
         report += `• ${r.product}\n`;
         report += `  📦 เหลือ: ${r.currentStock} (พอ ${r.daysUntilStockout} วัน)\n`;
-        report += `  📈 ขายเฉลี่ย: ${r.avgDailySales}/วัน\n`;
+        report += `  📈 คาดขาย 7 วัน: ${r.forecast7} ±${r.forecastError} (เฉลี่ย 30 วัน ${r.avgDailySales}/วัน)\n`;
         report += `  ✅ แนะนำสั่ง: ${r.recommendedQuantity} (≈${r.estimatedCost.toLocaleString()}฿)\n\n`;
       });
     }
@@ -225,6 +329,45 @@ class StockPredictor {
     return report;
   }
 
+  // ========================================================================
+  // PRODUCT FORECAST - next 7 days by weekday
+  // ========================================================================
+  
+  formatProductForecast(stockItem) {
+    const data = this.salesHistory.get(stockItem.item);
+    
+    if (!data || !data.model) {
+      return `🔮 ${stockItem.item}\n\nℹ️ ยังไม่มียอดขาย พยากรณ์ไม่ได้`;
+    }
+    
+    const { model, forecast } = data;
+    const unit = stockItem.unit;
+    
+    let report = `🔮 พยากรณ์ ${stockItem.item} (${this.FORECAST_DAYS} วัน)\n${'='.repeat(40)}\n\n`;
+    
+    forecast.daily.forEach(d => {
+      report += `${d.weekday.padEnd(3)} ${formatDateForDisplay(d.date)}: ${d.quantity.toFixed(1)} ${unit}\n`;
+    });
+    
+    report += `\n📈 รวม ${Math.round(forecast.total)} ±${Math.round(forecast.error)} ${unit}\n`;
+    report += `📊 เฉลี่ย 30 วันที่ผ่านมา: ${data.avgDailySales.toFixed(1)}/วัน\n`;
+    report += model.method === 'holt-winters'
+      ? `🧮 ใช้ประวัติ ${model.historyDays} วัน (แนวโน้ม ${model.trend >= 0 ? '+' : ''}${model.trend.toFixed(2)}/วัน)\n\n`
+      : `🧮 ประวัติ ${model.historyDays} วัน - ยังไม่ถึง 2 สัปดาห์ ใช้ค่าเฉลี่ย\n\n`;
+    
+    report += `📦 เหลือ ${data.currentStock} ${unit}`;
+    report += data.daysUntilStockout >= 999 ? `\n` : ` (พอ ${data.daysUntilStockout} วัน)\n`;
+    
+    const quantity = this.suggestReorderQuantity(data);
+    if (quantity > 0) {
+      report += `✅ แนะนำสั่ง ${quantity} ${unit} (พอ ${this.REORDER_COVER_DAYS} วัน รวมเผื่อ)`;
+    } else {
+      report += `✅ สต็อกพอสำหรับ ${this.REORDER_COVER_DAYS} วัน`;
+    }
+    
+    return report;
+  }
+
   // ========================================================================
   // ABC ANALYSIS
   // ========================================================================
@@ -283,8 +426,9 @@ class StockPredictor {
     
     const health = {
       total: stockCache.length,
-      outOfStock: stockCache.filter(s => s.stock === 0).length,
-      lowStock: stockCache.filter(s => s.stock > 0 && s.stock <= 5).length,
+      outOfStock: stockCache.filter(s => getStockStatus(s, s.stock) === 'out').length,
+      // At or below each product's own reorder point
+      lowStock: stockCache.filter(s => getStockStatus(s, s.stock) === 'reorder').length,
       fastMovers: Array.from(velocity.values()).filter(v => v.velocity === 'fast').length,
       dormant: Array.from(velocity.values()).filter(v => v.velocity === 'dormant').length
     };
@@ -313,7 +457,69 @@ class StockPredictor {
 // Singleton
 const stockPredictor = new StockPredictor();
 
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Push once per day at or after STOCKOUT_ALERT_TIME (only when something
+ * is about to run out)
+ */
+function scheduleStockoutAlerts() {
+  scheduleDaily(CONFIG.STOCKOUT_ALERT_TIME, async () => {
+    await loadStockCache(true);
+    const risks = await stockPredictor.findStockoutRisks();
+
+    if (risks.length > 0) {
+      await notifyAdmins(stockPredictor.formatStockoutAlert(risks));
+      Logger.info(`⏰ Stockout alert pushed (${risks.length} products)`);
+    }
+  }, { label: 'Stockout alert' });
+}
+
+// ============================================================================
+// CHAT COMMANDS (admin only - gated by the caller)
+// "พยากรณ์"      → reorder recommendations
+// "พยากรณ์ น้ำแข็ง" → next 7 days of one product
+// "ABC"          → ABC analysis
+// "สุขภาพสต็อก"   → stock health score
+// ============================================================================
+
+async function handlePredictionCommand(text) {
+  try {
+    const lower = text.trim().toLowerCase();
+
+    // Commands always look at today's orders, not the last scheduled analysis
+    await stockPredictor.analyzeSalesVelocity();
+
+    if (lower === 'abc') {
+      return { success: true, message: await stockPredictor.performABCAnalysis() };
+    }
+
+    if (lower === 'สุขภาพสต็อก') {
+      return { success: true, message: await stockPredictor.getStockHealth() };
+    }
+
+    const productName = text.trim().replace(/^พยากรณ์\s*/, '');
+    if (productName) {
+      const matches = fuzzyMatchStock(productName, getStockCache());
+      if (matches.length === 0) {
+        return { success: false, message: `❌ ไม่พบสินค้า: "${productName}"` };
+      }
+      return { success: true, message: stockPredictor.formatProductForecast(matches[0].item) };
+    }
+
+    return { success: true, message: await stockPredictor.generateStockReport() };
+
+  } catch (error) {
+    Logger.error('Prediction command failed', error);
+    return { success: false, message: '❌ วิเคราะห์สต็อกไม่สำเร็จ' };
+  }
+}
+
 module.exports = {
   StockPredictor,
-  stockPredictor
+  stockPredictor,
+  scheduleStockoutAlerts,
+  handlePredictionCommand
 };
\ No newline at end of file
@@ -0,0 +1,483 @@
+// src/stocktakeService.js - Guided stocktake (cycle count) over chat
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString } = require('./utils');
+const { getSheetData, appendSheetData, batchUpdateSheet } = require('./googleServices');
+const { loadStockCache, getStockCache } = require('./cacheManager');
+const { getConversionFactor } = require('./unitConversion');
+const { fuzzyMatchStock } = require('./stockAdjustment');
+const { conversationStore, STATE_TYPES } = require('./conversationState');
+const { readLots, trimLots, buildLotUpdates } = require('./lotService');
+const { checkReorderPoints } = require('./stockAlertService');
+const {
+  loadLocations,
+  readLocationStock,
+  getCachedAvailable,
+  getLocationBreakdown,
+  getDefaultLocation
+} = require('./locationService');
+
+// ============================================================================
+// SESSION
+// One stocktake per admin, kept in the conversation store. Counts are for the
+// shop (like "น้ำแข็ง เหลือ 5") - stock moved to trucks is counted there.
+// ============================================================================
+
+const STOCKTAKE_TTL = 60 * 60 * 1000; // 1 hour since the last reply
+
+const CONFIRM_WORDS = ['ยืนยัน', 'ตกลง', 'confirm', 'ok'];
+const CANCEL_WORDS = ['ยกเลิก', 'ยกเลิกนับ', 'หยุดนับ', 'cancel'];
+const SKIP_WORDS = ['ข้าม', 'skip', '-'];
+const SUMMARY_WORDS = ['สรุป', 'สรุปนับ'];
+
+function generateStocktakeId() {
+  return `ST${getThaiDateString().replace(/-/g, '')}-${String(Date.now()).slice(-4)}`;
+}
+
+function getSession(userId) {
+  return conversationStore.get(userId, STATE_TYPES.STOCKTAKE);
+}
+
+function saveSession(userId, session) {
+  conversationStore.set(userId, STATE_TYPES.STOCKTAKE, session, STOCKTAKE_TTL);
+}
+
+function hasActiveStocktake(userId) {
+  return conversationStore.has(userId, STATE_TYPES.STOCKTAKE);
+}
+
+function findStockItem(name) {
+  return getStockCache().find(s => s.item === name) || null;
+}
+
+/**
+ * Next line still waiting for a count (after the current position first)
+ */
+function findNextIndex(session) {
+  const { items, index } = session;
+
+  for (let offset = 1; offset <= items.length; offset++) {
+    const i = (index + offset) % items.length;
+    if (items[i].counted === null && !items[i].skipped) return i;
+  }
+
+  return -1;
+}
+
+// ============================================================================
+// START
+// ============================================================================
+
+function listCategories() {
+  const counts = new Map();
+  getStockCache().forEach(s => {
+    const category = s.category || 'ไม่ระบุ';
+    counts.set(category, (counts.get(category) || 0) + 1);
+  });
+  return Array.from(counts.entries()).map(([name, count]) => `• ${name} (${count})`).join('\n');
+}
+
+async function startStocktake(userId, category = '') {
+  await loadStockCache(true);
+
+  const query = category.toLowerCase().trim();
+  const products = getStockCache()
+    .filter(s => !query || (s.category || '').toLowerCase().trim() === query)
+    .sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.item.localeCompare(b.item));
+
+  if (products.length === 0) {
+    return {
+      success: false,
+      message: `❌ ไม่พบสินค้าในหมวด "${category}"\n\n📂 หมวดที่มี:\n${listCategories()}`
+    };
+  }
+
+  const session = {
+    id: generateStocktakeId(),
+    category: category.trim(),
+    startedAt: getThaiDateTimeString(),
+    items: products.map(s => ({ item: s.item, unit: s.unit, counted: null, skipped: false })),
+    index: 0,
+    reviewing: false
+  };
+
+  saveSession(userId, session);
+  Logger.info(`📋 Stocktake ${session.id} started: ${products.length} products${session.category ? ` (${session.category})` : ''}`);
+
+  let msg = `📋 เริ่มตรวจนับ ${session.id}\n`;
+  msg += `${session.category ? `📂 หมวด ${session.category} - ` : ''}${products.length} รายการ (นับของที่${getDefaultLocation()})\n\n`;
+  msg += `💬 พิมพ์จำนวนที่นับได้ทีละรายการ\n`;
+  msg += `• "ข้าม" - ไม่นับรายการนี้\n`;
+  msg += `• "นับ [สินค้า] [จำนวน]" - นับ/แก้รายการอื่น\n`;
+  msg += `• "สรุป" - ดูส่วนต่าง │ "ยกเลิก" - เลิกนับ\n\n`;
+  msg += formatPrompt(session);
+
+  return { success: true, message: msg };
+}
+
+// ============================================================================
+// COUNTING
+// ============================================================================
+
+function formatPrompt(session) {
+  const line = session.items[session.index];
+  const done = session.items.filter(i => i.counted !== null || i.skipped).length;
+  const stockItem = findStockItem(line.item);
+  const packUnits = stockItem ? Object.keys(stockItem.unitConversions || {}) : [];
+
+  let msg = `[${done + 1}/${session.items.length}] 📦 ${line.item}\n`;
+  msg += `นับได้กี่${line.unit}?`;
+  if (packUnits.length > 0) {
+    msg += ` (พิมพ์ "2 ${packUnits[0]}" ได้)`;
+  }
+  return msg;
+}
+
+/**
+ * "8" / "2 ลัง" → base units for the line's product
+ */
+function parseCount(stockItem, number, unit) {
+  const factor = unit ? getConversionFactor(stockItem, unit) : 1;
+  if (!factor) {
+    return { error: `ไม่รู้จักหน่วย "${unit}" ของ ${stockItem.item}` };
+  }
+  return { quantity: parseInt(number) * factor };
+}
+
+function recordCount(session, lineIndex, stockItem, number, unit) {
+  const parsed = parseCount(stockItem, number, unit);
+  if (parsed.error) return parsed;
+
+  const line = session.items[lineIndex];
+  line.counted = parsed.quantity;
+  line.skipped = false;
+  return { quantity: parsed.quantity };
+}
+
+/**
+ * Move on after a count - the summary once nothing is left
+ */
+function advance(userId, session, prefix) {
+  const next = findNextIndex(session);
+
+  if (next === -1) {
+    session.reviewing = true;
+    saveSession(userId, session);
+    return { success: true, message: `${prefix}\n\n${formatVarianceSummary(session)}` };
+  }
+
+  session.index = next;
+  saveSession(userId, session);
+  return { success: true, message: `${prefix}\n\n${formatPrompt(session)}` };
+}
+
+function resolveSessionProduct(session, text) {
+  const candidates = getStockCache().filter(s => session.items.some(i => i.item === s.item));
+  const matches = fuzzyMatchStock(text, candidates);
+
+  if (matches.length === 0) {
+    return { error: `"${text}" ไม่อยู่ในรายการตรวจนับนี้` };
+  }
+
+  if (matches.length > 1 &&
+      matches[0].score - matches[1].score < 100 &&
+      matches[0].item.item !== matches[1].item.item) {
+    const options = matches.slice(0, 5).map(m => `• ${m.item.item}`).join('\n');
+    return { error: `"${text}" ตรงกับหลายรายการ กรุณาระบุชื่อเต็ม:\n${options}` };
+  }
+
+  return { stockItem: matches[0].item };
+}
+
+// ============================================================================
+// VARIANCE SUMMARY
+// ============================================================================
+
+/**
+ * Counted lines against what the system holds at the shop right now
+ */
+function calculateVariances(session) {
+  return session.items
+    .filter(i => i.counted !== null)
+    .map(i => {
+      const stockItem = findStockItem(i.item);
+      const expected = stockItem ? getCachedAvailable(stockItem) : 0;
+      const difference = i.counted - expected;
+      return {
+        item: i.item,
+        unit: i.unit,
+        expected,
+        counted: i.counted,
+        difference,
+        value: difference * (stockItem ? stockItem.cost || 0 : 0)
+      };
+    });
+}
+
+function formatVarianceSummary(session) {
+  const variances = calculateVariances(session);
+  const changed = variances.filter(v => v.difference !== 0);
+  const skipped = session.items.filter(i => i.counted === null);
+  const totalValue = changed.reduce((sum, v) => sum + v.value, 0);
+
+  let msg = `📊 สรุปตรวจนับ ${session.id}\n\n`;
+
+  if (changed.length === 0) {
+    msg += `✅ นับตรงกับระบบทุกรายการ\n`;
+  } else {
+    msg += `⚠️ ส่วนต่าง (${changed.length} รายการ):\n`;
+    msg += changed.map(v =>
+      `• ${v.item}: ระบบ ${v.expected} → นับ ${v.counted} ${v.unit} ` +
+      `(${v.difference > 0 ? '+' : ''}${v.difference}, ${v.value > 0 ? '+' : ''}${v.value.toLocaleString()}฿)`
+    ).join('\n') + '\n';
+    msg += `\n💸 มูลค่าส่วนต่างรวม (ทุน): ${totalValue > 0 ? '+' : ''}${totalValue.toLocaleString()}฿\n`;
+  }
+
+  msg += `✅ ตรง ${variances.length - changed.length} │ ⏭️ ไม่ได้นับ ${skipped.length}\n`;
+
+  if (skipped.length > 0 && skipped.length <= 10) {
+    msg += `   (${skipped.map(i => i.item).join(', ')})\n`;
+  }
+
+  msg += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+  msg += `• "ยืนยัน" - ปรับสต็อกตามที่นับ\n`;
+  msg += `• "นับ [สินค้า] [จำนวน]" - แก้ก่อนยืนยัน\n`;
+  msg += `• "ยกเลิก" - ไม่บันทึก`;
+
+  return msg;
+}
+
+// ============================================================================
+// APPLY - one batch, one stocktake ID in VarianceLog
+// ============================================================================
+
+async function applyStocktake(session) {
+  const { stockLock, StockTransactionLock } = require('./orderService');
+  const counted = session.items.filter(i => i.counted !== null);
+  const lockKeys = [...new Set(counted.map(i => StockTransactionLock.generateKey(i.item, i.unit)))];
+
+  await loadLocations();
+  await Promise.all(lockKeys.map(key => stockLock.acquireLock(key)));
+
+  try {
+    // Fresh values under the lock - sales may have happened while counting
+    const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:E');
+    const locationEntries = await readLocationStock();
+    const lots = await readLots();
+    const timestamp = getThaiDateTimeString();
+    const updates = [];
+    const logRows = [];
+    const adjustments = [];
+
+    for (const line of counted) {
+      const rowIndex = stockRows.findIndex((r, i) => i > 0 && r[0] === line.item);
+      if (rowIndex === -1) {
+        Logger.warn(`⚠️ Stocktake ${session.id}: ${line.item} no longer in stock sheet`);
+        continue;
+      }
+
+      const oldStock = parseInt(stockRows[rowIndex][4] || 0);
+      const [, ...elsewhere] = getLocationBreakdown(line.item, oldStock, locationEntries);
+      const newStock = line.counted + elsewhere.reduce((sum, l) => sum + l.quantity, 0);
+      const difference = newStock - oldStock;
+
+      if (difference === 0) continue;
+
+      updates.push({ range: `สต็อก!E${rowIndex + 1}`, values: [[newStock]] });
+      if (difference < 0) trimLots(lots, line.item, newStock);
+      logRows.push([timestamp, line.item, oldStock, newStock, difference, `stocktake (${session.id})`]);
+      adjustments.push({ item: line.item, unit: line.unit, oldStock, newStock, difference });
+    }
+
+    if (updates.length > 0) {
+      await batchUpdateSheet(CONFIG.SHEET_ID, updates.concat(buildLotUpdates(lots)));
+      await appendSheetData(CONFIG.SHEET_ID, 'VarianceLog!A:F', logRows);
+    }
+
+    await loadStockCache(true);
+    checkReorderPoints(
+      adjustments.map(a => ({ product: a.item, before: a.oldStock, after: a.newStock })),
+      `ตรวจนับ ${session.id}`
+    );
+
+    Logger.success(`📋 Stocktake ${session.id} applied: ${adjustments.length} adjusted of ${counted.length} counted`);
+    return { success: true, id: session.id, counted: counted.length, adjustments };
+
+  } finally {
+    lockKeys.forEach(key => stockLock.releaseLock(key));
+  }
+}
+
+function formatApplyResult(result, session) {
+  const valueOf = a => a.difference * ((findStockItem(a.item) || {}).cost || 0);
+  const totalValue = result.adjustments.reduce((sum, a) => sum + valueOf(a), 0);
+
+  let msg = `✅ บันทึกตรวจนับ ${result.id} แล้ว\n\n`;
+  msg += `📦 นับ ${result.counted} │ ปรับ ${result.adjustments.length} │ ข้าม ${session.items.length - result.counted}\n`;
+
+  if (result.adjustments.length > 0) {
+    msg += `\n` + result.adjustments.map(a =>
+      `• ${a.item}: ${a.oldStock} → ${a.newStock} ${a.unit} (${a.difference > 0 ? '+' : ''}${a.difference})`
+    ).join('\n') + '\n';
+    msg += `\n💸 มูลค่าส่วนต่าง (ทุน): ${totalValue > 0 ? '+' : ''}${totalValue.toLocaleString()}฿\n`;
+    msg += `📝 บันทึกใน VarianceLog: stocktake (${result.id})`;
+  }
+
+  return msg;
+}
+
+// ============================================================================
+// CHAT
+// "ตรวจนับ" / "ตรวจนับ [หมวด]" starts (admin only - gated by the caller);
+// replies while a session is open go through handleStocktakeReply
+// ============================================================================
+
+async function handleStocktakeCommand(text, userId) {
+  try {
+    const body = text.trim().replace(/^ตรวจนับ\s*/, '');
+
+    if (/^(ช่วย|help)$/i.test(body)) {
+      return {
+        success: true,
+        message: `📋 ตรวจนับสต็อก\n\n` +
+          `• "ตรวจนับ" - นับทุกสินค้า\n` +
+          `• "ตรวจนับ [หมวด]" - นับทีละหมวด\n` +
+          `• ระหว่างนับ: พิมพ์จำนวน, "ข้าม", "นับ [สินค้า] [จำนวน]", "สรุป"\n` +
+          `• "ยืนยัน" หลังดูสรุป - ปรับสต็อกทั้งหมดครั้งเดียว\n\n` +
+          `📂 หมวดที่มี:\n${listCategories()}`
+      };
+    }
+
+    const session = getSession(userId);
+    if (session) {
+      return {
+        success: true,
+        message: `📋 กำลังตรวจนับ ${session.id} อยู่\n\n` +
+          (session.reviewing ? formatVarianceSummary(session) : formatPrompt(session))
+      };
+    }
+
+    return await startStocktake(userId, body);
+
+  } catch (error) {
+    Logger.error('Stocktake command failed', error);
+    return { success: false, message: '❌ เริ่มตรวจนับไม่สำเร็จ' };
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} null when the message isn't part of the count
+ */
+async function handleStocktakeReply(text, userId) {
+  const session = getSession(userId);
+  if (!session) return null;
+
+  const reply = text.trim();
+  const lower = reply.toLowerCase();
+
+  try {
+    if (CANCEL_WORDS.includes(lower)) {
+      conversationStore.clear(userId, STATE_TYPES.STOCKTAKE);
+      Logger.info(`📋 Stocktake ${session.id} cancelled`);
+      return { success: true, message: `🗑️ ยกเลิกตรวจนับ ${session.id} แล้ว (ไม่ได้ปรับสต็อก)` };
+    }
+
+    if (SUMMARY_WORDS.includes(lower)) {
+      await loadStockCache(true);
+      session.reviewing = true;
+      saveSession(userId, session);
+      return { success: true, message: formatVarianceSummary(session) };
+    }
+
+    if (CONFIRM_WORDS.includes(lower)) {
+      if (!session.reviewing) {
+        return { success: false, message: `❌ ยังนับไม่ครบ\n\n💡 พิมพ์ "สรุป" เพื่อดูส่วนต่างก่อนยืนยัน\n\n${formatPrompt(session)}` };
+      }
+
+      if (!session.items.some(i => i.counted !== null)) {
+        return { success: false, message: '❌ ยังไม่ได้นับสินค้าเลย\n\n💡 "ยกเลิก" เพื่อเลิกนับ' };
+      }
+
+      // Taken first so a double "ยืนยัน" can't apply twice
+      conversationStore.take(userId, STATE_TYPES.STOCKTAKE);
+      const result = await applyStocktake(session);
+      return { success: true, message: formatApplyResult(result, session) };
+    }
+
+    if (SKIP_WORDS.includes(lower)) {
+      if (session.reviewing) {
+        return { success: false, message: `❌ ไม่มีรายการรอนับ\n\n${formatVarianceSummary(session)}` };
+      }
+      const line = session.items[session.index];
+      line.skipped = true;
+      return advance(userId, session, `⏭️ ข้าม ${line.item}`);
+    }
+
+    // Count for the product being asked about
+    const countMatch = reply.match(/^(\d+)\s*([^\d\s]+)?$/);
+    if (countMatch && !session.reviewing) {
+      const line = session.items[session.index];
+      const stockItem = findStockItem(line.item);
+      if (!stockItem) {
+        line.skipped = true;
+        return advance(userId, session, `⚠️ ไม่พบ ${line.item} ในสต็อกแล้ว - ข้าม`);
+      }
+
+      const recorded = recordCount(session, session.index, stockItem, countMatch[1], countMatch[2]);
+      if (recorded.error) {
+        return { success: false, message: `❌ ${recorded.error}\n\n${formatPrompt(session)}` };
+      }
+      return advance(userId, session, `✅ ${line.item}: ${recorded.quantity} ${line.unit}`);
+    }
+
+    // Count (or correct) any product in the session
+    const namedMatch = reply.match(/^นับ\s+(.+?)\s+(\d+)\s*([^\d\s]+)?$/);
+    if (namedMatch) {
+      const resolved = resolveSessionProduct(session, namedMatch[1].trim());
+      if (resolved.error) {
+        return { success: false, message: `❌ ${resolved.error}` };
+      }
+
+      const lineIndex = session.items.findIndex(i => i.item === resolved.stockItem.item);
+      const recorded = recordCount(session, lineIndex, resolved.stockItem, namedMatch[2], namedMatch[3]);
+      if (recorded.error) {
+        return { success: false, message: `❌ ${recorded.error}` };
+      }
+
+      const prefix = `✅ ${resolved.stockItem.item}: ${recorded.quantity} ${resolved.stockItem.unit}`;
+
+      if (session.reviewing) {
+        await loadStockCache(true);
+        saveSession(userId, session);
+        return { success: true, message: `${prefix}\n\n${formatVarianceSummary(session)}` };
+      }
+
+      // Still on the same product → it was just answered, move on
+      if (lineIndex === session.index) {
+        return advance(userId, session, prefix);
+      }
+
+      saveSession(userId, session);
+      return { success: true, message: `${prefix}\n\n${formatPrompt(session)}` };
+    }
+
+    return null;
+
+  } catch (error) {
+    Logger.error('Stocktake reply failed', error);
+    return { success: false, message: '❌ บันทึกการนับไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  startStocktake,
+  applyStocktake,
+  calculateVariances,
+  hasActiveStocktake,
+  handleStocktakeCommand,
+  handleStocktakeReply
+};
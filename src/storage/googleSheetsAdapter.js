@@ -0,0 +1,161 @@
+// src/storage/googleSheetsAdapter.js - Google Sheets storage backend
+const { google } = require('googleapis');
+const { loadGoogleCredentials } = require('../config');
+const { Logger } = require('../logger');
+
+// ============================================================================
+// RATE LIMITER (THE FIX)
+// ============================================================================
+
+class RequestQueue {
+  constructor(delayMs = 500) {
+    this.queue = [];
+    this.isProcessing = false;
+    this.delayMs = delayMs;
+  }
+
+  add(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject });
+      this.process();
+    });
+  }
+
+  async process() {
+    if (this.isProcessing) return;
+    if (this.queue.length === 0) return;
+
+    this.isProcessing = true;
+    const { fn, resolve, reject } = this.queue.shift();
+
+    try {
+      const result = await fn();
+      resolve(result);
+    } catch (error) {
+      reject(error);
+    }
+
+    // Wait before processing next item
+    setTimeout(() => {
+      this.isProcessing = false;
+      this.process();
+    }, this.delayMs);
+  }
+}
+
+// ============================================================================
+// GOOGLE SHEETS ADAPTER
+// ============================================================================
+
+class GoogleSheetsAdapter {
+  constructor() {
+    this.name = 'sheets';
+    this.auth = null;
+    this.sheets = null;
+    this.drive = null;
+    this.apiQueue = new RequestQueue(600); // 600ms buffer between write requests
+  }
+
+  initialize() {
+    const credentials = loadGoogleCredentials();
+    this.auth = new google.auth.GoogleAuth({
+      credentials,
+      scopes: ['https://www.googleapis.com/auth/spreadsheets', 'https://www.googleapis.com/auth/drive']
+    });
+    this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+    this.drive = google.drive({ version: 'v3', auth: this.auth });
+    Logger.success('Google services initialized');
+    return { sheets: this.sheets, drive: this.drive };
+  }
+
+  async getSheetData(spreadsheetId, range) {
+    // Reads are usually fine, but we can queue them if needed.
+    // For now, let's keep reads direct for speed, unless you hit quotas.
+    try {
+      const response = await this.sheets.spreadsheets.values.get({ spreadsheetId, range });
+      return response.data.values || [];
+    } catch (error) {
+      Logger.error(`Failed to get sheet data: ${range}`, error);
+      throw error;
+    }
+  }
+
+  async appendSheetData(spreadsheetId, range, values) {
+    return this.apiQueue.add(async () => {
+      try {
+        await this.sheets.spreadsheets.values.append({
+          spreadsheetId,
+          range,
+          valueInputOption: 'USER_ENTERED',
+          requestBody: { values }
+        });
+        Logger.success(`Appended data to ${range}`);
+      } catch (error) {
+        Logger.error(`Failed to append to ${range}`, error);
+        throw error;
+      }
+    });
+  }
+
+  async updateSheetData(spreadsheetId, range, values) {
+    return this.apiQueue.add(async () => {
+      try {
+        await this.sheets.spreadsheets.values.update({
+          spreadsheetId,
+          range,
+          valueInputOption: 'USER_ENTERED',
+          requestBody: { values }
+        });
+        Logger.success(`Updated ${range}`);
+      } catch (error) {
+        Logger.error(`Failed to update ${range}`, error);
+        throw error;
+      }
+    });
+  }
+
+  async batchUpdateSheet(spreadsheetId, data) {
+    return this.apiQueue.add(async () => {
+      try {
+        await this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId,
+          requestBody: { valueInputOption: 'USER_ENTERED', data }
+        });
+        Logger.success(`Batch updated ${data.length} ranges`);
+      } catch (error) {
+        Logger.error('Batch update failed', error);
+        throw error;
+      }
+    });
+  }
+
+  async createSheet(spreadsheetId, sheetName) {
+    return this.apiQueue.add(async () => {
+      try {
+        await this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+        });
+        Logger.success(`Created sheet: ${sheetName}`);
+      } catch (error) {
+        Logger.error(`Failed to create sheet: ${sheetName}`, error);
+        throw error;
+      }
+    });
+  }
+
+  async getSheetsList(spreadsheetId) {
+    try {
+      const response = await this.sheets.spreadsheets.get({ spreadsheetId });
+      return response.data.sheets.map(s => s.properties.title);
+    } catch (error) {
+      Logger.error('Failed to get sheets list', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  GoogleSheetsAdapter,
+  RequestQueue
+};
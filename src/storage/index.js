@@ -0,0 +1,36 @@
+// src/storage/index.js - Storage backend selection
+const { GoogleSheetsAdapter } = require('./googleSheetsAdapter');
+const { LocalJsonAdapter } = require('./localJsonAdapter');
+
+// ============================================================================
+// ADAPTER FACTORY
+// ============================================================================
+// Every adapter implements the same interface:
+//   initialize()
+//   getSheetData(spreadsheetId, range)
+//   appendSheetData(spreadsheetId, range, values)
+//   updateSheetData(spreadsheetId, range, values)
+//   batchUpdateSheet(spreadsheetId, data)
+//   createSheet(spreadsheetId, sheetName)
+//   getSheetsList(spreadsheetId)
+
+const STORAGE_BACKENDS = {
+  sheets: () => new GoogleSheetsAdapter(),
+  local: (config) => new LocalJsonAdapter(config.LOCAL_STORAGE_PATH)
+};
+
+function createStorageAdapter(config) {
+  const backend = config.STORAGE_BACKEND || 'sheets';
+  const factory = STORAGE_BACKENDS[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Use '${Object.keys(STORAGE_BACKENDS).join("' or '")}'`);
+  }
+
+  return factory(config);
+}
+
+module.exports = {
+  createStorageAdapter,
+  STORAGE_BACKENDS
+};
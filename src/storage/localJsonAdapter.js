@@ -0,0 +1,221 @@
+// src/storage/localJsonAdapter.js - File-backed storage for offline dev & demos
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../logger');
+
+// ============================================================================
+// A1 RANGE PARSER
+// ============================================================================
+
+function columnToIndex(letters) {
+  let index = 0;
+  for (const ch of letters.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Parse an A1 range the way the rest of the code uses it
+ * Examples: "สต็อก!A:G", "สต็อก!E5", "Inbox!A1:B1", "Dashboard"
+ * @returns {{sheet: string, startRow: number|null, startCol: number, endRow: number|null, endCol: number|null}}
+ */
+function parseRange(range) {
+  const bangIndex = range.lastIndexOf('!');
+  const sheet = (bangIndex === -1 ? range : range.substring(0, bangIndex)).replace(/^'|'$/g, '');
+  const cells = bangIndex === -1 ? '' : range.substring(bangIndex + 1);
+
+  const parsed = { sheet, startRow: null, startCol: 0, endRow: null, endCol: null };
+  if (!cells) return parsed;
+
+  const [start, end] = cells.split(':');
+  const startMatch = start.match(/^([A-Z]*)(\d*)$/i);
+  if (!startMatch) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+
+  if (startMatch[1]) parsed.startCol = columnToIndex(startMatch[1]);
+  if (startMatch[2]) parsed.startRow = parseInt(startMatch[2]);
+
+  if (end) {
+    const endMatch = end.match(/^([A-Z]*)(\d*)$/i);
+    if (!endMatch) {
+      throw new Error(`Unsupported range: ${range}`);
+    }
+    if (endMatch[1]) parsed.endCol = columnToIndex(endMatch[1]);
+    if (endMatch[2]) parsed.endRow = parseInt(endMatch[2]);
+  } else if (startMatch[2]) {
+    // Single cell like "E5"
+    parsed.endCol = parsed.startCol;
+    parsed.endRow = parsed.startRow;
+  }
+
+  return parsed;
+}
+
+function isEmptyCell(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// ============================================================================
+// LOCAL JSON ADAPTER
+// ============================================================================
+
+class LocalJsonAdapter {
+  constructor(filePath) {
+    this.name = 'local';
+    this.filePath = path.resolve(filePath);
+    this.data = { sheets: {} };
+  }
+
+  initialize() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (!this.data.sheets) this.data.sheets = {};
+    } else {
+      this._persist();
+    }
+
+    Logger.success(`Local storage initialized: ${this.filePath}`);
+    return { file: this.filePath };
+  }
+
+  _persist() {
+    // Write to a temp file first so a crash never leaves a half-written store
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), 'utf-8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _getRows(sheetName) {
+    const rows = this.data.sheets[sheetName];
+    if (!rows) {
+      throw new Error(`Unable to parse range: sheet "${sheetName}" not found`);
+    }
+    return rows;
+  }
+
+  _writeValues(rows, startRowIndex, startCol, values) {
+    values.forEach((valueRow, r) => {
+      const rowIndex = startRowIndex + r;
+      while (rows.length <= rowIndex) rows.push([]);
+
+      const row = rows[rowIndex];
+      (valueRow || []).forEach((value, c) => {
+        // Match Sheets API: null cells are skipped, not cleared
+        if (value === undefined || value === null) return;
+
+        const colIndex = startCol + c;
+        while (row.length <= colIndex) row.push('');
+        row[colIndex] = value;
+      });
+    });
+  }
+
+  _lastDataRowIndex(rows) {
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if ((rows[i] || []).some(cell => !isEmptyCell(cell))) return i;
+    }
+    return -1;
+  }
+
+  async getSheetData(spreadsheetId, range) {
+    try {
+      const { sheet, startRow, startCol, endRow, endCol } = parseRange(range);
+      const rows = this._getRows(sheet);
+
+      const from = startRow ? startRow - 1 : 0;
+      const to = endRow ? endRow : rows.length;
+
+      const values = rows.slice(from, to).map(row => {
+        const cells = (row || []).slice(startCol, endCol === null ? undefined : endCol + 1);
+
+        // Match Sheets API: values come back as strings, trailing blanks trimmed
+        let last = cells.length - 1;
+        while (last >= 0 && isEmptyCell(cells[last])) last--;
+
+        return cells.slice(0, last + 1).map(cell => isEmptyCell(cell) ? '' : String(cell));
+      });
+
+      while (values.length > 0 && values[values.length - 1].length === 0) {
+        values.pop();
+      }
+
+      return values;
+    } catch (error) {
+      Logger.error(`Failed to get sheet data: ${range}`, error);
+      throw error;
+    }
+  }
+
+  async appendSheetData(spreadsheetId, range, values) {
+    try {
+      const { sheet, startCol } = parseRange(range);
+      const rows = this._getRows(sheet);
+
+      this._writeValues(rows, this._lastDataRowIndex(rows) + 1, startCol, values);
+      this._persist();
+      Logger.success(`Appended data to ${range}`);
+    } catch (error) {
+      Logger.error(`Failed to append to ${range}`, error);
+      throw error;
+    }
+  }
+
+  async updateSheetData(spreadsheetId, range, values) {
+    try {
+      const { sheet, startRow, startCol } = parseRange(range);
+      const rows = this._getRows(sheet);
+
+      this._writeValues(rows, startRow ? startRow - 1 : 0, startCol, values);
+      this._persist();
+      Logger.success(`Updated ${range}`);
+    } catch (error) {
+      Logger.error(`Failed to update ${range}`, error);
+      throw error;
+    }
+  }
+
+  async batchUpdateSheet(spreadsheetId, data) {
+    try {
+      for (const { range, values } of data) {
+        const { sheet, startRow, startCol } = parseRange(range);
+        const rows = this._getRows(sheet);
+        this._writeValues(rows, startRow ? startRow - 1 : 0, startCol, values);
+      }
+      this._persist();
+      Logger.success(`Batch updated ${data.length} ranges`);
+    } catch (error) {
+      Logger.error('Batch update failed', error);
+      throw error;
+    }
+  }
+
+  async createSheet(spreadsheetId, sheetName) {
+    try {
+      if (this.data.sheets[sheetName]) {
+        throw new Error(`A sheet with the name "${sheetName}" already exists`);
+      }
+      this.data.sheets[sheetName] = [];
+      this._persist();
+      Logger.success(`Created sheet: ${sheetName}`);
+    } catch (error) {
+      Logger.error(`Failed to create sheet: ${sheetName}`, error);
+      throw error;
+    }
+  }
+
+  async getSheetsList(spreadsheetId) {
+    return Object.keys(this.data.sheets);
+  }
+}
+
+module.exports = {
+  LocalJsonAdapter,
+  parseRange
+};
@@ -0,0 +1,157 @@
+// src/unitConversion.js - Pack units (ลัง/โหล/แพ็ค) ↔ the base unit stock is counted in
+const { Logger } = require('./logger');
+
+// ============================================================================
+// UNITS
+// Stock column I holds per-product factors, e.g. "ลัง=24, แพ็ค=6"
+// (1 ลัง = 24 of the row's หน่วย). Stock (column E) is always in the base unit.
+// ============================================================================
+
+const UNIT_ALIASES = {
+  'แพค': 'แพ็ค',
+  'pack': 'แพ็ค',
+  'รัง': 'ลัง',
+  'box': 'ลัง',
+  'crate': 'ลัง',
+  'case': 'ลัง',
+  'dozen': 'โหล'
+};
+
+// Used when the product doesn't define the unit itself
+const DEFAULT_FACTORS = {
+  'โหล': 12
+};
+
+// Units a customer may order in besides the base unit
+const PACK_UNIT_PATTERN = /(\d+)\s*(ลัง|รัง|โหล|แพ็ค|แพค|pack|box|crate|case|dozen)/i;
+
+function normalizeUnit(unit) {
+  const lower = String(unit || '').toLowerCase().trim();
+  return UNIT_ALIASES[lower] || lower;
+}
+
+/**
+ * "ลัง=24, แพ็ค=6" → { 'ลัง': 24, 'แพ็ค': 6 }
+ */
+function parseUnitConversions(text, itemName = '') {
+  const conversions = {};
+  if (!text) return conversions;
+
+  String(text).split(/[,\n]/).map(s => s.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(?:1\s*)?([^\d=:\s]+)\s*[=:]\s*(\d+)$/);
+
+    if (!match || parseInt(match[2]) < 2) {
+      Logger.warn(`⚠️ Invalid unit conversion "${part}" for ${itemName} (use "ลัง=24")`);
+      return;
+    }
+
+    conversions[normalizeUnit(match[1])] = parseInt(match[2]);
+  });
+
+  return conversions;
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * How many base units one `unit` holds
+ * @returns {number|null} 1 for the base unit (or no unit), null if unknown
+ */
+function getConversionFactor(stockItem, unit) {
+  const normalized = normalizeUnit(unit);
+
+  if (!normalized || normalized === normalizeUnit(stockItem.unit)) {
+    return 1;
+  }
+
+  const conversions = stockItem.unitConversions || {};
+  if (conversions[normalized]) return conversions[normalized];
+  if (DEFAULT_FACTORS[normalized]) return DEFAULT_FACTORS[normalized];
+
+  return null;
+}
+
+/**
+ * Quantity of an order item ({ stockItem, quantity, unit? }) in base units
+ */
+function getItemBaseQuantity(orderItem) {
+  const factor = getConversionFactor(orderItem.stockItem, orderItem.unit) || 1;
+  return orderItem.quantity * factor;
+}
+
+/**
+ * Order unit to keep on the item - null when it's the base unit or unknown
+ */
+function resolveOrderUnit(stockItem, unit) {
+  if (!unit) return null;
+  const factor = getConversionFactor(stockItem, unit);
+  return factor && factor !== 1 ? normalizeUnit(unit) : null;
+}
+
+/**
+ * First pack unit typed in a message ("2 ลัง") - used when the AI leaves it out
+ */
+function detectPackUnit(text) {
+  const match = String(text || '').match(PACK_UNIT_PATTERN);
+  return match ? normalizeUnit(match[2]) : null;
+}
+
+// ============================================================================
+// ORDER ROWS - column K holds the unit the customer ordered in ('' = base)
+// ============================================================================
+
+function getRowUnitFactor(row, stockItem) {
+  const unit = row[10];
+  if (!unit || !stockItem) return 1;
+  return getConversionFactor(stockItem, unit) || 1;
+}
+
+function getRowBaseQuantity(row, stockItem) {
+  return parseInt(row[4] || 0) * getRowUnitFactor(row, stockItem);
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * "2 ลัง" or "2 ลัง (48 ขวด)" when the unit isn't the base unit
+ */
+function formatQuantity(stockItem, quantity, unit) {
+  const factor = getConversionFactor(stockItem, unit) || 1;
+  const baseUnit = stockItem.unit || 'ชิ้น';
+
+  if (factor === 1) {
+    return `${quantity} ${baseUnit}`;
+  }
+
+  return `${quantity} ${normalizeUnit(unit)} (${quantity * factor} ${baseUnit})`;
+}
+
+/**
+ * "1 ลัง = 24 ขวด, 1 โหล = 12 ขวด"
+ */
+function describeConversions(stockItem) {
+  return Object.entries(stockItem.unitConversions || {})
+    .map(([unit, factor]) => `1 ${unit} = ${factor} ${stockItem.unit}`)
+    .join(', ');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  normalizeUnit,
+  parseUnitConversions,
+  getConversionFactor,
+  getItemBaseQuantity,
+  resolveOrderUnit,
+  detectPackUnit,
+  getRowUnitFactor,
+  getRowBaseQuantity,
+  formatQuantity,
+  describeConversions
+};
@@ -25,7 +25,8 @@ async function processVoiceMessage(audioBuffer, userId) {
     
     return {
       success: true,
-      message: `🎤 ฉันได้ยินว่า: "${text}"\n\n${result.message}`
+      message: `🎤 ฉันได้ยินว่า: "${text}"\n\n${result.message}`,
+      quickReplies: result.quickReplies
     };
     
   } catch (error) {
@@ -0,0 +1,317 @@
+// src/wasteService.js - Spoilage / breakage / melt write-offs (Waste sheet)
+const { CONFIG } = require('./config');
+const { Logger } = require('./logger');
+const { getThaiDateString, getThaiDateTimeString, extractGregorianDate, formatDateForDisplay } = require('./utils');
+const { getSheetData, appendSheetData, updateSheetData } = require('./googleServices');
+const { getStockCache, loadStockCache } = require('./cacheManager');
+const { getConversionFactor, formatQuantity } = require('./unitConversion');
+const { resolveStockItem, logVariance } = require('./stockAdjustment');
+const { loadLocations, readLocationStock, getAvailableAt, getDefaultLocation } = require('./locationService');
+const { readLots, takeFromLots, writeLotUpdates, formatLotPicks } = require('./lotService');
+const { checkReorderPoints } = require('./stockAlertService');
+
+// ============================================================================
+// SHEET LAYOUT: วันที่ | สินค้า | จำนวน | หน่วย | ต้นทุน/หน่วย | มูลค่า | เหตุผล | หมายเหตุ
+// จำนวน is in the stock unit; ต้นทุน/หน่วย is สต็อก ต้นทุน when written off.
+// ============================================================================
+
+const WASTE_RANGE = 'Waste!A:H';
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().trim();
+}
+
+/**
+ * Match a typed reason against CONFIG.WASTE_REASONS ("ละลาย", "แตก", ...)
+ */
+function findReason(text) {
+  const query = normalizeName(text);
+  if (!query) return null;
+
+  return CONFIG.WASTE_REASONS.find(r => normalizeName(r) === query) ||
+    CONFIG.WASTE_REASONS.find(r => normalizeName(r).startsWith(query)) ||
+    null;
+}
+
+// ============================================================================
+// RECORD
+// ============================================================================
+
+/**
+ * Write stock off: the shop count goes down, the units come out of the
+ * first-expiring lots and the value at current cost goes to Waste.
+ * @param {number} quantity - base units
+ */
+async function recordWaste(productName, quantity, reason, note = '') {
+  // Lazy: orderService loads modules that load this one
+  const { stockLock, StockTransactionLock } = require('./orderService');
+
+  const cached = getStockCache().find(s => normalizeName(s.item) === normalizeName(productName));
+  if (!cached) {
+    return { success: false, error: `ไม่พบสินค้า: ${productName}` };
+  }
+
+  const lockKey = StockTransactionLock.generateKey(cached.item, cached.unit);
+  await stockLock.acquireLock(lockKey);
+
+  try {
+    // Fresh read under the lock
+    const stockRows = await getSheetData(CONFIG.SHEET_ID, 'สต็อก!A:E');
+    const index = stockRows.findIndex((r, i) => i > 0 && normalizeName(r[0]) === normalizeName(cached.item));
+
+    if (index === -1) {
+      return { success: false, error: `ไม่พบสินค้า: ${cached.item}` };
+    }
+
+    const oldStock = parseInt(stockRows[index][4] || 0);
+    const unitCost = parseFloat(stockRows[index][1] || 0);
+
+    // Waste is counted in the shop, like "ลด" - trucks report theirs after "ย้าย" back
+    await loadLocations();
+    const shop = getAvailableAt(await readLocationStock(), getDefaultLocation(), cached.item, oldStock);
+
+    if (quantity > shop) {
+      return {
+        success: false,
+        error: `${getDefaultLocation()} มี ${cached.item} แค่ ${shop} ${cached.unit} (ต้องการตัด ${quantity})`
+      };
+    }
+
+    const newStock = oldStock - quantity;
+    const value = Math.round(unitCost * quantity * 100) / 100;
+
+    await updateSheetData(CONFIG.SHEET_ID, `สต็อก!E${index + 1}`, [[newStock]]);
+    await logVariance(cached.item, oldStock, newStock, -quantity, reason, 'waste');
+
+    // Melted / expired units are the oldest ones - same order as sales
+    const lots = await readLots();
+    const lotPicks = takeFromLots(lots, cached.item, quantity);
+    await writeLotUpdates(lots);
+
+    try {
+      await appendSheetData(CONFIG.SHEET_ID, WASTE_RANGE, [[
+        getThaiDateTimeString(),
+        cached.item,
+        quantity,
+        cached.unit,
+        unitCost,
+        value,
+        reason,
+        note
+      ]]);
+    } catch (wasteError) {
+      // Stock already reflects the loss - VarianceLog still has the entry
+      Logger.error(`Waste ${cached.item} x${quantity} written off but not recorded in Waste`, wasteError);
+    }
+
+    await loadStockCache(true);
+    checkReorderPoints([{ product: cached.item, before: oldStock, after: newStock }], `ของเสีย: ${reason}`);
+
+    Logger.success(`🗑️ Waste: ${cached.item} x${quantity} (${reason}) = ${value}฿`);
+
+    return {
+      success: true,
+      product: cached.item,
+      unit: cached.unit,
+      quantity,
+      reason,
+      unitCost,
+      value,
+      oldStock,
+      newStock,
+      lots: formatLotPicks(lotPicks)
+    };
+
+  } catch (error) {
+    Logger.error('recordWaste failed', error);
+    return { success: false, error: error.message };
+
+  } finally {
+    stockLock.releaseLock(lockKey);
+  }
+}
+
+// ============================================================================
+// READ + SUMMARIZE (daily summary, range summary, sales report)
+// ============================================================================
+
+/**
+ * @returns {Array} [{ date: 'YYYY-MM-DD', product, quantity, unit, unitCost, value, reason }]
+ */
+async function readWaste() {
+  try {
+    const rows = await getSheetData(CONFIG.SHEET_ID, WASTE_RANGE);
+
+    return rows.slice(1)
+      .filter(row => row[0] && row[1])
+      .map(row => ({
+        date: extractGregorianDate(row[0]),
+        product: row[1],
+        quantity: parseFloat(row[2] || 0),
+        unit: row[3] || '',
+        unitCost: parseFloat(row[4] || 0),
+        value: parseFloat(row[5] || 0),
+        reason: row[6] || 'ไม่ระบุ'
+      }));
+
+  } catch (error) {
+    Logger.warn('readWaste failed - reports show no waste', error);
+    return [];
+  }
+}
+
+function groupWaste(entries, key) {
+  const groups = new Map();
+
+  entries.forEach(e => {
+    const name = e[key];
+    if (!groups.has(name)) {
+      groups.set(name, { name, quantity: 0, unit: e.unit, value: 0 });
+    }
+    const group = groups.get(name);
+    group.quantity += e.quantity;
+    group.value += e.value;
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.value - a.value);
+}
+
+/**
+ * @returns {Object} { value, count, byReason, byProduct }
+ */
+function summarizeWaste(entries) {
+  return {
+    value: entries.reduce((sum, e) => sum + e.value, 0),
+    count: entries.length,
+    byReason: groupWaste(entries, 'reason'),
+    byProduct: groupWaste(entries, 'product')
+  };
+}
+
+/**
+ * Waste section shared by the summaries (empty when nothing was wasted)
+ */
+function formatWasteBreakdown(waste, { products = 5 } = {}) {
+  if (waste.count === 0) return '';
+
+  let msg = `🗑️ ของเสีย ${Math.round(waste.value).toLocaleString()}฿:\n`;
+  msg += `   ${waste.byReason.map(r => `${r.name} ${Math.round(r.value).toLocaleString()}฿`).join(' │ ')}\n`;
+  waste.byProduct.slice(0, products).forEach((p, i) => {
+    msg += `   ${i + 1}. ${p.name} ${p.quantity} ${p.unit} (${Math.round(p.value).toLocaleString()}฿)\n`;
+  });
+  msg += `\n`;
+
+  return msg;
+}
+
+// ============================================================================
+// CHAT COMMANDS
+// "เสีย"                           → today's waste + reason codes
+// "เสีย น้ำแข็ง 3 ละลาย"             → write off 3 ถุง
+// "เสีย น้ำดื่ม 1 ลัง แตก ตกรถ"       → unit conversion + free-text note
+// ============================================================================
+
+function formatReasonCodes() {
+  return CONFIG.WASTE_REASONS.join(' / ');
+}
+
+function getUsageMessage() {
+  return `💡 "เสีย [สินค้า] [จำนวน] [เหตุผล]"\n` +
+    `เช่น "เสีย น้ำแข็ง 3 ละลาย"\n\n` +
+    `📋 เหตุผล: ${formatReasonCodes()}`;
+}
+
+async function formatTodayWaste() {
+  const today = getThaiDateString();
+  const entries = (await readWaste()).filter(e => e.date === today);
+
+  if (entries.length === 0) {
+    return `🗑️ วันนี้ยังไม่มีของเสีย\n\n${getUsageMessage()}`;
+  }
+
+  return `🗑️ ของเสียวันนี้ (${formatDateForDisplay(today)})\n\n` +
+    formatWasteBreakdown(summarizeWaste(entries), { products: 10 }) +
+    getUsageMessage();
+}
+
+async function handleWasteCommand(text) {
+  try {
+    const body = text.trim().replace(/^เสีย\s*/, '');
+
+    if (!body) {
+      return { success: true, message: await formatTodayWaste() };
+    }
+
+    if (/^(ช่วย|help)$/i.test(body)) {
+      return { success: true, message: `🗑️ บันทึกของเสีย\n\n${getUsageMessage()}\n\n• "เสีย" - ดูของเสียวันนี้` };
+    }
+
+    const match = body.match(/^(.+?)\s+(\d+)(?:\s+(.*))?$/);
+    if (!match) {
+      return { success: false, message: `❌ รูปแบบไม่ถูกต้อง\n\n${getUsageMessage()}` };
+    }
+
+    const product = resolveStockItem(match[1]);
+    if (product.error) {
+      return { success: false, message: `❌ ${product.error}` };
+    }
+
+    const { stockItem } = product;
+    const typed = parseInt(match[2]);
+    const words = (match[3] || '').split(/\s+/).filter(Boolean);
+
+    // Optional unit before the reason: "เสีย น้ำดื่ม 1 ลัง แตก"
+    let unit = null;
+    if (words.length > 0 && !findReason(words[0]) && getConversionFactor(stockItem, words[0])) {
+      unit = words.shift();
+    }
+
+    if (typed <= 0) {
+      return { success: false, message: '❌ จำนวนต้องมากกว่า 0' };
+    }
+
+    if (words.length === 0) {
+      return { success: false, message: `❌ กรุณาระบุเหตุผล\n\n${getUsageMessage()}` };
+    }
+
+    const reason = findReason(words[0]);
+    if (!reason) {
+      return { success: false, message: `❌ ไม่รู้จักเหตุผล "${words[0]}"\n\n📋 ใช้ได้: ${formatReasonCodes()}` };
+    }
+
+    const quantity = typed * (getConversionFactor(stockItem, unit) || 1);
+    const result = await recordWaste(stockItem.item, quantity, reason, words.slice(1).join(' '));
+
+    if (!result.success) {
+      return { success: false, message: `❌ ${result.error}` };
+    }
+
+    let msg = `🗑️ บันทึกของเสียแล้ว\n\n`;
+    msg += `📦 ${result.product} ${formatQuantity(stockItem, typed, unit)}\n`;
+    msg += `📋 เหตุผล: ${result.reason}\n`;
+    msg += `💸 มูลค่า: ${result.value.toLocaleString()}฿ (ต้นทุน ${result.unitCost}฿/${result.unit})\n\n`;
+    msg += `📊 สต็อก: ${result.oldStock} → ${result.newStock} ${result.unit}`;
+    if (result.lots) {
+      msg += `\n🏷️ ตัดจากล็อต: ${result.lots}`;
+    }
+
+    return { success: true, message: msg };
+
+  } catch (error) {
+    Logger.error('Waste command failed', error);
+    return { success: false, message: '❌ บันทึกของเสียไม่สำเร็จ' };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  recordWaste,
+  readWaste,
+  summarizeWaste,
+  formatWasteBreakdown,
+  findReason,
+  handleWasteCommand
+};